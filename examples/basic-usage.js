@@ -191,28 +191,21 @@ const batchInputs = [
 ];
 
 console.log('Processing batch of coordinates:');
-const batchResults = batchInputs.map((input, index) => {
-    const result = sanitizer.sanitizeCoordinates(input);
-    return {
-        id: index + 1,
-        input: input,
-        valid: result.isValid,
-        output: result.coordinates,
-        type: result.metadata?.inputFormat || 'unknown',
-        error: result.error || null
-    };
-});
+const batch = sanitizer.sanitizeBatch(batchInputs);
 
 console.log('\nBatch processing results:');
-batchResults.forEach(result => {
-    console.log(`${result.id}. Input: "${result.input}"`);
-    console.log(`   Valid: ${result.valid}`);
-    console.log(`   Output: "${result.output}"`);
-    console.log(`   Type: ${result.type}`);
+batch.items.forEach(({ index, input, result }) => {
+    console.log(`${index + 1}. Input: "${input}"`);
+    console.log(`   Valid: ${result.isValid}`);
+    console.log(`   Output: "${result.coordinates}"`);
+    console.log(`   Type: ${result.metadata?.inputFormat || 'unknown'}`);
     if (result.error) console.log(`   Error: ${result.error}`);
     console.log();
 });
 
+console.log('Summary:', batch.summary);
+console.log('Failures by type:', Object.keys(batch.failures));
+
 // Example 8: Performance measurement
 console.log('\n8. Performance test');
 console.log('-'.repeat(40));
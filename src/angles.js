@@ -0,0 +1,93 @@
+/**
+ * Angles between positions on the sphere
+ * Angular separation, position angle, offsetting by a separation at a
+ * position angle and RA differences across 0h. The separation uses the
+ * Vincenty formula, accurate at every distance, from coincident to
+ * antipodal positions.
+ *
+ * All angles are in degrees, RA included; position angles are measured
+ * from north through east.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const DEG = Math.PI / 180;
+
+// Wrap an angle to [0, 360)
+const wrap360 = (angle) => ((angle % 360) + 360) % 360;
+
+/**
+ * Signed RA difference from ra1 to ra2, the short way around the sky
+ * (350° to 10° is +20°, not -340°)
+ * @param {number} ra1 - RA in degrees
+ * @param {number} ra2 - RA in degrees
+ * @returns {number} Degrees in [-180, 180)
+ */
+function raDifference(ra1, ra2) {
+  return wrap360(ra2 - ra1 + 180) - 180;
+}
+
+/**
+ * Angular separation between two positions
+ * @param {number} ra1 - RA in degrees
+ * @param {number} dec1 - DEC in degrees
+ * @param {number} ra2 - RA in degrees
+ * @param {number} dec2 - DEC in degrees
+ * @returns {number} Degrees in [0, 180]
+ */
+function angularSeparation(ra1, dec1, ra2, dec2) {
+  const delta = (ra2 - ra1) * DEG;
+  const sin1 = Math.sin(dec1 * DEG), cos1 = Math.cos(dec1 * DEG);
+  const sin2 = Math.sin(dec2 * DEG), cos2 = Math.cos(dec2 * DEG);
+
+  const east = cos2 * Math.sin(delta);
+  const north = cos1 * sin2 - sin1 * cos2 * Math.cos(delta);
+  const along = sin1 * sin2 + cos1 * cos2 * Math.cos(delta);
+  return Math.atan2(Math.hypot(east, north), along) / DEG;
+}
+
+/**
+ * Position angle of the second position as seen from the first
+ * @param {number} ra1 - RA in degrees
+ * @param {number} dec1 - DEC in degrees
+ * @param {number} ra2 - RA in degrees
+ * @param {number} dec2 - DEC in degrees
+ * @returns {number} Degrees east of north in [0, 360); 0 for coincident
+ *   positions
+ */
+function positionAngle(ra1, dec1, ra2, dec2) {
+  const delta = (ra2 - ra1) * DEG;
+  const east = Math.cos(dec2 * DEG) * Math.sin(delta);
+  const north =
+    Math.cos(dec1 * DEG) * Math.sin(dec2 * DEG) -
+    Math.sin(dec1 * DEG) * Math.cos(dec2 * DEG) * Math.cos(delta);
+  return wrap360(Math.atan2(east, north) / DEG);
+}
+
+/**
+ * Position reached by moving along a great circle from a position
+ * @param {number} ra - RA in degrees
+ * @param {number} dec - DEC in degrees
+ * @param {number} separation - Distance in degrees
+ * @param {number} angle - Position angle of the move, degrees east of north
+ * @returns {{ra: number, dec: number}} RA in [0, 360)
+ */
+function offsetPosition(ra, dec, separation, angle) {
+  const sinDec = Math.sin(dec * DEG), cosDec = Math.cos(dec * DEG);
+  const sinSep = Math.sin(separation * DEG), cosSep = Math.cos(separation * DEG);
+
+  const z = sinDec * cosSep + cosDec * sinSep * Math.cos(angle * DEG);
+  const east = Math.sin(angle * DEG) * sinSep * cosDec;
+  const north = cosSep - sinDec * z;
+  const newDec = Math.asin(Math.max(-1, Math.min(1, z))) / DEG;
+
+  return { ra: wrap360(ra + Math.atan2(east, north) / DEG), dec: newDec };
+}
+
+module.exports = {
+  angularSeparation,
+  offsetPosition,
+  positionAngle,
+  raDifference,
+};
@@ -0,0 +1,444 @@
+/**
+ * Bundled object catalog
+ * Offline positions for the Messier and Caldwell objects (with their NGC/IC
+ * numbers and common names), other bright NGC/IC objects and the named bright
+ * stars, so that common object names resolve without a network service.
+ *
+ * Positions are J2000 (ICRS). Extended objects are given by their centre,
+ * accurate to about an arcminute; star positions are at epoch J2000.0, with
+ * no proper motion applied.
+ *
+ * Entries: [designation, RA "HH MM SS", DEC "±DD MM SS", ...aliases]
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const { dmsToDecimal, hmsToDecimal } = require("./converters");
+
+const MESSIER = [
+  ["M1", "05 34 31.9", "+22 00 52", "NGC 1952", "Crab Nebula"],
+  ["M2", "21 33 27.0", "-00 49 24", "NGC 7089"],
+  ["M3", "13 42 11.6", "+28 22 38", "NGC 5272"],
+  ["M4", "16 23 35.2", "-26 31 32", "NGC 6121"],
+  ["M5", "15 18 33.2", "+02 04 52", "NGC 5904"],
+  ["M6", "17 40 20", "-32 15 12", "NGC 6405", "Butterfly Cluster"],
+  ["M7", "17 53 51", "-34 47 34", "NGC 6475", "Ptolemy Cluster"],
+  ["M8", "18 03 37", "-24 23 12", "NGC 6523", "Lagoon Nebula"],
+  ["M9", "17 19 11.8", "-18 30 59", "NGC 6333"],
+  ["M10", "16 57 08.9", "-04 05 58", "NGC 6254"],
+  ["M11", "18 51 05", "-06 16 12", "NGC 6705", "Wild Duck Cluster"],
+  ["M12", "16 47 14.2", "-01 56 55", "NGC 6218"],
+  ["M13", "16 41 41.2", "+36 27 37", "NGC 6205", "Hercules Cluster"],
+  ["M14", "17 37 36.1", "-03 14 45", "NGC 6402"],
+  ["M15", "21 29 58.3", "+12 10 01", "NGC 7078"],
+  ["M16", "18 18 48", "-13 49 00", "NGC 6611", "Eagle Nebula"],
+  ["M17", "18 20 26", "-16 10 36", "NGC 6618", "Omega Nebula"],
+  ["M18", "18 19 58", "-17 06 06", "NGC 6613"],
+  ["M19", "17 02 37.7", "-26 16 05", "NGC 6273"],
+  ["M20", "18 02 23", "-23 01 48", "NGC 6514", "Trifid Nebula"],
+  ["M21", "18 04 13", "-22 29 24", "NGC 6531"],
+  ["M22", "18 36 23.9", "-23 54 17", "NGC 6656"],
+  ["M23", "17 56 54", "-19 01 00", "NGC 6494"],
+  ["M24", "18 16 48", "-18 33 00", "IC 4715", "Sagittarius Star Cloud"],
+  ["M25", "18 31 47", "-19 07 00", "IC 4725"],
+  ["M26", "18 45 18", "-09 23 00", "NGC 6694"],
+  ["M27", "19 59 36.3", "+22 43 16", "NGC 6853", "Dumbbell Nebula"],
+  ["M28", "18 24 32.9", "-24 52 12", "NGC 6626"],
+  ["M29", "20 23 56", "+38 31 24", "NGC 6913"],
+  ["M30", "21 40 22.1", "-23 10 47", "NGC 7099"],
+  ["M31", "00 42 44.3", "+41 16 09", "NGC 224", "Andromeda Galaxy"],
+  ["M32", "00 42 41.8", "+40 51 55", "NGC 221"],
+  ["M33", "01 33 50.9", "+30 39 36", "NGC 598", "Triangulum Galaxy"],
+  ["M34", "02 42 05", "+42 45 42", "NGC 1039"],
+  ["M35", "06 09 00", "+24 21 00", "NGC 2168"],
+  ["M36", "05 36 18", "+34 08 24", "NGC 1960"],
+  ["M37", "05 52 18", "+32 33 12", "NGC 2099"],
+  ["M38", "05 28 42", "+35 51 18", "NGC 1912"],
+  ["M39", "21 31 48", "+48 26 00", "NGC 7092"],
+  ["M40", "12 22 12.5", "+58 04 59", "Winnecke 4"],
+  ["M41", "06 46 00", "-20 45 24", "NGC 2287"],
+  ["M42", "05 35 17.3", "-05 23 28", "NGC 1976", "Orion Nebula"],
+  ["M43", "05 35 31", "-05 16 03", "NGC 1982", "De Mairan's Nebula"],
+  ["M44", "08 40 24", "+19 40 00", "NGC 2632", "Beehive Cluster", "Praesepe"],
+  ["M45", "03 47 24", "+24 07 00", "Pleiades", "Seven Sisters"],
+  ["M46", "07 41 46", "-14 48 36", "NGC 2437"],
+  ["M47", "07 36 35", "-14 29 00", "NGC 2422"],
+  ["M48", "08 13 43", "-05 45 00", "NGC 2548"],
+  ["M49", "12 29 46.7", "+08 00 02", "NGC 4472"],
+  ["M50", "07 02 42", "-08 23 00", "NGC 2323"],
+  ["M51", "13 29 52.7", "+47 11 43", "NGC 5194", "Whirlpool Galaxy"],
+  ["M52", "23 24 48", "+61 35 36", "NGC 7654"],
+  ["M53", "13 12 55.3", "+18 10 09", "NGC 5024"],
+  ["M54", "18 55 03.3", "-30 28 42", "NGC 6715"],
+  ["M55", "19 39 59.4", "-30 57 44", "NGC 6809"],
+  ["M56", "19 16 35.5", "+30 11 05", "NGC 6779"],
+  ["M57", "18 53 35.1", "+33 01 45", "NGC 6720", "Ring Nebula"],
+  ["M58", "12 37 43.5", "+11 49 05", "NGC 4579"],
+  ["M59", "12 42 02.3", "+11 38 49", "NGC 4621"],
+  ["M60", "12 43 40.0", "+11 33 10", "NGC 4649"],
+  ["M61", "12 21 54.9", "+04 28 25", "NGC 4303"],
+  ["M62", "17 01 12.6", "-30 06 44", "NGC 6266"],
+  ["M63", "13 15 49.3", "+42 01 45", "NGC 5055", "Sunflower Galaxy"],
+  ["M64", "12 56 43.7", "+21 40 58", "NGC 4826", "Black Eye Galaxy"],
+  ["M65", "11 18 55.9", "+13 05 32", "NGC 3623"],
+  ["M66", "11 20 15.0", "+12 59 30", "NGC 3627"],
+  ["M67", "08 51 18", "+11 48 00", "NGC 2682"],
+  ["M68", "12 39 28.0", "-26 44 39", "NGC 4590"],
+  ["M69", "18 31 23.1", "-32 20 53", "NGC 6637"],
+  ["M70", "18 43 12.8", "-32 17 31", "NGC 6681"],
+  ["M71", "19 53 46.5", "+18 46 45", "NGC 6838"],
+  ["M72", "20 53 27.7", "-12 32 14", "NGC 6981"],
+  ["M73", "20 58 56", "-12 38 08", "NGC 6994"],
+  ["M74", "01 36 41.8", "+15 47 01", "NGC 628"],
+  ["M75", "20 06 04.7", "-21 55 16", "NGC 6864"],
+  ["M76", "01 42 19.9", "+51 34 31", "NGC 650", "Little Dumbbell Nebula"],
+  ["M77", "02 42 40.7", "-00 00 48", "NGC 1068"],
+  ["M78", "05 46 46.7", "+00 00 50", "NGC 2068"],
+  ["M79", "05 24 10.6", "-24 31 27", "NGC 1904"],
+  ["M80", "16 17 02.4", "-22 58 34", "NGC 6093"],
+  ["M81", "09 55 33.2", "+69 03 55", "NGC 3031", "Bode's Galaxy"],
+  ["M82", "09 55 52.2", "+69 40 47", "NGC 3034", "Cigar Galaxy"],
+  ["M83", "13 37 00.9", "-29 51 57", "NGC 5236", "Southern Pinwheel Galaxy"],
+  ["M84", "12 25 03.7", "+12 53 13", "NGC 4374"],
+  ["M85", "12 25 24.0", "+18 11 28", "NGC 4382"],
+  ["M86", "12 26 11.7", "+12 56 46", "NGC 4406"],
+  ["M87", "12 30 49.4", "+12 23 28", "NGC 4486", "Virgo A"],
+  ["M88", "12 31 59.2", "+14 25 14", "NGC 4501"],
+  ["M89", "12 35 39.8", "+12 33 23", "NGC 4552"],
+  ["M90", "12 36 49.8", "+13 09 46", "NGC 4569"],
+  ["M91", "12 35 26.4", "+14 29 47", "NGC 4548"],
+  ["M92", "17 17 07.4", "+43 08 09", "NGC 6341"],
+  ["M93", "07 44 30", "-23 51 24", "NGC 2447"],
+  ["M94", "12 50 53.1", "+41 07 14", "NGC 4736"],
+  ["M95", "10 43 57.7", "+11 42 14", "NGC 3351"],
+  ["M96", "10 46 45.7", "+11 49 12", "NGC 3368"],
+  ["M97", "11 14 47.7", "+55 01 09", "NGC 3587", "Owl Nebula"],
+  ["M98", "12 13 48.3", "+14 54 01", "NGC 4192"],
+  ["M99", "12 18 49.6", "+14 24 59", "NGC 4254"],
+  ["M100", "12 22 54.9", "+15 49 21", "NGC 4321"],
+  ["M101", "14 03 12.6", "+54 20 57", "NGC 5457", "Pinwheel Galaxy"],
+  ["M102", "15 06 29.5", "+55 45 48", "NGC 5866"],
+  ["M103", "01 33 23", "+60 39 00", "NGC 581"],
+  ["M104", "12 39 59.4", "-11 37 23", "NGC 4594", "Sombrero Galaxy"],
+  ["M105", "10 47 49.6", "+12 34 54", "NGC 3379"],
+  ["M106", "12 18 57.5", "+47 18 14", "NGC 4258"],
+  ["M107", "16 32 31.9", "-13 03 13", "NGC 6171"],
+  ["M108", "11 11 31.0", "+55 40 27", "NGC 3556"],
+  ["M109", "11 57 36.0", "+53 22 28", "NGC 3992"],
+  ["M110", "00 40 22.1", "+41 41 07", "NGC 205"],
+];
+
+const CALDWELL = [
+  ["C1", "00 48 26", "+85 15 18", "NGC 188"],
+  ["C2", "00 13 01", "+72 31 19", "NGC 40", "Bow-Tie Nebula"],
+  ["C3", "12 16 42", "+69 27 45", "NGC 4236"],
+  ["C4", "21 01 36", "+68 10 00", "NGC 7023", "Iris Nebula"],
+  ["C5", "03 46 48", "+68 05 46", "IC 342"],
+  ["C6", "17 58 33.4", "+66 37 59", "NGC 6543", "Cat's Eye Nebula"],
+  ["C7", "07 36 51.4", "+65 36 09", "NGC 2403"],
+  ["C8", "01 29 31", "+63 18 24", "NGC 559"],
+  ["C9", "22 56 48", "+62 37 00", "Sh2-155", "Cave Nebula"],
+  ["C10", "01 46 09", "+61 14 06", "NGC 663"],
+  ["C11", "23 20 48", "+61 12 06", "NGC 7635", "Bubble Nebula"],
+  ["C12", "20 34 52.3", "+60 09 14", "NGC 6946", "Fireworks Galaxy"],
+  ["C13", "01 19 32", "+58 17 26", "NGC 457", "Owl Cluster"],
+  ["C14", "02 20 40", "+57 08 00", "Double Cluster", "h and chi Persei"],
+  ["C15", "19 44 48.2", "+50 31 30", "NGC 6826", "Blinking Planetary"],
+  ["C16", "22 15 08", "+49 53 54", "NGC 7243"],
+  ["C17", "00 33 12.1", "+48 30 32", "NGC 147"],
+  ["C18", "00 38 58.0", "+48 20 15", "NGC 185"],
+  ["C19", "21 53 24", "+47 16 00", "IC 5146", "Cocoon Nebula"],
+  ["C20", "20 59 17", "+44 31 44", "NGC 7000", "North America Nebula"],
+  ["C21", "12 28 11.9", "+44 05 40", "NGC 4449"],
+  ["C22", "23 25 53.6", "+42 32 06", "NGC 7662", "Blue Snowball"],
+  ["C23", "02 22 33.4", "+42 20 57", "NGC 891"],
+  ["C24", "03 19 48.2", "+41 30 42", "NGC 1275", "Perseus A"],
+  ["C25", "07 38 08.5", "+38 52 55", "NGC 2419"],
+  ["C26", "12 17 29.6", "+37 48 26", "NGC 4244"],
+  ["C27", "20 12 07", "+38 21 18", "NGC 6888", "Crescent Nebula"],
+  ["C28", "01 57 41", "+37 47 06", "NGC 752"],
+  ["C29", "13 10 56.2", "+37 03 33", "NGC 5005"],
+  ["C30", "22 37 04.1", "+34 24 56", "NGC 7331"],
+  ["C31", "05 16 29", "+34 21 22", "IC 405", "Flaming Star Nebula"],
+  ["C32", "12 42 08.0", "+32 32 29", "NGC 4631", "Whale Galaxy"],
+  ["C33", "20 56 24", "+31 43 00", "NGC 6992", "Eastern Veil Nebula"],
+  ["C34", "20 45 38", "+30 42 30", "NGC 6960", "Western Veil Nebula"],
+  ["C35", "13 00 08.1", "+27 58 37", "NGC 4889"],
+  ["C36", "12 35 57.7", "+27 57 35", "NGC 4559"],
+  ["C37", "20 11 58", "+26 29 00", "NGC 6885"],
+  ["C38", "12 36 20.8", "+25 59 16", "NGC 4565", "Needle Galaxy"],
+  ["C39", "07 29 10.8", "+20 54 42", "NGC 2392", "Eskimo Nebula"],
+  ["C40", "11 20 03.8", "+18 21 25", "NGC 3626"],
+  ["C41", "04 27 00", "+15 52 00", "Hyades", "Melotte 25"],
+  ["C42", "21 01 29.4", "+16 11 15", "NGC 7006"],
+  ["C43", "00 03 14.9", "+16 08 44", "NGC 7814"],
+  ["C44", "23 04 56.6", "+12 19 22", "NGC 7479"],
+  ["C45", "13 37 32.0", "+08 53 06", "NGC 5248"],
+  ["C46", "06 39 10", "+08 44 00", "NGC 2261", "Hubble's Variable Nebula"],
+  ["C47", "20 34 11.4", "+07 24 16", "NGC 6934"],
+  ["C48", "09 10 20.1", "+07 02 17", "NGC 2775"],
+  ["C49", "06 33 45", "+04 59 54", "NGC 2237", "Rosette Nebula"],
+  ["C50", "06 31 55", "+04 56 30", "NGC 2244"],
+  ["C51", "01 04 47.8", "+02 07 04", "IC 1613"],
+  ["C52", "12 48 35.9", "-05 48 03", "NGC 4697"],
+  ["C53", "10 05 14.0", "-07 43 07", "NGC 3115", "Spindle Galaxy"],
+  ["C54", "08 00 01", "-10 46 12", "NGC 2506"],
+  ["C55", "21 04 10.8", "-11 21 48", "NGC 7009", "Saturn Nebula"],
+  ["C56", "00 47 03.3", "-11 52 19", "NGC 246"],
+  ["C57", "19 44 56.6", "-14 47 21", "NGC 6822", "Barnard's Galaxy"],
+  ["C58", "07 17 43", "-15 38 30", "NGC 2360"],
+  ["C59", "10 24 46.1", "-18 38 32", "NGC 3242", "Ghost of Jupiter"],
+  ["C60", "12 01 53.0", "-18 52 10", "NGC 4038", "Antennae Galaxies"],
+  ["C61", "12 01 53.6", "-18 53 11", "NGC 4039"],
+  ["C62", "00 47 08.5", "-20 45 37", "NGC 247"],
+  ["C63", "22 29 38.5", "-20 50 14", "NGC 7293", "Helix Nebula"],
+  ["C64", "07 18 41", "-24 57 18", "NGC 2362"],
+  ["C65", "00 47 33.1", "-25 17 18", "NGC 253", "Sculptor Galaxy"],
+  ["C66", "14 39 36.3", "-26 32 20", "NGC 5694"],
+  ["C67", "02 46 19.1", "-30 16 30", "NGC 1097"],
+  ["C68", "19 01 54", "-36 57 12", "NGC 6729"],
+  ["C69", "17 13 44.2", "-37 06 16", "NGC 6302", "Bug Nebula"],
+  ["C70", "00 54 53.5", "-37 41 04", "NGC 300"],
+  ["C71", "07 52 10", "-38 31 48", "NGC 2477"],
+  ["C72", "00 14 53.6", "-39 11 48", "NGC 55"],
+  ["C73", "05 14 06.8", "-40 02 48", "NGC 1851"],
+  ["C74", "10 07 01.8", "-40 26 11", "NGC 3132", "Eight-Burst Nebula", "Southern Ring Nebula"],
+  ["C75", "16 25 20", "-40 40 12", "NGC 6124"],
+  ["C76", "16 54 10", "-41 49 30", "NGC 6231"],
+  ["C77", "13 25 27.6", "-43 01 09", "NGC 5128", "Centaurus A"],
+  ["C78", "18 08 02.4", "-43 42 53", "NGC 6541"],
+  ["C79", "10 17 36.8", "-46 24 44", "NGC 3201"],
+  ["C80", "13 26 47.3", "-47 28 46", "NGC 5139", "Omega Centauri"],
+  ["C81", "17 25 29.1", "-48 25 20", "NGC 6352"],
+  ["C82", "16 41 20", "-48 45 48", "NGC 6193"],
+  ["C83", "13 05 27.5", "-49 28 06", "NGC 4945"],
+  ["C84", "13 46 26.8", "-51 22 27", "NGC 5286"],
+  ["C85", "08 40 32", "-53 02 00", "IC 2391", "Omicron Velorum Cluster"],
+  ["C86", "17 40 42.1", "-53 40 27", "NGC 6397"],
+  ["C87", "03 12 16.2", "-55 12 58", "NGC 1261"],
+  ["C88", "15 05 30", "-55 36 12", "NGC 5823"],
+  ["C89", "16 18 50", "-57 56 06", "NGC 6087"],
+  ["C90", "09 21 25.3", "-58 18 41", "NGC 2867"],
+  ["C91", "11 05 39", "-58 45 12", "NGC 3532", "Wishing Well Cluster"],
+  ["C92", "10 45 08.5", "-59 52 04", "NGC 3372", "Carina Nebula", "Eta Carinae Nebula"],
+  ["C93", "19 10 52.1", "-59 59 04", "NGC 6752"],
+  ["C94", "12 53 39", "-60 21 42", "NGC 4755", "Jewel Box"],
+  ["C95", "16 03 17", "-60 25 54", "NGC 6025"],
+  ["C96", "07 58 04", "-60 45 12", "NGC 2516"],
+  ["C97", "11 36 14", "-61 36 30", "NGC 3766", "Pearl Cluster"],
+  ["C98", "12 42 18", "-62 58 42", "NGC 4609"],
+  ["C99", "12 50 00", "-62 30 00", "Coalsack Nebula"],
+  ["C100", "11 38 20", "-63 22 22", "IC 2944", "Lambda Centauri Nebula"],
+  ["C101", "19 09 46.1", "-63 51 27", "NGC 6744"],
+  ["C102", "10 42 58", "-64 24 00", "IC 2602", "Southern Pleiades"],
+  ["C103", "05 38 38", "-69 05 42", "NGC 2070", "Tarantula Nebula"],
+  ["C104", "01 03 14.3", "-70 50 56", "NGC 362"],
+  ["C105", "12 59 33.9", "-70 52 35", "NGC 4833"],
+  ["C106", "00 24 05.7", "-72 04 53", "NGC 104", "47 Tucanae"],
+  ["C107", "16 25 48.1", "-72 12 08", "NGC 6101"],
+  ["C108", "12 25 45.4", "-72 39 33", "NGC 4372"],
+  ["C109", "10 09 21", "-80 51 31", "NGC 3195"],
+];
+
+// Other bright NGC/IC objects (Messier and Caldwell objects carry their NGC/IC
+// numbers as aliases)
+const NGC_IC = [
+  ["NGC 869", "02 19 00", "+57 07 42", "h Persei"],
+  ["NGC 884", "02 22 18", "+57 08 12", "chi Persei"],
+  ["NGC 281", "00 52 49", "+56 37 39", "Pacman Nebula"],
+  ["NGC 1333", "03 29 11", "+31 18 36"],
+  ["NGC 1499", "04 03 18", "+36 25 18", "California Nebula"],
+  ["NGC 2024", "05 41 54", "-01 51 00", "Flame Nebula"],
+  ["NGC 2264", "06 41 06", "+09 53 00", "Christmas Tree Cluster", "Cone Nebula"],
+  ["NGC 2359", "07 18 30", "-13 13 48", "Thor's Helmet"],
+  ["NGC 3628", "11 20 17.0", "+13 35 23", "Hamburger Galaxy"],
+  ["NGC 5907", "15 15 53.8", "+56 19 44", "Splinter Galaxy"],
+  ["NGC 7380", "22 47 21", "+58 07 54", "Wizard Nebula"],
+  ["NGC 7789", "23 57 24", "+56 42 30", "Caroline's Rose"],
+  ["NGC 6781", "19 18 28.1", "+06 32 19"],
+  ["NGC 4414", "12 26 27.1", "+31 13 25"],
+  ["NGC 2158", "06 07 25", "+24 05 48"],
+  ["IC 434", "05 41 00", "-02 27 00", "Horsehead Nebula", "Barnard 33"],
+  ["IC 1396", "21 39 06", "+57 30 00", "Elephant's Trunk Nebula"],
+  ["IC 1805", "02 33 22", "+61 26 36", "Heart Nebula"],
+  ["IC 1848", "02 51 10", "+60 26 00", "Soul Nebula"],
+  ["IC 2118", "05 04 48", "-07 13 00", "Witch Head Nebula"],
+  ["IC 4665", "17 46 18", "+05 43 00"],
+  ["IC 4756", "18 39 00", "+05 27 00"],
+];
+
+const STARS = [
+  ["Sirius", "06 45 08.9", "-16 42 58", "Alpha Canis Majoris"],
+  ["Canopus", "06 23 57.1", "-52 41 45", "Alpha Carinae"],
+  ["Arcturus", "14 15 39.7", "+19 10 57", "Alpha Bootis"],
+  ["Rigil Kentaurus", "14 39 36.5", "-60 50 02", "Alpha Centauri"],
+  ["Vega", "18 36 56.3", "+38 47 01", "Alpha Lyrae"],
+  ["Capella", "05 16 41.4", "+45 59 53", "Alpha Aurigae"],
+  ["Rigel", "05 14 32.3", "-08 12 06", "Beta Orionis"],
+  ["Procyon", "07 39 18.1", "+05 13 30", "Alpha Canis Minoris"],
+  ["Achernar", "01 37 42.8", "-57 14 12", "Alpha Eridani"],
+  ["Betelgeuse", "05 55 10.3", "+07 24 25", "Alpha Orionis"],
+  ["Hadar", "14 03 49.4", "-60 22 23", "Beta Centauri"],
+  ["Altair", "19 50 47.0", "+08 52 06", "Alpha Aquilae"],
+  ["Acrux", "12 26 35.9", "-63 05 57", "Alpha Crucis"],
+  ["Aldebaran", "04 35 55.2", "+16 30 33", "Alpha Tauri"],
+  ["Antares", "16 29 24.4", "-26 25 55", "Alpha Scorpii"],
+  ["Spica", "13 25 11.6", "-11 09 41", "Alpha Virginis"],
+  ["Pollux", "07 45 18.9", "+28 01 34", "Beta Geminorum"],
+  ["Fomalhaut", "22 57 39.0", "-29 37 20", "Alpha Piscis Austrini"],
+  ["Deneb", "20 41 25.9", "+45 16 49", "Alpha Cygni"],
+  ["Mimosa", "12 47 43.3", "-59 41 19", "Beta Crucis"],
+  ["Regulus", "10 08 22.3", "+11 58 02", "Alpha Leonis"],
+  ["Adhara", "06 58 37.5", "-28 58 20", "Epsilon Canis Majoris"],
+  ["Castor", "07 34 36.0", "+31 53 18", "Alpha Geminorum"],
+  ["Shaula", "17 33 36.5", "-37 06 14", "Lambda Scorpii"],
+  ["Gacrux", "12 31 10.0", "-57 06 48", "Gamma Crucis"],
+  ["Bellatrix", "05 25 07.9", "+06 20 59", "Gamma Orionis"],
+  ["Elnath", "05 26 17.5", "+28 36 27", "Beta Tauri"],
+  ["Miaplacidus", "09 13 12.0", "-69 43 02", "Beta Carinae"],
+  ["Alnilam", "05 36 12.8", "-01 12 07", "Epsilon Orionis"],
+  ["Alnair", "22 08 14.0", "-46 57 40", "Alpha Gruis"],
+  ["Alnitak", "05 40 45.5", "-01 56 34", "Zeta Orionis"],
+  ["Alioth", "12 54 01.7", "+55 57 35", "Epsilon Ursae Majoris"],
+  ["Dubhe", "11 03 43.7", "+61 45 03", "Alpha Ursae Majoris"],
+  ["Mirfak", "03 24 19.4", "+49 51 40", "Alpha Persei"],
+  ["Wezen", "07 08 23.5", "-26 23 36", "Delta Canis Majoris"],
+  ["Sargas", "17 37 19.1", "-42 59 52", "Theta Scorpii"],
+  ["Kaus Australis", "18 24 10.3", "-34 23 05", "Epsilon Sagittarii"],
+  ["Avior", "08 22 30.8", "-59 30 34", "Epsilon Carinae"],
+  ["Alkaid", "13 47 32.4", "+49 18 48", "Eta Ursae Majoris"],
+  ["Menkalinan", "05 59 31.7", "+44 56 51", "Beta Aurigae"],
+  ["Atria", "16 48 39.9", "-69 01 40", "Alpha Trianguli Australis"],
+  ["Alhena", "06 37 42.7", "+16 23 57", "Gamma Geminorum"],
+  ["Peacock", "20 25 38.9", "-56 44 06", "Alpha Pavonis"],
+  ["Mirzam", "06 22 42.0", "-17 57 21", "Beta Canis Majoris"],
+  ["Alphard", "09 27 35.2", "-08 39 31", "Alpha Hydrae"],
+  ["Polaris", "02 31 49.1", "+89 15 51", "Alpha Ursae Minoris", "North Star"],
+  ["Hamal", "02 07 10.4", "+23 27 45", "Alpha Arietis"],
+  ["Algieba", "10 19 58.4", "+19 50 29", "Gamma Leonis"],
+  ["Diphda", "00 43 35.4", "-17 59 12", "Beta Ceti"],
+  ["Nunki", "18 55 15.9", "-26 17 48", "Sigma Sagittarii"],
+  ["Menkent", "14 06 41.0", "-36 22 12", "Theta Centauri"],
+  ["Mirach", "01 09 43.9", "+35 37 14", "Beta Andromedae"],
+  ["Alpheratz", "00 08 23.3", "+29 05 26", "Alpha Andromedae"],
+  ["Rasalhague", "17 34 56.1", "+12 33 36", "Alpha Ophiuchi"],
+  ["Kochab", "14 50 42.3", "+74 09 20", "Beta Ursae Minoris"],
+  ["Saiph", "05 47 45.4", "-09 40 11", "Kappa Orionis"],
+  ["Denebola", "11 49 03.6", "+14 34 19", "Beta Leonis"],
+  ["Algol", "03 08 10.1", "+40 57 20", "Beta Persei"],
+  ["Suhail", "09 07 59.8", "-43 25 57", "Lambda Velorum"],
+  ["Alphecca", "15 34 41.3", "+26 42 53", "Alpha Coronae Borealis"],
+  ["Mintaka", "05 32 00.4", "-00 17 57", "Delta Orionis"],
+  ["Sadr", "20 22 13.7", "+40 15 24", "Gamma Cygni"],
+  ["Eltanin", "17 56 36.4", "+51 29 20", "Gamma Draconis"],
+  ["Schedar", "00 40 30.4", "+56 32 14", "Alpha Cassiopeiae"],
+  ["Naos", "08 03 35.0", "-40 00 12", "Zeta Puppis"],
+  ["Almach", "02 03 54.0", "+42 19 47", "Gamma Andromedae"],
+  ["Caph", "00 09 10.7", "+59 08 59", "Beta Cassiopeiae"],
+  ["Izar", "14 44 59.2", "+27 04 27", "Epsilon Bootis"],
+  ["Dschubba", "16 00 20.0", "-22 37 18", "Delta Scorpii"],
+  ["Merak", "11 01 50.5", "+56 22 57", "Beta Ursae Majoris"],
+  ["Ankaa", "00 26 17.0", "-42 18 22", "Alpha Phoenicis"],
+  ["Enif", "21 44 11.2", "+09 52 30", "Epsilon Pegasi"],
+  ["Scheat", "23 03 46.5", "+28 04 58", "Beta Pegasi"],
+  ["Sabik", "17 10 22.7", "-15 43 29", "Eta Ophiuchi"],
+  ["Phecda", "11 53 49.8", "+53 41 41", "Gamma Ursae Majoris"],
+  ["Aludra", "07 24 05.7", "-29 18 11", "Eta Canis Majoris"],
+  ["Markab", "23 04 45.7", "+15 12 19", "Alpha Pegasi"],
+  ["Menkar", "03 02 16.8", "+04 05 23", "Alpha Ceti"],
+  ["Arneb", "05 32 43.8", "-17 49 20", "Alpha Leporis"],
+  ["Zosma", "11 14 06.5", "+20 31 25", "Delta Leonis"],
+  ["Acrab", "16 05 26.2", "-19 48 20", "Beta Scorpii"],
+  ["Unukalhai", "15 44 16.1", "+06 25 32", "Alpha Serpentis"],
+  ["Rasalgethi", "17 14 38.9", "+14 23 25", "Alpha Herculis"],
+  ["Mizar", "13 23 55.5", "+54 55 31", "Zeta Ursae Majoris"],
+  ["Alcor", "13 25 13.5", "+54 59 17", "80 Ursae Majoris"],
+  ["Albireo", "19 30 43.3", "+27 57 35", "Beta Cygni"],
+  ["Thuban", "14 04 23.4", "+64 22 33", "Alpha Draconis"],
+  ["Vindemiatrix", "13 02 10.6", "+10 57 33", "Epsilon Virginis"],
+  ["Cor Caroli", "12 56 01.7", "+38 19 06", "Alpha Canum Venaticorum"],
+  ["Mira", "02 19 20.8", "-02 58 39", "Omicron Ceti"],
+  ["Alcyone", "03 47 29.1", "+24 06 18", "Eta Tauri"],
+  ["Ruchbah", "01 25 49.0", "+60 14 07", "Delta Cassiopeiae"],
+  ["Barnard's Star", "17 57 48.5", "+04 41 36", "GJ 699"],
+  ["Proxima Centauri", "14 29 42.9", "-62 40 46", "Alpha Centauri C"],
+];
+
+const CATALOGS = [
+  ["Messier", MESSIER],
+  ["Caldwell", CALDWELL],
+  ["NGC/IC", NGC_IC],
+  ["Star", STARS],
+];
+
+/**
+ * Normalize an object name for lookup: case, spacing and punctuation are
+ * ignored, "Messier"/"Caldwell" become "M"/"C" and leading zeros are dropped
+ * (so "M 031", "messier 31" and "M31" are the same key)
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name)
+    .toUpperCase()
+    .replace(/^MESSIER/, "M")
+    .replace(/^CALDWELL/, "C")
+    .replace(/[^A-Z0-9]/g, "")
+    .replace(/^(M|C|NGC|IC)0+(?=\d)/, "$1");
+}
+
+function parseSexagesimal(value, toDecimal) {
+  const [a, b, c] = value.split(" ").map(Number);
+  return toDecimal(a, b, c, value.startsWith("-"));
+}
+
+let index = null;
+
+/**
+ * Lookup table built on first use
+ */
+function getIndex() {
+  if (index) return index;
+  index = new Map();
+  for (const [catalog, entries] of CATALOGS) {
+    for (const [name, ra, dec, ...aliases] of entries) {
+      const entry = {
+        name,
+        catalog,
+        aliases,
+        ra: parseSexagesimal(ra, hmsToDecimal) * 15,
+        dec: parseSexagesimal(dec, dmsToDecimal),
+      };
+      for (const key of [name, ...aliases].map(normalizeName)) {
+        if (!index.has(key)) index.set(key, entry);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Look up an object in the bundled catalog
+ * @param {string} name - Designation or common name (M31, NGC 224, C14, Vega, ...)
+ * @returns {{name: string, catalog: string, aliases: string[], ra: number, dec: number, source: string}|null}
+ *   Position in degrees (J2000), or null if the object is not in the catalog
+ */
+function lookupObject(name) {
+  const entry = getIndex().get(normalizeName(name));
+  return entry ? { ...entry, aliases: [...entry.aliases], source: "bundled" } : null;
+}
+
+/**
+ * Create a resolver backed by the bundled catalog
+ * @returns {{name: string, resolve: function(string): Object|null}}
+ */
+function createCatalogResolver() {
+  return { name: "bundled", resolve: lookupObject };
+}
+
+module.exports = {
+  createCatalogResolver,
+  lookupObject,
+  normalizeName,
+};
@@ -0,0 +1,341 @@
+/**
+ * Command-line interface
+ * Sanitizes coordinates given as arguments, read from files or from stdin,
+ * and prints plain text, JSON or NDJSON. The exit code is 1 when any input
+ * is invalid and 2 on usage or I/O errors.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const CoordinateSanitizer = require("./index");
+const { version } = require("../package.json");
+
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+const OUTPUT_MODES = ["plain", "json", "ndjson", "xml", "votable"];
+
+// --flag value -> constructor option, with a parser for the value
+const VALUE_OPTIONS = {
+  "--output-format": { option: "outputFormat", parse: parseOutputFormat },
+  "--precision": { option: "precision", parse: parseNumber },
+  "--ra-unit": { option: "raUnit" },
+  "--input-frame": { option: "inputFrame" },
+  "--output-frame": { option: "outputFrame" },
+  "--equinox": { option: "equinox" },
+  "--target-equinox": { option: "targetEquinox" },
+  "--observation-date": { option: "observationDate" },
+  "--target-epoch": { option: "targetEpoch" },
+  "--resolver": { option: "resolver" },
+  "--locale": { option: "locale" },
+  "--component-validation": { option: "componentValidation" },
+  "--indi-device": { option: "indiDevice" },
+};
+
+// --flag / --no-flag -> boolean constructor option
+const BOOLEAN_OPTIONS = {
+  strict: "strictMode",
+  "validate-ranges": "validateRanges",
+};
+
+const ALIASES = {
+  "-i": "--file",
+  "-f": "--output-format",
+  "-p": "--precision",
+  "-o": "--output",
+  "-h": "--help",
+  "-v": "--version",
+};
+
+const USAGE = `Usage: coordinate-sanitizer [options] [coordinates...]
+
+Sanitizes astronomical coordinates. Inputs are taken from the arguments,
+from --file, or one per line from stdin when neither is given.
+
+Input:
+  -i, --file <path>           Read inputs from a file, one per line ("-" for stdin)
+
+Sanitizer options:
+      --preset <name>         aladin | decimal | loose | strict
+  -f, --output-format <fmt>   aladin | decimal | hms-dms | lx200 | lx200-low |
+                              indi | ascom | object | template
+  -p, --precision <n>         Decimal precision
+      --strict, --no-strict   Strict parsing mode
+      --validate-ranges, --no-validate-ranges
+                              Range validation (default: on)
+      --ra-unit <unit>        hours | degrees | auto
+      --input-frame <frame>   icrs | fk5 | galactic | ecliptic | supergalactic
+      --output-frame <frame>  Same values as --input-frame
+      --equinox <equinox>     Equinox of untagged input (e.g. B1950, J2000)
+      --target-equinox <eq>   Equinox to precess to (e.g. J2000, JNow)
+      --observation-date <d>  Date used for JNow
+      --target-epoch <epoch>  Epoch for proper motion propagation
+      --resolver <name>       Resolve object names: bundled (offline catalog)
+      --locale <locale>       en | it | de | fr: decimal comma, unit words and
+                              error messages (e.g. "12,5; -45,75")
+      --component-validation <mode>
+                              Minutes/seconds of 60 or more: reject | warn |
+                              normalize (default: reject)
+      --indi-device <name>    Device of indi output (default: Telescope
+                              Simulator)
+
+Output:
+  -o, --output <mode>         plain | json | ndjson | xml | votable
+                              (default: plain)
+  -h, --help                  Show this help
+  -v, --version               Show the version
+
+Exit status: 0 if every input is valid, 1 if any input is invalid,
+2 on usage or I/O errors.
+`;
+
+class UsageError extends Error {}
+
+function parseNumber(value, flag) {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number)) {
+    throw new UsageError(`${flag} expects a number, got "${value}"`);
+  }
+  return number;
+}
+
+// The library falls back to aladin for unknown format names; the CLI does not
+function parseOutputFormat(value, flag) {
+  const formats = CoordinateSanitizer.getSupportedFormats().output;
+  if (!formats.includes(value) && !value.includes("{")) {
+    throw new UsageError(
+      `Unknown ${flag} value: "${value}". Available formats: ${formats.join(", ")}, or a template`
+    );
+  }
+  return value;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {{options: Object, preset: string|null, inputs: string[], files: string[], output: string, help: boolean, version: boolean}}
+ * @throws {UsageError} On unknown flags or missing values
+ */
+function parseArgs(argv) {
+  const parsed = {
+    options: {},
+    preset: null,
+    inputs: [],
+    files: [],
+    output: "plain",
+    help: false,
+    version: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value;
+
+    // "--" ends the options; everything after it is an input
+    if (arg === "--") {
+      parsed.inputs.push(...argv.slice(i + 1));
+      break;
+    }
+    // Inputs such as "-12.5" are not flags
+    if (!arg.startsWith("-") || /^-\d/.test(arg) || arg === "-") {
+      parsed.inputs.push(arg);
+      continue;
+    }
+
+    // --name=value
+    const equals = arg.indexOf("=");
+    if (arg.startsWith("--") && equals !== -1) {
+      value = arg.slice(equals + 1);
+      arg = arg.slice(0, equals);
+    }
+    arg = ALIASES[arg] || arg;
+
+    const takeValue = () => {
+      if (value !== undefined) return value;
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${arg} requires a value`);
+      }
+      return argv[++i];
+    };
+
+    const name = arg.replace(/^--(no-)?/, "");
+    if (BOOLEAN_OPTIONS[name] && value === undefined) {
+      parsed.options[BOOLEAN_OPTIONS[name]] = !arg.startsWith("--no-");
+    } else if (VALUE_OPTIONS[arg]) {
+      const { option, parse } = VALUE_OPTIONS[arg];
+      const raw = takeValue();
+      parsed.options[option] = parse ? parse(raw, arg) : raw;
+    } else if (arg === "--preset") {
+      parsed.preset = takeValue();
+    } else if (arg === "--file") {
+      parsed.files.push(takeValue());
+    } else if (arg === "--output") {
+      parsed.output = takeValue();
+      if (!OUTPUT_MODES.includes(parsed.output)) {
+        throw new UsageError(
+          `Unknown output mode: "${parsed.output}". Available modes: ${OUTPUT_MODES.join(", ")}`
+        );
+      }
+    } else if (arg === "--help") {
+      parsed.help = true;
+    } else if (arg === "--version") {
+      parsed.version = true;
+    } else {
+      throw new UsageError(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Build the sanitizer: preset options first, explicit flags on top
+ * @throws {UsageError} On an unknown preset or locale, or a malformed output
+ *   template
+ */
+function createSanitizer({ preset, options }) {
+  try {
+    const base = preset ? CoordinateSanitizer.createPreset(preset).options : {};
+    return new CoordinateSanitizer({ ...base, ...options });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Inputs in order: arguments, then files, then stdin if nothing else was given
+ */
+async function* readInputs(sanitizer, parsed, stdin) {
+  const fs = require("fs");
+
+  for (const input of parsed.inputs) {
+    if (input === "-") {
+      yield* readLines(sanitizer, stdin, "-");
+    } else {
+      yield {
+        source: null,
+        line: null,
+        input,
+        result: sanitizer.sanitizeCoordinates(input),
+      };
+    }
+  }
+
+  const files =
+    parsed.inputs.length === 0 && parsed.files.length === 0
+      ? ["-"]
+      : parsed.files;
+  for (const file of files) {
+    const source = file === "-" ? stdin : fs.createReadStream(file);
+    yield* readLines(sanitizer, source, file);
+  }
+}
+
+async function* readLines(sanitizer, source, name) {
+  for await (const { line, input, result } of sanitizer.sanitizeLines(source)) {
+    yield { source: name, line, input, result };
+  }
+}
+
+function toRecord({ source, line, input, result }) {
+  return {
+    ...(source !== null && { source, line }),
+    input,
+    ...result,
+  };
+}
+
+function formatPlain({ source, line, input, result }) {
+  if (result.isValid) {
+    const { coordinates } = result;
+    return {
+      out:
+        typeof coordinates === "string"
+          ? coordinates
+          : JSON.stringify(coordinates),
+    };
+  }
+  const where =
+    source !== null ? `${source === "-" ? "stdin" : source}:${line}: ` : "";
+  return { err: `${where}${input}: ${result.error}` };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io] - Streams to use (default: process.stdin/stdout/stderr)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = io;
+
+  let parsed;
+  let sanitizer;
+  try {
+    parsed = parseArgs(argv);
+    sanitizer = createSanitizer(parsed);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    stderr.write(`coordinate-sanitizer: ${error.message}\n`);
+    stderr.write("Try 'coordinate-sanitizer --help' for more information.\n");
+    return EXIT_USAGE;
+  }
+
+  if (parsed.help) {
+    stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  if (parsed.version) {
+    stdout.write(`${version}\n`);
+    return EXIT_OK;
+  }
+
+  // Nothing to read: an interactive terminal would just wait for input
+  const noInput = parsed.inputs.length === 0 && parsed.files.length === 0;
+  if (noInput && stdin.isTTY) {
+    stderr.write(USAGE);
+    return EXIT_USAGE;
+  }
+
+  let invalid = 0;
+  const records = [];
+  try {
+    for await (const item of readInputs(sanitizer, parsed, stdin)) {
+      if (!item.result.isValid) invalid++;
+
+      if (parsed.output === "json") {
+        records.push(toRecord(item));
+      } else if (parsed.output === "xml" || parsed.output === "votable") {
+        records.push({ index: records.length, ...item });
+      } else if (parsed.output === "ndjson") {
+        stdout.write(JSON.stringify(toRecord(item)) + "\n");
+      } else {
+        const { out, err } = formatPlain(item);
+        if (out !== undefined) stdout.write(out + "\n");
+        if (err !== undefined) stderr.write(err + "\n");
+      }
+    }
+  } catch (error) {
+    stderr.write(`coordinate-sanitizer: ${error.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  if (parsed.output === "json") {
+    stdout.write(JSON.stringify(records, null, 2) + "\n");
+  } else if (parsed.output !== "plain" && parsed.output !== "ndjson") {
+    stdout.write(sanitizer.serialize(records, parsed.output));
+  }
+
+  return invalid > 0 ? EXIT_INVALID : EXIT_OK;
+}
+
+module.exports = {
+  parseArgs,
+  run,
+};
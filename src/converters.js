@@ -0,0 +1,93 @@
+/**
+ * Sexagesimal conversions
+ * Converts between decimal values and hours/degrees, minutes and seconds.
+ * Seconds are rounded to milliseconds, with the carry into minutes and
+ * hours/degrees handled so that 60.000 never appears.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+/**
+ * Convert HMS to decimal hours
+ * @param {number} hours
+ * @param {number} minutes
+ * @param {number} seconds
+ * @returns {number}
+ */
+function hmsToDecimal(hours, minutes, seconds) {
+  return hours + minutes / 60 + seconds / 3600;
+}
+
+/**
+ * Convert decimal hours to HMS
+ * @param {number} decimal
+ * @returns {{hours: number, minutes: number, seconds: number}}
+ */
+function decimalToHMS(decimal) {
+  let hours = Math.floor(decimal);
+  const minutesDecimal = (decimal - hours) * 60;
+  let minutes = Math.floor(minutesDecimal);
+  let seconds = Math.round((minutesDecimal - minutes) * 60 * 1000) / 1000;
+
+  // Carry over floating point overflow
+  if (seconds >= 60) {
+    seconds = 0;
+    minutes += 1;
+    if (minutes >= 60) {
+      minutes = 0;
+      hours += 1;
+    }
+  }
+
+  return { hours, minutes, seconds };
+}
+
+/**
+ * Convert DMS to decimal degrees
+ * @param {number} degrees
+ * @param {number} minutes
+ * @param {number} seconds
+ * @param {boolean|null} [isNegative] - Sign, when degrees is -0 (e.g. "-00 30 00")
+ * @returns {number}
+ */
+function dmsToDecimal(degrees, minutes, seconds, isNegative = null) {
+  // If isNegative is explicitly provided, use it (handles -00 case)
+  // Otherwise, determine sign from degrees value
+  const sign = isNegative !== null ? (isNegative ? -1 : 1) : (degrees < 0 ? -1 : 1);
+  return sign * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+}
+
+/**
+ * Convert decimal degrees to DMS
+ * @param {number} decimal
+ * @returns {{degrees: number, minutes: number, seconds: number}}
+ */
+function decimalToDMS(decimal) {
+  const sign = decimal < 0 ? -1 : 1;
+  const absDecimal = Math.abs(decimal);
+  let deg = Math.floor(absDecimal);
+  const minutesDecimal = (absDecimal - deg) * 60;
+  let minutes = Math.floor(minutesDecimal);
+  let seconds = Math.round((minutesDecimal - minutes) * 60 * 1000) / 1000;
+
+  // Carry over floating point overflow
+  if (seconds >= 60) {
+    seconds = 0;
+    minutes += 1;
+    if (minutes >= 60) {
+      minutes = 0;
+      deg += 1;
+    }
+  }
+
+  const degrees = deg * sign;
+  return { degrees, minutes, seconds };
+}
+
+module.exports = {
+  decimalToDMS,
+  decimalToHMS,
+  dmsToDecimal,
+  hmsToDecimal,
+};
@@ -0,0 +1,246 @@
+/**
+ * Catalog designation patterns
+ * Recognizes object designations (M31, NGC 1234, TYC 1234-567-1,
+ * 2MASS J00424433+4116074, ...) so that they are treated as object names
+ * rather than coordinates, and gives each its canonical form
+ * ("ngc1234" -> "NGC 1234").
+ *
+ * A definition is { name, pattern, normalize }: the pattern is tested against
+ * the whitespace-collapsed input, and normalize(match) returns the canonical
+ * designation (the input itself when there is no normalize).
+ *
+ * Positional (IAU-style) designations such as SDSS J123456.78+123456.7 or
+ * PSR B1919+21 encode a truncated sexagesimal position, which
+ * parsePositionalDesignation decodes together with its precision.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const { dmsToDecimal, hmsToDecimal } = require("./converters");
+
+// Acronym, J (J2000) or B (B1950), then the truncated RA and DEC digits
+const POSITIONAL_DESIGNATION =
+  /^([A-Z0-9]*[A-Z][A-Z0-9]*)\s*([JB])(\d{2,}(?:\.\d+)?)([+-])(\d{2,}(?:\.\d+)?)$/i;
+
+// Size of the hours/degrees, minutes and seconds units, in seconds
+const UNIT_SECONDS = [3600, 60, 1];
+
+const capitalize = (word) =>
+  word[0].toUpperCase() + word.slice(1).toLowerCase();
+
+/**
+ * Definition for "<prefix> <number>" designations
+ * @param {string} name - Catalog name
+ * @param {string} prefixes - Accepted prefixes (regex alternation)
+ * @param {Object} [options]
+ * @param {string} [options.number="\\d+"] - Number pattern
+ * @param {string} [options.prefix=name] - Prefix of the canonical form
+ * @param {string} [options.separator=" "] - Separator in the canonical form
+ */
+function numbered(name, prefixes, options = {}) {
+  const { number = "\\d+", prefix = name, separator = " " } = options;
+  return {
+    name,
+    pattern: new RegExp(`^(?:${prefixes})\\s*0*(${number})$`, "i"),
+    normalize: (match) => `${prefix}${separator}${match[1].toUpperCase()}`,
+  };
+}
+
+// Bundled definitions, tried in order (the generic star-name patterns last)
+const CATALOG_PATTERNS = Object.freeze(
+  [
+    // Deep-sky catalogs
+    numbered("Messier", "M|Messier", {
+      number: "\\d{1,3}",
+      prefix: "M",
+      separator: "",
+    }),
+    numbered("Caldwell", "C|Caldwell", {
+      number: "\\d{1,3}",
+      prefix: "C",
+      separator: "",
+    }),
+    numbered("NGC", "NGC", { number: "\\d{1,4}[A-Z]?" }),
+    numbered("IC", "IC", { number: "\\d{1,4}[A-Z]?" }),
+    numbered("UGC", "UGC", { number: "\\d{1,5}[A-Z]?" }),
+    numbered("PGC", "PGC|LEDA"),
+    numbered("Arp", "Arp", { number: "\\d{1,3}" }),
+    numbered("Abell", "Abell|ACO", { number: "\\d{1,4}" }),
+    numbered("HCG", "HCG|Hickson", { number: "\\d{1,3}" }),
+    numbered("Sh2", "Sh\\s*2\\s*-?", { separator: "-" }),
+    numbered("LBN", "LBN"),
+    numbered("LDN", "LDN"),
+    numbered("Barnard", "Barnard"),
+    numbered("vdB", "vdB|van\\s*den\\s*Bergh", { number: "\\d{1,3}" }),
+    numbered("Ced", "Ced|Cederblad", { number: "\\d{1,3}[A-Z]?" }),
+    numbered("Collinder", "Collinder|Cr|Col", { number: "\\d{1,3}" }),
+    numbered("Melotte", "Melotte|Mel", { number: "\\d{1,3}" }),
+    numbered("Trumpler", "Trumpler|Tr", { number: "\\d{1,2}" }),
+    numbered("Stock", "Stock", { number: "\\d{1,2}" }),
+    {
+      name: "PK",
+      pattern: /^PK\s*(\d{1,3}[+-]\d{1,2}(?:\.\d+)?)$/i,
+      normalize: (match) => `PK ${match[1]}`,
+    },
+
+    // Stellar catalogs
+    numbered("HIP", "HIP"),
+    numbered("HD", "HD", { number: "\\d+[A-Z]?" }),
+    numbered("HR", "HR|BSC"),
+    numbered("SAO", "SAO"),
+    numbered("GJ", "GJ|Gliese|Gl", { number: "\\d+(?:\\.\\d)?[A-Z]?" }),
+    {
+      name: "TYC",
+      pattern: /^TYC\s*(\d{1,4})-(\d{1,5})-(\d)$/i,
+      normalize: (match) => `TYC ${match[1]}-${match[2]}-${match[3]}`,
+    },
+    {
+      name: "2MASS",
+      pattern: /^2MASS\s*J?\s*(\d{8}(?:\.\d+)?[+-]\d{7}(?:\.\d+)?)$/i,
+      normalize: (match) => `2MASS J${match[1]}`,
+    },
+    {
+      name: "Gaia",
+      pattern: /^Gaia\s*(DR[1-3]|EDR3)\s*(\d+)$/i,
+      normalize: (match) => `Gaia ${match[1].toUpperCase()} ${match[2]}`,
+    },
+    {
+      name: "WDS",
+      pattern: /^WDS\s*J?\s*(\d{5}[+-]\d{4})$/i,
+      normalize: (match) => `WDS J${match[1]}`,
+    },
+
+    // Star names: variable stars (R And, RR Lyr, V1500 Cyg), Flamsteed
+    // numbers (51 Eri) and named or Bayer stars (ALPHA CENTAURI)
+    {
+      name: "Variable star",
+      pattern: /^([A-Z]{1,2}|V\d{3,4})\s+([A-Z]{3,})$/i,
+      normalize: (match) =>
+        `${match[1].toUpperCase()} ${capitalize(match[2])}`,
+    },
+    {
+      name: "Flamsteed",
+      pattern: /^(\d{1,3})\s+([A-Z]{2,})$/i,
+      normalize: (match) => `${match[1]} ${capitalize(match[2])}`,
+    },
+    {
+      name: "Star name",
+      pattern: /^([A-Z]{2,})\s+([A-Z]{2,})$/i,
+      normalize: (match) =>
+        `${capitalize(match[1])} ${capitalize(match[2])}`,
+    },
+  ].map(Object.freeze)
+);
+
+/**
+ * Validate a catalog definition
+ * @param {string} name
+ * @param {RegExp|Object} definition - Pattern, or { pattern, normalize }
+ * @returns {{name: string, pattern: RegExp, normalize: Function|undefined}}
+ * @throws {TypeError} If the name, pattern or normalizer is invalid
+ */
+function createDefinition(name, definition) {
+  if (!name || typeof name !== "string") {
+    throw new TypeError("A catalog needs a name");
+  }
+  const { pattern, normalize } =
+    definition instanceof RegExp ? { pattern: definition } : definition || {};
+  if (!(pattern instanceof RegExp)) {
+    throw new TypeError(`Catalog "${name}" needs a pattern (RegExp)`);
+  }
+  if (normalize !== undefined && typeof normalize !== "function") {
+    throw new TypeError(`Catalog "${name}": normalize must be a function`);
+  }
+  return { name, pattern, normalize };
+}
+
+/**
+ * Find the first definition matching a designation
+ * @param {Array<Object>} definitions
+ * @param {string} input
+ * @returns {{catalog: string, designation: string}|null}
+ */
+function matchDesignation(definitions, input) {
+  const name = String(input).trim().replace(/\s+/g, " ");
+  for (const { name: catalog, pattern, normalize } of definitions) {
+    const match = name.match(pattern);
+    if (match) {
+      return { catalog, designation: normalize ? normalize(match) : name };
+    }
+  }
+  return null;
+}
+
+/**
+ * Split designation digits into hours/degrees, minutes and seconds. Digits
+ * past the seconds, or an odd trailing digit (HHMMm), are implied decimals of
+ * the last unit, as in 2MASS J05355871-0527010.
+ * @returns {{values: number[], precision: number}|null} Units (missing ones
+ *   are 0) and the size of the last digit in seconds, or null if malformed
+ */
+function splitSexagesimal(text) {
+  const [digits, fraction = ""] = text.split(".");
+  const units = Math.min(3, Math.floor(digits.length / 2));
+  const implied = digits.slice(units * 2);
+  if (implied && fraction) return null;
+
+  const decimals = implied || fraction;
+  const values = [0, 0, 0];
+  for (let i = 0; i < units; i++) {
+    values[i] = parseInt(digits.slice(i * 2, i * 2 + 2), 10);
+  }
+  if (decimals) {
+    values[units - 1] += parseFloat(`0.${decimals}`);
+  }
+  if (values[1] >= 60 || values[2] >= 60) return null;
+
+  return {
+    values,
+    precision: UNIT_SECONDS[units - 1] / 10 ** decimals.length,
+  };
+}
+
+/**
+ * Decode the position encoded in an IAU-style designation
+ * (2MASS J05355871-0527010, SDSS J123456.78+123456.7, PSR J0534+2200).
+ * Designations truncate the position, so the true position lies up to one
+ * unit of the last digit beyond the decoded one.
+ * @param {string} input
+ * @returns {{catalog: string, designation: string, equinox: string, ra: number, dec: number, precision: {ra: number, dec: number}}|null}
+ *   RA in hours, DEC in degrees, precision of RA in seconds of time and of
+ *   DEC in arcseconds; null if the input is not a positional designation
+ */
+function parsePositionalDesignation(input) {
+  const match = String(input)
+    .trim()
+    .replace(/\s+/g, " ")
+    .match(POSITIONAL_DESIGNATION);
+  if (!match) return null;
+
+  const [, acronym, system, raText, sign, decText] = match;
+  const ra = splitSexagesimal(raText);
+  const dec = splitSexagesimal(decText);
+  if (!ra || !dec || ra.values[0] >= 24 || dec.values[0] > 90) return null;
+
+  const decimalDec = dmsToDecimal(...dec.values, sign === "-");
+  if (Math.abs(decimalDec) > 90) return null;
+
+  const catalog = acronym.toUpperCase();
+  const equinox = system.toUpperCase() === "B" ? "B1950" : "J2000";
+  return {
+    catalog,
+    designation: `${catalog} ${equinox[0]}${raText}${sign}${decText}`,
+    equinox,
+    ra: hmsToDecimal(...ra.values),
+    dec: decimalDec,
+    precision: { ra: ra.precision, dec: dec.precision },
+  };
+}
+
+module.exports = {
+  CATALOG_PATTERNS,
+  createDefinition,
+  matchDesignation,
+  parsePositionalDesignation,
+};
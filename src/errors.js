@@ -0,0 +1,227 @@
+/**
+ * Structured errors and warnings
+ * Every error has a stable code, the values its message is built from, the
+ * input component it concerns and, when it can be located, the character
+ * span of the original input that caused it. Callers can branch on codes and
+ * highlight spans instead of matching message text. Warnings have the same
+ * shape and flag input that was accepted but deserves a second look.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+// Message templates by code: "{name}" is replaced by params.name
+const ERROR_MESSAGES = Object.freeze({
+  INVALID_INPUT: "Input must be a non-empty string",
+  MALICIOUS_INPUT: "Input contains potentially malicious content",
+  AMBIGUOUS_SEPARATOR:
+    "Strict mode: use an explicit separator (comma or semicolon) between RA and DEC",
+  INSUFFICIENT_COMPONENTS: "Insufficient coordinate components",
+  RA_INVALID_FORMAT: "Invalid coordinates: Invalid RA format: {text}",
+  RA_NEGATIVE_HMS:
+    "Invalid coordinates: Invalid RA format: {text} (negative values not allowed in HMS)",
+  DEC_INVALID_FORMAT: "Invalid coordinates: Invalid DEC format: {text}",
+  LABEL_DUPLICATED: "Labelled coordinates: {label} is given more than once",
+  LABEL_MISSING: (params) =>
+    params.missing === "ra"
+      ? `Labelled coordinates: ${params.label} has no matching RA label`
+      : `Labelled coordinates: ${params.label} has no matching DEC label`,
+  RA_OUT_OF_RANGE: (params) =>
+    params.unit === "degrees"
+      ? `RA out of range: ${params.value} (must be 0-360 degrees)`
+      : `RA out of range: ${params.value} (must be 0-24 hours)`,
+  DEC_OUT_OF_RANGE: "DEC out of range: {value} (must be -90 to +90 degrees)",
+  RA_MINUTES_OVERFLOW: "RA minutes out of range: {value} (must be below 60)",
+  RA_SECONDS_OVERFLOW: "RA seconds out of range: {value} (must be below 60)",
+  DEC_MINUTES_OVERFLOW: "DEC minutes out of range: {value} (must be below 60)",
+  DEC_SECONDS_OVERFLOW: "DEC seconds out of range: {value} (must be below 60)",
+  DEC_POLE_COMPONENTS:
+    "DEC of ±90° must have zero minutes and seconds: {text}",
+  LON_OUT_OF_RANGE: "{label} out of range: {value} (must be 0-360 degrees)",
+  LAT_OUT_OF_RANGE: "{label} out of range: {value} (must be -90 to +90 degrees)",
+  UNSUPPORTED_EQUINOX: 'Unsupported equinox: "{equinox}"',
+  UNSUPPORTED_TARGET_EQUINOX: 'Unsupported target equinox: "{equinox}"',
+  INVALID_MOTION: "Proper motion must be an object",
+  INVALID_MOTION_VALUE: "Invalid proper motion: {key} must be a finite number",
+  NEGATIVE_PARALLAX: "Invalid proper motion: parallax must not be negative",
+  INVALID_EPOCH: "Invalid catalog epoch: {epoch}",
+  INVALID_TARGET_EPOCH: "Invalid target epoch: {epoch}",
+  NO_COORDINATES: "No coordinates found: {text}",
+  RESOLVED_POSITION_INVALID: (params) =>
+    params.component === "ra"
+      ? `Resolver returned an invalid RA for "${params.name}": ${params.value}`
+      : `Resolver returned an invalid DEC for "${params.name}": ${params.value}`,
+});
+
+const ERROR_CODES = Object.freeze(Object.keys(ERROR_MESSAGES));
+
+// Message templates of warnings by code
+const WARNING_MESSAGES = Object.freeze({
+  RA_UNIT_AMBIGUOUS:
+    "Decimal RA {value} was read as hours; it could also be degrees (set raUnit)",
+  COMPACT_FORMAT_GUESSED: "{text} was read as compact {layout}",
+  OBJECT_NAME_FALLBACK: "Read as an object name: {reason}",
+  PRECISION_TRUNCATED:
+    "Precision truncated: {text} has more digits than the output keeps",
+});
+
+const WARNING_CODES = Object.freeze(Object.keys(WARNING_MESSAGES));
+
+// Explanations of the readings offered by interpretCoordinates
+const READING_MESSAGES = Object.freeze({
+  READING_SEXAGESIMAL:
+    "RA {ra} as hours, minutes and seconds; DEC {dec} as degrees, arcminutes and arcseconds",
+  READING_COMPACT: "RA {ra} as compact HHMMSS; DEC {dec} as compact ±DDMMSS",
+  READING_HOURS_DEGREES: "RA {ra} as decimal hours; DEC {dec} as decimal degrees",
+  READING_DEGREES_DEGREES: "RA {ra} and DEC {dec} as decimal degrees",
+  READING_AS_ENTERED: "Read as entered",
+});
+
+// Error type used to group batch failures
+const ERROR_TYPES = {
+  INVALID_INPUT: "invalid-input",
+  MALICIOUS_INPUT: "malicious-content",
+  AMBIGUOUS_SEPARATOR: "strict-mode",
+  INSUFFICIENT_COMPONENTS: "invalid-format",
+  RA_INVALID_FORMAT: "invalid-format",
+  RA_NEGATIVE_HMS: "invalid-format",
+  DEC_INVALID_FORMAT: "invalid-format",
+  LABEL_DUPLICATED: "invalid-format",
+  LABEL_MISSING: "invalid-format",
+  RA_OUT_OF_RANGE: "ra-out-of-range",
+  DEC_OUT_OF_RANGE: "dec-out-of-range",
+  RA_MINUTES_OVERFLOW: "ra-out-of-range",
+  RA_SECONDS_OVERFLOW: "ra-out-of-range",
+  DEC_MINUTES_OVERFLOW: "dec-out-of-range",
+  DEC_SECONDS_OVERFLOW: "dec-out-of-range",
+  DEC_POLE_COMPONENTS: "dec-out-of-range",
+  LON_OUT_OF_RANGE: "frame-out-of-range",
+  LAT_OUT_OF_RANGE: "frame-out-of-range",
+  UNSUPPORTED_EQUINOX: "invalid-equinox",
+  UNSUPPORTED_TARGET_EQUINOX: "invalid-equinox",
+  INVALID_MOTION: "invalid-motion",
+  INVALID_MOTION_VALUE: "invalid-motion",
+  NEGATIVE_PARALLAX: "invalid-motion",
+  INVALID_EPOCH: "invalid-motion",
+  INVALID_TARGET_EPOCH: "invalid-motion",
+  NO_COORDINATES: "no-coordinates",
+  RESOLVED_POSITION_INVALID: "invalid-resolver",
+};
+
+/**
+ * Build the message for an error, warning or reading code
+ * @param {string} code
+ * @param {Object} [params]
+ * @param {Object} [messages] - Templates by code (e.g. a locale's), used
+ *   before the English ones
+ * @returns {string}
+ */
+function formatMessage(code, params = {}, messages = {}) {
+  const template =
+    messages[code] ||
+    ERROR_MESSAGES[code] ||
+    WARNING_MESSAGES[code] ||
+    READING_MESSAGES[code];
+  if (typeof template === "function") return template(params);
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Create a structured error or warning
+ * @param {string} code - One of ERROR_CODES or WARNING_CODES
+ * @param {Object} [params] - Values the message is built from
+ * @param {Object} [location]
+ * @param {string} [location.component="input"] - ra, dec, lon, lat, separator, equinox, motion or input
+ * @param {{start: number, end: number}|null} [location.span=null] - Characters of the input at fault
+ * @returns {{code: string, message: string, component: string, span: Object|null, params: Object}}
+ */
+function createError(code, params = {}, location = {}) {
+  const { component = "input", span = null } = location;
+  return {
+    code,
+    message: formatMessage(code, params),
+    component,
+    span,
+    params,
+  };
+}
+
+/**
+ * Error type used to group batch failures
+ * @param {Object|null} error - Structured error
+ * @returns {string}
+ */
+function errorType(error) {
+  return (error && ERROR_TYPES[error.code]) || "other";
+}
+
+/**
+ * Apply a global regex replacement to text while tracking, for each
+ * character, the index of the original character it came from (replacement
+ * characters point at the start of what they replace)
+ * @param {{text: string, offsets: number[]}} tracked
+ * @param {RegExp} pattern - Global pattern
+ * @param {string} replacement - Literal replacement
+ * @returns {{text: string, offsets: number[]}}
+ */
+function replaceTracked({ text, offsets }, pattern, replacement) {
+  let result = "";
+  const mapped = [];
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    result += text.slice(last, match.index) + replacement;
+    mapped.push(...offsets.slice(last, match.index));
+    for (let i = 0; i < replacement.length; i++) {
+      mapped.push(offsets[match.index]);
+    }
+    last = match.index + match[0].length;
+  }
+
+  return {
+    text: result + text.slice(last),
+    offsets: mapped.concat(offsets.slice(last)),
+  };
+}
+
+/**
+ * Start tracking character offsets of a string
+ * @param {string} text
+ * @returns {{text: string, offsets: number[]}}
+ */
+function track(text) {
+  return {
+    text,
+    offsets: Array.from({ length: text.length }, (_, index) => index),
+  };
+}
+
+/**
+ * Map a span of tracked text back to the original text
+ * @param {{start: number, end: number}} span
+ * @param {number[]} offsets - From replaceTracked
+ * @returns {{start: number, end: number}}
+ */
+function mapSpan(span, offsets) {
+  if (offsets.length === 0) return { start: 0, end: 0 };
+  const at = (index) => offsets[Math.min(index, offsets.length - 1)];
+  const start = at(span.start);
+  const end = span.end > span.start ? at(span.end - 1) + 1 : start;
+  return { start, end };
+}
+
+module.exports = {
+  ERROR_CODES,
+  ERROR_MESSAGES,
+  READING_MESSAGES,
+  WARNING_CODES,
+  WARNING_MESSAGES,
+  createError,
+  errorType,
+  formatMessage,
+  mapSpan,
+  replaceTracked,
+  track,
+};
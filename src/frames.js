@@ -0,0 +1,142 @@
+/**
+ * Celestial reference frame conversions
+ * Converts positions between equatorial (ICRS/FK5 J2000), Galactic, ecliptic
+ * and supergalactic coordinates using fixed rotation matrices.
+ *
+ * All angles are in degrees. ICRS and FK5 (J2000) are treated as the same
+ * frame: the frame bias between them is below 0.03" and well under the
+ * precision of the formatted output.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const DEG = Math.PI / 180;
+
+// J2000 mean obliquity of the ecliptic (IAU 1976): 84381.448"
+const OBLIQUITY_J2000 = 84381.448 / 3600;
+
+// ICRS -> Galactic (Hipparcos, ESA 1997)
+const ICRS_TO_GALACTIC = [
+  [-0.0548755604162154, -0.873437090234885, -0.4838350155487132],
+  [0.4941094278755837, -0.44482962996001, 0.7469822444972189],
+  [-0.8676661490190047, -0.1980763734312015, 0.4559837761750669],
+];
+
+// Galactic -> supergalactic (de Vaucouleurs et al. 1991):
+// SG north pole at l=47.37°, b=+6.32°; SGL=0 at l=137.37°, b=0°
+const GALACTIC_TO_SUPERGALACTIC = [
+  [-0.7357425748043749, 0.6772612964138943, 0.0],
+  [-0.0745537783652337, -0.0809914713069767, 0.9939225903997749],
+  [0.6731453021092076, 0.7312711658169645, 0.1100812622247821],
+];
+
+const cosE = Math.cos(OBLIQUITY_J2000 * DEG);
+const sinE = Math.sin(OBLIQUITY_J2000 * DEG);
+
+// ICRS -> supergalactic, via Galactic
+const ICRS_TO_SUPERGALACTIC = GALACTIC_TO_SUPERGALACTIC.map((row) =>
+  multiply(transpose(ICRS_TO_GALACTIC), row)
+);
+
+// ICRS -> ecliptic (J2000 mean ecliptic and equinox)
+const ICRS_TO_ECLIPTIC = [
+  [1, 0, 0],
+  [0, cosE, sinE],
+  [0, -sinE, cosE],
+];
+
+/**
+ * Supported frame names, with the labels used for their longitude/latitude
+ */
+const FRAMES = {
+  icrs: { equatorial: true, lon: "ra", lat: "dec" },
+  fk5: { equatorial: true, lon: "ra", lat: "dec" },
+  galactic: { equatorial: false, lon: "l", lat: "b" },
+  ecliptic: { equatorial: false, lon: "lambda", lat: "beta" },
+  supergalactic: { equatorial: false, lon: "sgl", lat: "sgb" },
+};
+
+function multiply(matrix, vector) {
+  return matrix.map(
+    (row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+  );
+}
+
+function transpose(matrix) {
+  return matrix[0].map((_, i) => matrix.map((row) => row[i]));
+}
+
+function toVector(lon, lat) {
+  const cosLat = Math.cos(lat * DEG);
+  return [
+    cosLat * Math.cos(lon * DEG),
+    cosLat * Math.sin(lon * DEG),
+    Math.sin(lat * DEG),
+  ];
+}
+
+function fromVector([x, y, z]) {
+  let lon = Math.atan2(y, x) / DEG;
+  if (lon < 0) lon += 360;
+  const lat = Math.atan2(z, Math.sqrt(x * x + y * y)) / DEG;
+  return { lon, lat };
+}
+
+/**
+ * Rotation matrix taking ICRS vectors into the given frame
+ */
+function fromICRSMatrix(frame) {
+  switch (frame) {
+    case "galactic":
+      return ICRS_TO_GALACTIC;
+    case "ecliptic":
+      return ICRS_TO_ECLIPTIC;
+    case "supergalactic":
+      return ICRS_TO_SUPERGALACTIC;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a frame name is supported
+ * @param {string} frame
+ * @returns {boolean}
+ */
+function isSupportedFrame(frame) {
+  return Object.prototype.hasOwnProperty.call(FRAMES, frame);
+}
+
+/**
+ * Convert a position between two frames
+ * @param {number} lon - Longitude in degrees (RA in degrees for equatorial frames)
+ * @param {number} lat - Latitude in degrees
+ * @param {string} from - Source frame
+ * @param {string} to - Target frame
+ * @returns {{lon: number, lat: number}}
+ * @throws {Error} If either frame is not supported
+ */
+function convertFrame(lon, lat, from, to) {
+  for (const frame of [from, to]) {
+    if (!isSupportedFrame(frame)) {
+      throw new Error(
+        `Unknown frame: "${frame}". Available frames: ${Object.keys(FRAMES).join(", ")}`
+      );
+    }
+  }
+
+  let vector = toVector(lon, lat);
+  const toICRS = fromICRSMatrix(from);
+  if (toICRS) vector = multiply(transpose(toICRS), vector);
+  const fromICRS = fromICRSMatrix(to);
+  if (fromICRS) vector = multiply(fromICRS, vector);
+
+  return fromVector(vector);
+}
+
+module.exports = {
+  FRAMES,
+  convertFrame,
+  isSupportedFrame,
+};
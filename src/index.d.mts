@@ -0,0 +1,85 @@
+/**
+ * Coordinate Sanitization Library TypeScript Definitions (ES module entry)
+ */
+
+import CoordinateSanitizer from "./index.js";
+
+export default CoordinateSanitizer;
+export {
+  CoordinateSanitizer,
+  PRESETS,
+  ERROR_CODES,
+  WARNING_CODES,
+  OUTPUT_TEMPLATES,
+  SERIALIZATION_FORMATS,
+  LOCALES,
+  CATALOG_PATTERNS,
+  hmsToDecimal,
+  decimalToHMS,
+  dmsToDecimal,
+  decimalToDMS,
+  convertFrame,
+  parseEquinox,
+  precess,
+  propagate,
+  angularSeparation,
+  positionAngle,
+  offsetPosition,
+  raDifference,
+  createCatalogResolver,
+  createSesameResolver,
+  createLRUCache,
+  createFileCache,
+} from "./index.js";
+export type {
+  CoordinateSanitizerOptions,
+  ResolvedObject,
+  ObjectResolver,
+  AsyncObjectResolver,
+  RegisterResolverOptions,
+  CatalogDefinition,
+  CatalogMatch,
+  ResolverCache,
+  LRUCache,
+  ResolverError,
+  SesameResolverOptions,
+  ProperMotion,
+  CoordinateFrame,
+  CoordinateComponent,
+  RAComponent,
+  DecComponent,
+  SanitizationMetadata,
+  ProtocolMessage,
+  PositionOffset,
+  Separation,
+  CoordinateObject,
+  SanitizationResult,
+  ErrorCode,
+  ErrorDetail,
+  WarningCode,
+  ResultWarning,
+  Reading,
+  Interpretation,
+  InterpretationResult,
+  LocaleDefinition,
+  LocaleName,
+  BatchOptions,
+  BatchItem,
+  BatchFailure,
+  BatchWarning,
+  BatchResult,
+  LineOptions,
+  StreamOptions,
+  LineResult,
+  TableOptions,
+  TableColumns,
+  TableRow,
+  TableResult,
+  SupportedFormats,
+  PresetName,
+  Equinox,
+  OutputFormat,
+  OutputTemplate,
+  SerializationFormat,
+  InputFormat,
+} from "./index.js";
@@ -3,9 +3,21 @@
  * @version 1.0.4
  */
 
-export interface CoordinateSanitizerOptions {
-  /** Output format for coordinates */
-  outputFormat?: 'aladin' | 'decimal' | 'hms-dms';
+/** Output formats for equatorial coordinates ('object' gives a CoordinateObject) */
+type OutputFormat = 'aladin' | 'decimal' | 'hms-dms' | 'lx200' | 'lx200-low' | 'indi' | 'ascom' | 'object';
+
+/** Formats of `serialize` */
+type SerializationFormat = 'json' | 'xml' | 'votable';
+
+/** Output template, such as '{ra:hh}:{ra:mm}:{ra:ss.2} {dec:+dd}:{dec:mm}:{dec:ss.1}' */
+type OutputTemplate = `${string}{${string}}${string}`;
+
+/** Kind of input detected, reported in `metadata.inputFormat` */
+type InputFormat = 'coordinates' | 'object-name' | 'already-valid' | 'designation';
+
+interface CoordinateSanitizerOptions {
+  /** Output format for coordinates: a named format or an output template */
+  outputFormat?: OutputFormat | OutputTemplate;
   /** Decimal precision for output */
   precision?: number;
   /** Enable range validation */
@@ -16,9 +28,214 @@ export interface CoordinateSanitizerOptions {
    * an explicit separator (comma or semicolon) between RA and DEC is required.
    */
   strictMode?: boolean;
+  /**
+   * Unit of decimal RA input.
+   * 'auto' reads values of 24 or more as degrees and smaller values as hours.
+   * An explicit "h" or "°" marker in the input always wins. Sexagesimal RA is
+   * always read as hours. With 'degrees', decimal output keeps RA in degrees.
+   */
+  raUnit?: 'hours' | 'degrees' | 'auto';
+  /**
+   * Frame of plain decimal pairs in the input. Labelled input
+   * (l=… b=…, G121.17-21.57, λ=… β=…, SGL=… SGB=…) is always recognized.
+   */
+  inputFrame?: CoordinateFrame;
+  /**
+   * Frame of the output. Non-equatorial frames are output as decimal degrees.
+   */
+  outputFrame?: CoordinateFrame;
+  /**
+   * Equinox of input that carries no tag: 'J2000' (default), 'B1950', 'FK4',
+   * 'FK5', 'ICRS', 'JNow' or any Julian equinox such as 'J2025.5'.
+   * Tags in the input (e.g. "… B1950", "(J2000)", "FK4 …") win over this option.
+   */
+  equinox?: string | null;
+  /**
+   * Equinox to precess to before formatting (default: 'J2000').
+   * 'JNow' is the mean equinox of `observationDate` (precession only).
+   */
+  targetEquinox?: string;
+  /** Date used to resolve 'JNow' (default: the current time) */
+  observationDate?: Date | string | number | null;
+  /**
+   * Epoch to propagate proper motion to: a Julian year (2026.5), a 'J2026.5'
+   * label or a Date (default: `observationDate`)
+   */
+  targetEpoch?: number | string | Date | null;
+  /**
+   * Resolver for object names (default: null, names are passed through).
+   * 'bundled' uses the offline Messier/Caldwell/NGC/IC/bright-star catalog.
+   */
+  resolver?: 'bundled' | ObjectResolver | null;
+  /**
+   * Cache used by `sanitizeCoordinatesAsync` for resolved names: null (default)
+   * for an in-memory LRU cache, false to disable, or any object with get/set
+   * (e.g. `createFileCache`)
+   */
+  resolverCache?: ResolverCache | false | null;
+  /** Default timeout for each resolver in `sanitizeCoordinatesAsync`, in ms (default: 5000) */
+  resolverTimeout?: number;
+  /**
+   * Decimal mark, unit words and error messages: a bundled locale, a language
+   * tag such as 'de-CH', or a custom definition (default: 'en').
+   * In 'it', 'de' and 'fr', "12,5; -45,75" reads as RA 12.5, DEC -45.75.
+   */
+  locale?: LocaleName | (string & {}) | LocaleDefinition;
+  /**
+   * Sexagesimal minutes or seconds of 60 or more, and a DEC of ±90° with
+   * non-zero minutes or seconds: 'reject' the input, accept it with a
+   * warning ('warn'), or carry the overflow into the next unit and warn
+   * ('normalize') (default: 'reject')
+   */
+  componentValidation?: 'reject' | 'warn' | 'normalize';
+  /** Device named in 'indi' output (default: 'Telescope Simulator') */
+  indiDevice?: string | null;
+}
+
+/** Bundled locales */
+type LocaleName = 'en' | 'it' | 'de' | 'fr';
+
+/** Number conventions, unit words and error messages of a locale */
+interface LocaleDefinition {
+  /** Read a comma between digits as the decimal mark; RA and DEC are then separated by ";" or whitespace */
+  decimalComma?: boolean;
+  /** Words read as unit letters, e.g. `{ h: ['ore'], d: ['gradi'] }` */
+  units?: Partial<Record<'h' | 'm' | 's' | 'd', string[]>>;
+  /** Message templates by error code ("{value}" is replaced by `params.value`); missing codes use English */
+  messages?: Partial<Record<ErrorCode, string | ((params: Record<string, unknown>) => string)>>;
+}
+
+/** A position found for an object name */
+interface ResolvedObject {
+  /** Designation of the catalog entry, e.g. 'M31' */
+  name: string;
+  /** RA in degrees (ICRS/J2000) */
+  ra: number;
+  /** DEC in degrees (ICRS/J2000) */
+  dec: number;
+  /** Catalog the entry belongs to, e.g. 'Messier', 'Caldwell', 'NGC/IC', 'Star' */
+  catalog?: string;
+  /** Where the position came from, e.g. 'bundled' */
+  source?: string;
+  /** Other designations and common names */
+  aliases?: string[];
+  /** Whether the position came from the resolver cache */
+  cached?: boolean;
+}
+
+/** Recognizes the designations of one catalog */
+interface CatalogDefinition {
+  /** Tested against the input with whitespace collapsed to single spaces */
+  pattern: RegExp;
+  /** Canonical designation from the match (default: the input) */
+  normalize?: (match: RegExpMatchArray) => string;
+}
+
+/** A catalog designation recognized by `matchCatalog` */
+interface CatalogMatch {
+  /** Catalog name, e.g. 'NGC' */
+  catalog: string;
+  /** Canonical designation, e.g. 'NGC 1234' */
+  designation: string;
+}
+
+/** Looks up object names */
+interface ObjectResolver {
+  /** Resolver name */
+  name?: string;
+  /** Position for a name, or null if unknown */
+  resolve(name: string): ResolvedObject | null;
+}
+
+/** Looks up object names, possibly asynchronously (for `sanitizeCoordinatesAsync`) */
+interface AsyncObjectResolver {
+  /** Resolver name, used as `metadata.object.source` */
+  name?: string;
+  /**
+   * Position for a name, or null if unknown
+   * @param options.signal Aborted when the resolver times out
+   */
+  resolve(
+    name: string,
+    options: { signal?: AbortSignal }
+  ): ResolvedObject | null | Promise<ResolvedObject | null>;
+}
+
+/** Options for `registerResolver` */
+interface RegisterResolverOptions {
+  /** Higher priorities are consulted first (default: 0, same as the `resolver` option) */
+  priority?: number;
+  /** Timeout in ms (default: the `resolverTimeout` option) */
+  timeout?: number;
+  /** Label used in metadata (default: the resolver's name) */
+  name?: string;
+}
+
+/** Cache of resolved names, keyed by normalized name */
+interface ResolverCache {
+  get(key: string): ResolvedObject | undefined | Promise<ResolvedObject | undefined>;
+  set(key: string, value: ResolvedObject): unknown;
+}
+
+/** In-memory least-recently-used cache from `createLRUCache` */
+interface LRUCache extends ResolverCache {
+  get(key: string): ResolvedObject | undefined;
+  set(key: string, value: ResolvedObject): void;
+  delete(key: string): boolean;
+  clear(): void;
+  entries(): Array<[string, ResolvedObject]>;
+  readonly size: number;
+}
+
+/** A resolver that failed or timed out, reported in `metadata.resolverErrors` */
+interface ResolverError {
+  resolver: string;
+  error: string;
+}
+
+/** Options for `createSesameResolver` */
+interface SesameResolverOptions {
+  /** Sesame endpoint (default: the CDS service) */
+  url?: string;
+  /** Services to query, in order: S(IMBAD), N(ED), V(izieR) (default: 'SNV') */
+  services?: string;
+  /** fetch implementation (default: the global fetch, in Node.js 18 and later) */
+  fetch?: typeof fetch;
 }
 
-export interface CoordinateComponent {
+/** Space motion of a target, used to propagate its catalog position */
+interface ProperMotion {
+  /** Proper motion in RA·cos(DEC), mas/yr */
+  pmRA?: number;
+  /** Proper motion in DEC, mas/yr */
+  pmDec?: number;
+  /** Parallax in mas */
+  parallax?: number;
+  /** Radial velocity in km/s */
+  radialVelocity?: number;
+  /** Catalog epoch (default: 2000.0) */
+  epoch?: number | string | Date;
+  /** Epoch to propagate to (default: the `targetEpoch` option) */
+  targetEpoch?: number | string | Date;
+}
+
+/** Preset names accepted by `createPreset` */
+type PresetName = 'aladin' | 'decimal' | 'loose' | 'strict';
+
+/** Parsed equinox */
+interface Equinox {
+  /** Label, e.g. 'B1950', 'J2000' or 'J2026.798' for JNow */
+  label: string;
+  /** 'fk4' for B1950, 'fk5' for Julian equinoxes */
+  system: 'fk4' | 'fk5';
+  /** Besselian or Julian year */
+  epoch: number;
+}
+
+/** Supported celestial reference frames (ICRS and FK5 J2000 are treated as equal) */
+type CoordinateFrame = 'icrs' | 'fk5' | 'galactic' | 'ecliptic' | 'supergalactic';
+
+interface CoordinateComponent {
   /** Whether the component was successfully parsed */
   isValid: boolean;
   /** Decimal representation */
@@ -35,33 +252,378 @@ export interface CoordinateComponent {
   seconds?: number;
   /** Degrees component (for DEC) */
   degrees?: number;
+  /** Unit the RA value was read in (for RA) */
+  unit?: 'hours' | 'degrees';
+}
+
+/** Parsed Right Ascension, as reported in `metadata.ra` */
+interface RAComponent extends CoordinateComponent {
+  isValid: true;
+  /** RA in decimal hours, whatever unit it was given in */
+  decimal: number;
+  hours: number;
+  minutes: number;
+  seconds: number;
+  /** Format of the RA part of the input; the frame for Galactic, ecliptic or supergalactic input */
+  format: 'hms' | 'hms-compact' | 'decimal' | 'designation' | 'galactic' | 'ecliptic' | 'supergalactic';
+  unit: 'hours' | 'degrees';
+}
+
+/** Parsed Declination, as reported in `metadata.dec` */
+interface DecComponent extends CoordinateComponent {
+  isValid: true;
+  /** DEC in decimal degrees */
+  decimal: number;
+  /** Signed degrees (the sign of -00 is only kept in `decimal`) */
+  degrees: number;
+  minutes: number;
+  seconds: number;
+  /** Format of the DEC part of the input; the frame for Galactic, ecliptic or supergalactic input */
+  format: 'dms' | 'dms-compact' | 'decimal' | 'designation' | 'galactic' | 'ecliptic' | 'supergalactic';
+}
+
+interface SanitizationMetadata {
+  /** Type of input detected */
+  inputFormat: InputFormat;
+  /** Output format used ('passthrough' for object names, 'decimal' for non-equatorial frames) */
+  outputFormat: OutputFormat | OutputTemplate | 'passthrough';
+  /** RA parsing details (if coordinates) */
+  ra?: RAComponent;
+  /** DEC parsing details (if coordinates) */
+  dec?: DecComponent;
+  /** Frame the input was read in (if coordinates) */
+  inputFrame?: CoordinateFrame;
+  /** Frame of the output (if coordinates) */
+  outputFrame?: CoordinateFrame;
+  /** Equinox the input was read in, e.g. 'B1950' (if coordinates) */
+  sourceEquinox?: string;
+  /** Equinox of the output, e.g. 'J2000' or 'J2026.798' for JNow (if coordinates) */
+  targetEquinox?: string;
+  /** Space motion applied to the position (if motion was supplied) */
+  properMotion?: Required<Pick<ProperMotion, 'pmRA' | 'pmDec' | 'parallax' | 'radialVelocity'>>;
+  /** Julian epoch of the catalog position (if motion was supplied) */
+  catalogEpoch?: number;
+  /** Julian epoch the position was propagated to (if motion was supplied) */
+  targetEpoch?: number;
+  /** Galactic longitude/latitude in degrees (if input or output frame) */
+  galactic?: { l: number; b: number };
+  /** Ecliptic longitude/latitude in degrees (if input or output frame) */
+  ecliptic?: { lambda: number; beta: number };
+  /** Supergalactic longitude/latitude in degrees (if input or output frame) */
+  supergalactic?: { sgl: number; sgb: number };
+  /** Catalog whose designation pattern matched an object name, e.g. 'NGC' (or the acronym of an IAU-style designation) */
+  catalog?: string;
+  /** Canonical designation of an object name, e.g. 'NGC 1234' for 'ngc1234' */
+  designation?: string;
+  /**
+   * Precision of the position encoded in an IAU-style designation: the size of
+   * the last digit of RA (seconds of time) and DEC (arcseconds). Designations
+   * truncate, so the true position lies up to this much beyond the decoded one.
+   */
+  precisionLimit?: { ra: number; dec: number };
+  /** Catalog entry an object name was resolved to (if a resolver found it) */
+  object?: {
+    name: string;
+    catalog?: string;
+    source?: string;
+    aliases: string[];
+    /** Whether the position came from the resolver cache */
+    cached?: boolean;
+  };
+  /** Resolvers that failed or timed out (`sanitizeCoordinatesAsync` only) */
+  resolverErrors?: ResolverError[];
+  /** Telescope protocol the input was written in (LX200, INDI or Stellarium) */
+  protocol?: ProtocolMessage;
+  /** Move applied by `offsetCoordinates` */
+  offset?: PositionOffset;
+}
+
+/** Move along a great circle, in degrees */
+interface PositionOffset {
+  separation: number;
+  /** Degrees east of north */
+  positionAngle: number;
+}
+
+/** Separation of two positions, returned by `separation` (degrees) */
+interface Separation {
+  separation: number;
+  /** Position angle of the second position seen from the first, east of north */
+  positionAngle: number;
+  /** RA difference the short way around the sky, in [-180, 180) */
+  raDifference: number;
+  decDifference: number;
+}
+
+/** Telescope-protocol input, reported in `metadata.protocol` */
+interface ProtocolMessage {
+  name: 'lx200' | 'indi' | 'stellarium';
+  /** INDI device (INDI only) */
+  device?: string | null;
+  /** INDI property, e.g. 'EQUATORIAL_EOD_COORD' (INDI only) */
+  property?: string | null;
+  /** Stellarium message type (Stellarium only) */
+  message?: 'goto' | 'current-position';
+  /** Status of a Stellarium CurrentPosition message (0 is OK) */
+  status?: number;
+}
+
+/** Stable error codes, reported in `errorDetail.code` */
+type ErrorCode =
+  | 'INVALID_INPUT'
+  | 'MALICIOUS_INPUT'
+  | 'AMBIGUOUS_SEPARATOR'
+  | 'INSUFFICIENT_COMPONENTS'
+  | 'RA_INVALID_FORMAT'
+  | 'RA_NEGATIVE_HMS'
+  | 'DEC_INVALID_FORMAT'
+  | 'LABEL_DUPLICATED'
+  | 'LABEL_MISSING'
+  | 'RA_OUT_OF_RANGE'
+  | 'DEC_OUT_OF_RANGE'
+  | 'RA_MINUTES_OVERFLOW'
+  | 'RA_SECONDS_OVERFLOW'
+  | 'DEC_MINUTES_OVERFLOW'
+  | 'DEC_SECONDS_OVERFLOW'
+  | 'DEC_POLE_COMPONENTS'
+  | 'LON_OUT_OF_RANGE'
+  | 'LAT_OUT_OF_RANGE'
+  | 'UNSUPPORTED_EQUINOX'
+  | 'UNSUPPORTED_TARGET_EQUINOX'
+  | 'INVALID_MOTION'
+  | 'INVALID_MOTION_VALUE'
+  | 'NEGATIVE_PARALLAX'
+  | 'INVALID_EPOCH'
+  | 'INVALID_TARGET_EPOCH'
+  | 'NO_COORDINATES'
+  | 'RESOLVED_POSITION_INVALID';
+
+/** Machine-readable description of an error */
+interface ErrorDetail {
+  code: ErrorCode;
+  /** Same as `SanitizationResult.error` */
+  message: string;
+  /** Part of the input at fault */
+  component: 'input' | 'ra' | 'dec' | 'lon' | 'lat' | 'separator' | 'equinox' | 'motion';
+  /** Characters of the original input at fault (`input.slice(start, end)`), if known */
+  span: { start: number; end: number } | null;
+  /** Values the message is built from (offending text, value, unit, ...) */
+  params: Record<string, unknown>;
 }
 
-export interface SanitizationResult {
+/** Stable warning codes, reported in `warnings[].code` */
+type WarningCode =
+  | 'RA_UNIT_AMBIGUOUS'
+  | 'COMPACT_FORMAT_GUESSED'
+  | 'OBJECT_NAME_FALLBACK'
+  | 'PRECISION_TRUNCATED';
+
+/**
+ * Input that was accepted but deserves a second look. Component problems
+ * accepted with `componentValidation: 'warn'` or `'normalize'` keep their
+ * error code (e.g. 'RA_MINUTES_OVERFLOW').
+ */
+interface ResultWarning extends Omit<ErrorDetail, 'code'> {
+  code: WarningCode | ErrorCode;
+}
+
+/**
+ * Position as a plain object (`outputFormat: 'object'`). Seconds are rounded
+ * to milliseconds, deg and hours to the precision option.
+ */
+interface CoordinateObject {
+  ra: { deg: number; hours: number; h: number; m: number; s: number };
+  dec: { deg: number; d: number; m: number; s: number; sign: '+' | '-' };
+}
+
+interface SanitizationResult {
   /** Whether the input was successfully processed */
   isValid: boolean;
-  /** Sanitized coordinate string */
-  coordinates: string;
-  /** Error message if processing failed */
-  error?: string | null;
-  /** Additional metadata about the processing */
-  metadata?: {
-    /** Type of input detected */
-    inputFormat: 'coordinates' | 'object-name' | 'already-valid';
-    /** Output format used */
-    outputFormat: string;
-    /** RA parsing details (if coordinates) */
-    ra?: CoordinateComponent;
-    /** DEC parsing details (if coordinates) */
-    dec?: CoordinateComponent;
+  /**
+   * Sanitized coordinate string (empty if invalid), or an object with
+   * `outputFormat: 'object'`
+   */
+  coordinates: string | CoordinateObject;
+  /** Error message if processing failed, otherwise null */
+  error: string | null;
+  /** Code, component and input span of the error, otherwise null */
+  errorDetail: ErrorDetail | null;
+  /** Warnings about accepted input (empty if there are none) */
+  warnings: ResultWarning[];
+  /** Additional metadata about the processing (empty if invalid) */
+  metadata: Partial<SanitizationMetadata>;
+}
+
+/**
+ * How input made only of numbers was read: hours/minutes/seconds and
+ * degrees/arcminutes/arcseconds, compact HHMMSS ±DDMMSS, decimal RA in hours
+ * or degrees with decimal DEC, or as `sanitizeCoordinates` reads it
+ */
+type Reading = 'sexagesimal' | 'compact' | 'hours-degrees' | 'degrees-degrees' | 'as-entered';
+
+interface Interpretation {
+  reading: Reading;
+  /** Between 0 and 1; the confidences of the valid readings add up to 1, invalid readings have 0 */
+  confidence: number;
+  /** Human-readable description of the reading, in the sanitizer's locale */
+  explanation: string;
+  /** Sanitization result under this reading */
+  result: SanitizationResult;
+}
+
+interface InterpretationResult {
+  /** Most likely reading */
+  best: Interpretation;
+  /** Other readings, including those that do not apply, by decreasing confidence */
+  alternatives: Interpretation[];
+}
+
+interface BatchOptions {
+  /** Stop at the first invalid input (default: false) */
+  stopOnError?: boolean;
+}
+
+interface BatchItem {
+  /** Position of the input in the batch */
+  index: number;
+  /** Raw input */
+  input: string;
+  /** Sanitization result for the input */
+  result: SanitizationResult;
+}
+
+interface BatchFailure {
+  /** Position of the input in the batch */
+  index: number;
+  /** Raw input */
+  input: string;
+  /** Error message */
+  error: string;
+  /** Error code */
+  code: ErrorCode | null;
+}
+
+interface BatchWarning {
+  /** Position of the input in the batch */
+  index: number;
+  /** Raw input */
+  input: string;
+  /** Warning message */
+  message: string;
+}
+
+interface BatchResult {
+  /** Per-input results, in input order */
+  items: BatchItem[];
+  /** Aggregate counts */
+  summary: {
+    total: number;
+    valid: number;
+    invalid: number;
+    /** Inputs with at least one warning */
+    withWarnings: number;
+    /** Valid inputs counted by `metadata.inputFormat` */
+    byInputFormat: Record<string, number>;
+  };
+  /** Failures grouped by error type (e.g. 'ra-out-of-range', 'invalid-format') */
+  failures: Record<string, BatchFailure[]>;
+  /** Warnings grouped by code, to flag rows for review */
+  warnings: Partial<Record<WarningCode | ErrorCode, BatchWarning[]>>;
+  /** Whether processing stopped early because of `stopOnError` */
+  stopped: boolean;
+}
+
+interface LineOptions {
+  /** Skip blank lines (default: true) */
+  skipEmpty?: boolean;
+  /** Longest accepted line; longer lines raise a RangeError (default: 65536) */
+  maxLineLength?: number;
+}
+
+interface StreamOptions extends LineOptions {
+  /** Readable-side buffer size, in result objects (default: 16) */
+  highWaterMark?: number;
+}
+
+interface LineResult {
+  /** Position among the emitted (non-skipped) lines */
+  index: number;
+  /** 1-based line number in the input */
+  line: number;
+  /** Trimmed line */
+  input: string;
+  /** Sanitization result for the line */
+  result: SanitizationResult;
+}
+
+interface TableOptions {
+  /** Field delimiter (default: detected from the header row: tab, semicolon or comma) */
+  delimiter?: string;
+  /** RA column name or index (default: detected) */
+  raColumn?: string | number;
+  /** DEC column name or index (default: detected) */
+  decColumn?: string | number;
+  /** Column holding both RA and DEC, by name or index (default: detected) */
+  coordinateColumn?: string | number;
+  /** Rows sampled when detecting columns by content (default: 20) */
+  sampleSize?: number;
+  /** Names of the appended columns */
+  outputColumns?: {
+    ra?: string;
+    dec?: string;
+    valid?: string;
+    error?: string;
   };
 }
 
-export interface SupportedFormats {
+interface TableColumns {
+  /** RA column index, or null when a combined column is used */
+  ra: number | null;
+  /** DEC column index, or null when a combined column is used */
+  dec: number | null;
+  /** Combined coordinate column index, or null */
+  combined: number | null;
+  /** RA unit implied by the RA header (e.g. ra_deg), if any */
+  raUnit: 'hours' | 'degrees' | null;
+}
+
+interface TableRow {
+  /** Data row index (header excluded) */
+  index: number;
+  /** Original field values */
+  values: string[];
+  /** Coordinate text of the row: the combined column, or "RA, DEC" for separate columns; error spans refer to it */
+  input: string;
+  /** Sanitization result for the row */
+  result: SanitizationResult;
+}
+
+interface TableResult {
+  /** Delimiter used for parsing and output */
+  delimiter: string;
+  /** Header row */
+  header: string[];
+  /** Detected coordinate columns */
+  columns: TableColumns;
+  /** Per-row results */
+  rows: TableRow[];
+  /** Row counts */
+  summary: {
+    total: number;
+    valid: number;
+    invalid: number;
+  };
+  /** The table with sanitized RA/DEC, validity and error columns appended */
+  output: string;
+}
+
+interface SupportedFormats {
   /** Supported input formats */
   input: string[];
   /** Supported output formats */
-  output: string[];
+  output: OutputFormat[];
+  /** Supported reference frames */
+  frames: CoordinateFrame[];
 }
 
 /**
@@ -75,15 +637,132 @@ declare class CoordinateSanitizer {
   /**
    * Create a new CoordinateSanitizer instance
    * @param options Configuration options
+   * @throws {Error} If the output template is malformed, or the resolver is unknown
+   * @throws {TypeError} If raUnit, a frame or componentValidation is unknown
    */
   constructor(options?: CoordinateSanitizerOptions);
 
   /**
    * Main sanitization method
    * @param input Raw coordinate input
+   * @param motion Space motion to propagate the position to the target epoch
    * @returns Result object with validation status and sanitized coordinates
    */
-  sanitizeCoordinates(input: string): SanitizationResult;
+  sanitizeCoordinates(input: string, motion?: ProperMotion | null): SanitizationResult;
+
+  /**
+   * Like `sanitizeCoordinates`, but object names are also looked up with the
+   * registered resolvers and the `resolver` option, with results cached
+   * @param input Raw coordinate input
+   * @param motion Space motion to propagate the position to the target epoch
+   */
+  sanitizeCoordinatesAsync(input: string, motion?: ProperMotion | null): Promise<SanitizationResult>;
+
+  /**
+   * Enumerate the plausible readings of input made only of numbers
+   * ('10 20 30 40 50 60', '123456 -123456', '12.5 45.2'), each with a
+   * confidence and an explanation, to ask the user "did you mean…?". Every
+   * reading is listed; those the numbers do not fit have confidence 0.
+   * @param input Raw coordinate input
+   * @param motion Space motion to propagate the position to the target epoch
+   * @returns The most likely reading and the others by decreasing confidence
+   */
+  interpretCoordinates(input: string, motion?: ProperMotion | null): InterpretationResult;
+
+  /**
+   * Register a resolver for `sanitizeCoordinatesAsync`. Resolvers are consulted by
+   * descending priority, then in registration order; failures and timeouts fall
+   * through to the next one.
+   * @throws {TypeError} If the resolver has no resolve method
+   */
+  registerResolver(resolver: AsyncObjectResolver, options?: RegisterResolverOptions): this;
+
+  /**
+   * Add or replace a catalog designation pattern. Catalogs registered later are
+   * tried first, before the bundled ones.
+   * @param name Catalog name, reported in `metadata.catalog`
+   * @param definition Pattern, or pattern and normalizer
+   * @throws {TypeError} If the name, pattern or normalizer is invalid
+   */
+  registerCatalog(name: string, definition: RegExp | CatalogDefinition): this;
+
+  /**
+   * Remove a catalog designation pattern (bundled or registered)
+   * @returns Whether a catalog was removed
+   */
+  unregisterCatalog(name: string): boolean;
+
+  /**
+   * Catalog a designation belongs to, with its canonical form
+   * @returns The match, or null if no catalog matches
+   */
+  matchCatalog(input: string): CatalogMatch | null;
+
+  /**
+   * Sanitize a list of inputs, collecting per-item results and summary statistics
+   * @param inputs Raw coordinate inputs
+   * @param options Batch options
+   * @throws {TypeError} If inputs is not an array or iterable
+   */
+  sanitizeBatch(inputs: Iterable<string>, options?: BatchOptions): BatchResult;
+
+  /**
+   * Sanitize newline-delimited input one line at a time
+   * @param source Text chunks (strings, Buffers, Uint8Arrays), e.g. a file stream
+   * @param options Line options
+   */
+  sanitizeLines(
+    source: AsyncIterable<string | Uint8Array> | Iterable<string | Uint8Array>,
+    options?: LineOptions
+  ): AsyncGenerator<LineResult, void, undefined>;
+
+  /**
+   * Create a Node.js Transform stream: newline-delimited text in, LineResult objects out
+   * @param options Stream options
+   */
+  createSanitizeStream(options?: StreamOptions): import('stream').Transform;
+
+  /**
+   * Sanitize a CSV/TSV table, detecting the coordinate columns by header name and content
+   * @param text Delimited text with a header row
+   * @param options Table options
+   * @throws {Error} If no coordinate columns can be detected, or a named column does not exist
+   */
+  sanitizeTable(text: string, options?: TableOptions): TableResult;
+
+  /**
+   * Serialize results to JSON, XML or a VOTable, with RA and DEC as objects
+   * (JSON of a single result is an object, otherwise an array)
+   * @param results A result, an array of results or batch items, or a sanitizeBatch result
+   * @param format Serialization format (default: 'json')
+   * @throws {Error} On an unknown format
+   */
+  serialize(
+    results: SanitizationResult | ReadonlyArray<SanitizationResult | BatchItem> | BatchResult,
+    format?: SerializationFormat
+  ): string;
+
+  /**
+   * Separation of two positions, in their (target) equinox
+   * @param from Input, or a result of this sanitizer
+   * @param to Input, or a result of this sanitizer
+   * @throws {Error} If a position is invalid or has no coordinates, or the results are in different equinoxes
+   */
+  separation(from: string | SanitizationResult, to: string | SanitizationResult): Separation;
+
+  /**
+   * Sanitize a position moved along a great circle, e.g. a dither or mosaic pointing
+   * @param input Input, or a result of this sanitizer
+   * @param separation Distance in degrees
+   * @param positionAngle Position angle of the move, degrees east of north
+   * @returns Result of the moved position, with the move in `metadata.offset`, or the error of the input
+   * @throws {TypeError} If the separation or position angle is not a finite number
+   */
+  offsetCoordinates(
+    input: string | SanitizationResult,
+    separation: number,
+    positionAngle: number
+  ): SanitizationResult;
 
   /**
    * Check if input looks like coordinates
@@ -111,7 +790,199 @@ declare class CoordinateSanitizer {
    * @returns A new CoordinateSanitizer configured with the chosen preset
    * @throws {Error} If an unknown preset name is provided
    */
-  static createPreset(preset: 'aladin' | 'decimal' | 'loose' | 'strict'): CoordinateSanitizer;
+  static createPreset(preset: PresetName): CoordinateSanitizer;
+}
+
+/** Every error code, in declaration order */
+declare const ERROR_CODES: ReadonlyArray<ErrorCode>;
+
+/** Every warning code, in declaration order */
+declare const WARNING_CODES: ReadonlyArray<WarningCode>;
+
+/** Output templates of the named output formats */
+declare const OUTPUT_TEMPLATES: Readonly<Record<Exclude<OutputFormat, 'object'>, string>>;
+
+/** Formats of `serialize` */
+declare const SERIALIZATION_FORMATS: ReadonlyArray<SerializationFormat>;
+
+/** Bundled locales */
+declare const LOCALES: Readonly<Record<LocaleName, Readonly<Required<LocaleDefinition>>>>;
+
+/** Option sets used by `createPreset` */
+declare const PRESETS: Readonly<Record<PresetName, Readonly<CoordinateSanitizerOptions>>>;
+
+/** Bundled catalog designation patterns, in the order they are tried */
+declare const CATALOG_PATTERNS: ReadonlyArray<Readonly<CatalogDefinition & { name: string }>>;
+
+/** Convert HMS to decimal hours */
+declare function hmsToDecimal(hours: number, minutes: number, seconds: number): number;
+
+/** Convert decimal hours to HMS (seconds rounded to milliseconds) */
+declare function decimalToHMS(decimal: number): { hours: number; minutes: number; seconds: number };
+
+/**
+ * Convert DMS to decimal degrees
+ * @param isNegative Sign, when degrees is -0 (e.g. "-00 30 00")
+ */
+declare function dmsToDecimal(
+  degrees: number,
+  minutes: number,
+  seconds: number,
+  isNegative?: boolean | null
+): number;
+
+/** Convert decimal degrees to DMS (seconds rounded to milliseconds) */
+declare function decimalToDMS(decimal: number): { degrees: number; minutes: number; seconds: number };
+
+/**
+ * Convert a position between frames (angles in degrees, RA in degrees for equatorial frames)
+ * @throws {Error} If either frame is not supported
+ */
+declare function convertFrame(
+  lon: number,
+  lat: number,
+  from: CoordinateFrame,
+  to: CoordinateFrame
+): { lon: number; lat: number };
+
+/**
+ * Parse an equinox label: B1950, J2000, J2025.5, JNow, FK4, FK5 or ICRS
+ * @param date Date used to resolve JNow (default: now)
+ * @returns The parsed equinox, or null if unrecognized
+ */
+declare function parseEquinox(value: string, date?: Date | string | number): Equinox | null;
+
+/** Precess an equatorial position (degrees) between equinoxes from `parseEquinox` */
+declare function precess(ra: number, dec: number, from: Equinox, to: Equinox): { ra: number; dec: number };
+
+/**
+ * Propagate a position (degrees) by its space motion
+ * @param years Target epoch minus catalog epoch, in Julian years
+ */
+declare function propagate(
+  ra: number,
+  dec: number,
+  motion: Pick<ProperMotion, 'pmRA' | 'pmDec' | 'parallax' | 'radialVelocity'>,
+  years: number
+): { ra: number; dec: number };
+
+/** Angular separation of two positions (Vincenty formula), in degrees */
+declare function angularSeparation(ra1: number, dec1: number, ra2: number, dec2: number): number;
+
+/** Position angle of the second position seen from the first, degrees east of north in [0, 360) */
+declare function positionAngle(ra1: number, dec1: number, ra2: number, dec2: number): number;
+
+/** Position moved along a great circle by a separation at a position angle (degrees) */
+declare function offsetPosition(
+  ra: number,
+  dec: number,
+  separation: number,
+  positionAngle: number
+): { ra: number; dec: number };
+
+/** RA difference from ra1 to ra2 the short way around the sky, in [-180, 180) degrees */
+declare function raDifference(ra1: number, ra2: number): number;
+
+/** Resolver backed by the bundled offline catalog */
+declare function createCatalogResolver(): ObjectResolver & { name: 'bundled' };
+
+/**
+ * Resolver backed by the CDS Sesame name service (SIMBAD, NED, VizieR) or a compatible server
+ * @throws {TypeError} If no fetch implementation is available
+ */
+declare function createSesameResolver(
+  options?: SesameResolverOptions
+): AsyncObjectResolver & { name: 'sesame' };
+
+/** In-memory least-recently-used cache (default maxSize: 500) */
+declare function createLRUCache(options?: { maxSize?: number }): LRUCache;
+
+/** Persistent cache stored as JSON in a file (Node.js only) */
+declare function createFileCache(
+  path: string,
+  options?: { maxSize?: number }
+): ResolverCache & {
+  get(key: string): Promise<ResolvedObject | undefined>;
+  set(key: string, value: ResolvedObject): Promise<void>;
+};
+
+declare namespace CoordinateSanitizer {
+  export {
+    CoordinateSanitizer,
+    PRESETS,
+    ERROR_CODES,
+    WARNING_CODES,
+    OUTPUT_TEMPLATES,
+    SERIALIZATION_FORMATS,
+    LOCALES,
+    CATALOG_PATTERNS,
+    hmsToDecimal,
+    decimalToHMS,
+    dmsToDecimal,
+    decimalToDMS,
+    convertFrame,
+    parseEquinox,
+    precess,
+    propagate,
+    angularSeparation,
+    positionAngle,
+    offsetPosition,
+    raDifference,
+    createCatalogResolver,
+    createSesameResolver,
+    createLRUCache,
+    createFileCache,
+    CoordinateSanitizerOptions,
+    ResolvedObject,
+    ObjectResolver,
+    AsyncObjectResolver,
+    RegisterResolverOptions,
+    CatalogDefinition,
+    CatalogMatch,
+    ResolverCache,
+    LRUCache,
+    ResolverError,
+    SesameResolverOptions,
+    ProperMotion,
+    CoordinateFrame,
+    CoordinateComponent,
+    RAComponent,
+    DecComponent,
+    SanitizationMetadata,
+    ProtocolMessage,
+    PositionOffset,
+    Separation,
+    CoordinateObject,
+    SanitizationResult,
+    ErrorCode,
+    ErrorDetail,
+    WarningCode,
+    ResultWarning,
+    Reading,
+    Interpretation,
+    InterpretationResult,
+    LocaleDefinition,
+    LocaleName,
+    BatchOptions,
+    BatchItem,
+    BatchFailure,
+    BatchWarning,
+    BatchResult,
+    LineOptions,
+    StreamOptions,
+    LineResult,
+    TableOptions,
+    TableColumns,
+    TableRow,
+    TableResult,
+    SupportedFormats,
+    PresetName,
+    Equinox,
+    OutputFormat,
+    OutputTemplate,
+    SerializationFormat,
+    InputFormat,
+  };
 }
 
 export = CoordinateSanitizer;
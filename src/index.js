@@ -9,105 +9,731 @@
  * @license MIT
  */
 
+const {
+  decimalToDMS,
+  decimalToHMS,
+  dmsToDecimal,
+  hmsToDecimal,
+} = require("./converters");
+const { createCatalogResolver } = require("./catalog");
+const { FRAMES, convertFrame } = require("./frames");
+const {
+  CATALOG_PATTERNS,
+  createDefinition,
+  matchDesignation,
+  parsePositionalDesignation,
+} = require("./designations");
+const {
+  ERROR_CODES,
+  WARNING_CODES,
+  createError,
+  errorType,
+  formatMessage,
+  mapSpan,
+  replaceTracked,
+  track,
+} = require("./errors");
+const {
+  LOCALES,
+  localeCleanSteps,
+  localizeError,
+  resolveLocale,
+} = require("./locales");
+const {
+  DEFAULT_TIMEOUT,
+  createFileCache,
+  createLRUCache,
+  createResolverChain,
+  createSesameResolver,
+} = require("./resolvers");
+const {
+  J2000,
+  isSameEquinox,
+  julianEpoch,
+  parseEquinox,
+  precess,
+} = require("./precession");
+const { parseEpoch, propagate } = require("./motion");
+const {
+  angularSeparation,
+  offsetPosition,
+  positionAngle,
+  raDifference,
+} = require("./angles");
+const { parseProtocolMessage } = require("./protocols");
+const {
+  SERIALIZATION_FORMATS,
+  coordinateObject,
+  serializeResults,
+} = require("./serialize");
+const { createSanitizeStream, sanitizeLines } = require("./stream");
+const { sanitizeTable } = require("./table");
+const {
+  OUTPUT_TEMPLATES,
+  compileTemplate,
+  resolveTemplate,
+} = require("./templates");
+
+const bundledResolver = createCatalogResolver();
+
+// Replacements applied by cleanInput, in order, after the locale's ones
+const CLEAN_STEPS = [
+  [/[""'']/g, '"'],
+  [/[°ºª]/g, "d"],
+  [/[′']/g, "'"],
+  [/[″"]/g, '"'],
+  [/[\u2013\u2014\u2212]/g, "-"],
+  [/[·•]/g, ","],
+  [/\s*[,;]\s*/g, ","],
+  [/\s*:\s*/g, ":"],
+  [/\s+/g, " "],
+  [/^\s+|\s+$/g, ""],
+];
+
+// Span of `length` characters starting at `start`
+const span = (start, length) => ({ start, end: start + length });
+
+const raError = (code, text) => createError(code, { text }, { component: "ra" });
+
+const motionError = (code, params) =>
+  createError(code, params, { component: "motion" });
+
+const compactWarning = (component, text) =>
+  createError(
+    "COMPACT_FORMAT_GUESSED",
+    { text, layout: component === "ra" ? "HHMMSS" : "±DDMMSS" },
+    { component }
+  );
+
+// Readings of bare numbers tried by interpretCoordinates: how many numbers
+// they take and their relative plausibility. The decimal reading matching the
+// raUnit option (or, in 'auto' mode, the value) gains 1.
+const READINGS = [
+  { reading: "sexagesimal", count: 6, weight: 4 },
+  { reading: "compact", count: 2, weight: 4 },
+  { reading: "hours-degrees", count: 2, weight: 2 },
+  { reading: "degrees-degrees", count: 2, weight: 2 },
+];
+
+// Input made only of numbers, separated by spaces or a comma (once cleaned)
+const BARE_NUMBERS = /^[+-]?\d+(?:\.\d+)?(?:[ ,][+-]?\d+(?:\.\d+)?)*$/;
+
+// Message code of a reading's explanation ("hours-degrees" -> READING_HOURS_DEGREES)
+const readingCode = (reading) =>
+  `READING_${reading.toUpperCase().replace(/-/g, "_")}`;
+
+// Values of raUnit and componentValidation
+const RA_UNITS = ["hours", "degrees", "auto"];
+const COMPONENT_VALIDATION_MODES = ["reject", "warn", "normalize"];
+
+/**
+ * Check that an option is one of its values
+ * @throws {TypeError} If it is not
+ */
+function checkOption(name, value, values) {
+  if (!values.includes(value)) {
+    throw new TypeError(
+      `Unknown ${name}: "${value}". Available values: ${values.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Carry minutes and seconds of 60 or more into the next unit
+ * ("12 75 90" -> 13 16 30). Values are non-negative.
+ */
+function carrySexagesimal(lead, minutes, seconds) {
+  const totalMinutes = minutes + Math.floor(seconds / 60);
+  return {
+    lead: lead + Math.floor(totalMinutes / 60),
+    minutes: totalMinutes % 60,
+    seconds: seconds % 60,
+  };
+}
+
+/**
+ * Option sets used by createPreset
+ */
+const PRESETS = Object.freeze({
+  aladin: Object.freeze({ outputFormat: "aladin", validateRanges: true }),
+  decimal: Object.freeze({
+    outputFormat: "decimal",
+    precision: 6,
+    validateRanges: true,
+  }),
+  loose: Object.freeze({ outputFormat: "aladin", validateRanges: false }),
+  strict: Object.freeze({
+    outputFormat: "aladin",
+    validateRanges: true,
+    strictMode: true,
+  }),
+});
+
 class CoordinateSanitizer {
   constructor(options = {}) {
     // Configuration options
     this.options = {
-      outputFormat: "aladin", // 'aladin' | 'decimal' | 'hms-dms'
+      outputFormat: "aladin", // 'aladin' | 'decimal' | 'hms-dms' | 'lx200' | 'lx200-low' | 'indi' | 'ascom' | 'object' | template ("{ra:hh}:{ra:mm} ...")
       precision: 6,
       validateRanges: true,
       strictMode: false,
+      raUnit: "auto", // 'hours' | 'degrees' | 'auto' (applies to decimal RA)
+      inputFrame: "icrs", // 'icrs' | 'fk5' | 'galactic' | 'ecliptic' | 'supergalactic'
+      outputFrame: "icrs",
+      equinox: null, // Source equinox when the input has no tag ('B1950' | 'J2000' | 'FK4' | ...)
+      targetEquinox: "J2000", // 'J2000' | 'B1950' | 'JNow' | 'J2025.5' | ...
+      observationDate: null, // Date used for 'JNow' (default: current time)
+      targetEpoch: null, // Epoch to propagate proper motion to (default: observationDate)
+      resolver: null, // Object-name resolver: null | 'bundled' | { resolve(name) }
+      resolverCache: null, // Cache for sanitizeCoordinatesAsync: null (in-memory LRU) | false | { get, set }
+      resolverTimeout: DEFAULT_TIMEOUT, // Default per-resolver timeout in ms
+      locale: "en", // 'en' | 'it' | 'de' | 'fr' | language tag | { decimalComma, units, messages }
+      componentValidation: "reject", // Minutes/seconds of 60 or more: 'reject' | 'warn' | 'normalize'
+      indiDevice: null, // Device of 'indi' output (default: 'Telescope Simulator')
       ...options,
     };
+    checkOption("raUnit", this.options.raUnit, RA_UNITS);
+    checkOption("inputFrame", this.options.inputFrame, Object.keys(FRAMES));
+    checkOption("outputFrame", this.options.outputFrame, Object.keys(FRAMES));
+    checkOption(
+      "componentValidation",
+      this.options.componentValidation,
+      COMPONENT_VALIDATION_MODES
+    );
+
+    // Decimal mark, unit words and error messages
+    this.locale = resolveLocale(this.options.locale);
+    this.cleanSteps = [...localeCleanSteps(this.locale), ...CLEAN_STEPS];
+
+    // Output template of the output format, also used to recognize input
+    // that is already formatted ('object' output is not a string)
+    this.template =
+      this.options.outputFormat === "object"
+        ? null
+        : compileTemplate(
+            resolveTemplate(this.options.outputFormat, this.options),
+            this.options
+          );
+
+    // An unknown resolver option throws here, not on the first object name
+    this.getResolver();
+
+    // Resolvers registered for sanitizeCoordinatesAsync
+    this.resolvers = [];
 
     // Regex patterns for different coordinate formats
     this.patterns = {
       // RA patterns (hours, minutes, seconds) - more flexible with spaces
       raHMS:
-        /^(\d{1,2})\s*[h:\s]\s*(\d{1,2})\s*[m:'"′\s]\s*(\d{1,2}(?:\.\d+)?)\s*[s"'″\s]*$/i,
+        /^(\d{1,2})\s*[h:\s]\s*(\d{1,2})\s*[m:'"′\s]\s*(\d{1,2}(?:\.\d+)?)\s*[s"'″\s]*#?$/i,
+      // Decimal minutes, as in LX200 low-precision replies ("12:34.5#")
+      raHM: /^(\d{1,2})\s*[h:]\s*(\d{1,2})(\.\d+)\s*m?#?$/i,
       raHMSCompact: /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/,
-      raDecimal: /^(\d{1,3}(?:\.\d+)?)(?:[d°])?$/,
+      // Optional unit marker: "h" forces hours, "d"/"°" forces degrees
+      raDecimal: /^(\d{1,3}(?:\.\d+)?)\s*([hd°])?$/i,
 
       // DEC patterns (degrees, minutes, seconds) - more flexible with spaces
+      // "*" is the degree marker of LX200 replies ("+12*34:56#")
       decDMS:
-        /^([+-]?\d{1,2})\s*[d°:\s]\s*(\d{1,2})\s*[m:'"′\s]\s*(\d{1,2}(?:\.\d+)?)\s*[s"'″\s]*$/i,
+        /^([+-]?\d{1,2})\s*[d°:*\s]\s*(\d{1,2})\s*[m:'"′\s]\s*(\d{1,2}(?:\.\d+)?)\s*[s"'″\s]*#?$/i,
+      // Degrees and minutes, as in LX200 low-precision replies ("+12*34#")
+      decDM: /^([+-]?\d{1,2})\s*[d°:*]\s*(\d{1,2})(\.\d+)?\s*[m'′]?#?$/i,
       decDMSCompact: /^([+-]?\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/,
       decDecimal: /^([+-]?\d{1,3}(?:\.\d+)?)(?:[d°])?$/,
 
       // Combined coordinate patterns - more flexible
       combinedPattern: /^(.+?)\s*[,;·•]\s*(.+)$/,
 
-      // Aladin expected format: "HH MM SS.SSS, ±DD MM SS.SSS"
-      // Requires explicit decimal part and sign so ambiguous space-separated inputs are not misidentified
-      aladinFormat:
-        /^\d{2}\s\d{2}\s\d{2}\.\d+,\s[+-]\d{2}\s\d{2}\s\d{2}\.\d+$/,
+      // LX200 RA and DEC replies, or :Sr/:Sd set-target commands, each ended
+      // by "#" ("12:34:56# +12*34:56#", ":Sr12:34:56#:Sd+12*34:56#")
+      lx200Pair: /^(?::Sr)?\s*(\d[^#]*#)[\s,]*(?::Sd)?\s*([+-]?\d[^#]*#)$/,
+
+      // Labels of RA and DEC values ("RA=", "Dec:", "R.A.", "Decl.", "α =",
+      // "ra=…&dec=…"), optionally with an equinox ("RAJ2000", "DE_J2000", "RA (B1950)")
+      coordinateLabel:
+        /(?<![\p{L}\d])(right\s*ascension|declination|alpha|delta|decl(?:\.(?!\d))?|dec(?:\.(?!\d))?|de|r\.a\.|ra|α|δ)(?:[_\s]?\(?([BJ]\d{4}(?:\.\d+)?)\)?)?\s*[=:]?\s*(?=[+\-\d.])/giu,
+
+      // Frame-labelled longitude/latitude pairs
+      galacticLabeled:
+        /^l\s*=?\s*(\d{1,3}(?:\.\d+)?)d?\s*[,\s]\s*b\s*=?\s*([+-]?\d{1,2}(?:\.\d+)?)d?$/i,
+      galacticDesignation: /^G(\d{1,3}(?:\.\d+)?)([+-]\d{1,2}(?:\.\d+)?)$/i,
+      eclipticLabeled:
+        /^(?:lambda|λ)\s*=?\s*(\d{1,3}(?:\.\d+)?)d?\s*[,\s]\s*(?:beta|β)\s*=?\s*([+-]?\d{1,2}(?:\.\d+)?)d?$/i,
+      supergalacticLabeled:
+        /^sgl\s*=?\s*(\d{1,3}(?:\.\d+)?)d?\s*[,\s]\s*sgb\s*=?\s*([+-]?\d{1,2}(?:\.\d+)?)d?$/i,
+      lonLatPair:
+        /^([+-]?\d{1,3}(?:\.\d+)?)d?\s*[,\s]\s*([+-]?\d{1,2}(?:\.\d+)?)d?$/,
+
+      // Equinox tags before or after the coordinates ("B1950", "(J2000)", "FK4")
+      equinoxSuffix:
+        /(?:^|[\s,])\(?([BJ]\d{4}(?:\.\d+)?|JNOW|FK4|FK5|ICRS)\)?$/i,
+      equinoxPrefix:
+        /^\(?([BJ]\d{4}(?:\.\d+)?|JNOW|FK4|FK5|ICRS)\)?[\s,]+/i,
     };
 
-    // Common catalog patterns for object identification
-    this.catalogPatterns = [
-      /^M\s?\d+$/i, // Messier objects
-      /^NGC\s?\d+$/i, // NGC catalog
-      /^IC\s?\d+$/i, // IC catalog
-      /^UGC\s?\d+$/i, // UGC catalog
-      /^PGC\s?\d+$/i, // PGC catalog
-      /^HIP\s?\d+$/i, // Hipparcos catalog
-      /^HD\s?\d+$/i, // Henry Draper catalog
-      /^SAO\s?\d+$/i, // SAO catalog
-      /^Sh2[-\s]?\d+$/i, // Sharpless nebulae
-      /^Barnard\s?\d+$/i, // Barnard objects
-      /^PK\s?[\d+\-.\+]+$/i, // PK planetary nebulae
-      /^LBN\s?\d+$/i, // Lynds' bright nebulae
-      /^[A-Z]{2,}\s+[A-Z]{2,}$/i, // Named stars (ALPHA CENTAURI)
-      /^\d+\s+[A-Z]{2,}$/i, // e.g. "51 Eri"
-      /^[A-Z]\s+[A-Z]{2,}$/i, // e.g. "R And"
-    ];
+    // Catalog designation patterns for object identification, tried in
+    // order (see registerCatalog)
+    this.catalogPatterns = [...CATALOG_PATTERNS];
   }
 
   /**
    * Main sanitization method
    * @param {string} input - Raw coordinate input
+   * @param {Object} [motion] - Space motion to propagate the position with
+   * @param {number} [motion.pmRA] - Proper motion in RA·cos(DEC), mas/yr
+   * @param {number} [motion.pmDec] - Proper motion in DEC, mas/yr
+   * @param {number} [motion.parallax] - Parallax in mas
+   * @param {number} [motion.radialVelocity] - Radial velocity in km/s
+   * @param {number|string|Date} [motion.epoch] - Catalog epoch (default: 2000.0)
+   * @param {number|string|Date} [motion.targetEpoch] - Epoch to propagate to
    * @returns {Object} Result object with isValid, coordinates, error, and metadata
    */
-  sanitizeCoordinates(input) {
+  sanitizeCoordinates(input, motion = null) {
+    return this.sanitize(input, motion);
+  }
+
+  /**
+   * Enumerate the plausible readings of input made only of numbers
+   * ("10 20 30 40 50 60", "123456 -123456", "12.5 45.2"): sexagesimal,
+   * compact, hours/degrees and degrees/degrees, each with a confidence and an
+   * explanation. Every reading is listed: confidences of the valid readings
+   * add up to 1; readings that do not fit the numbers or do not give a valid
+   * position have confidence 0 and an error. Other input, or input
+   * with no valid reading, is also read as sanitizeCoordinates reads it
+   * ('as-entered').
+   * @param {string} input - Raw coordinate input
+   * @param {Object} [motion] - Space motion, as for sanitizeCoordinates
+   * @returns {{best: Object, alternatives: Object[]}} Readings as
+   *   { reading, confidence, explanation, result }: the most likely one, and
+   *   the others by decreasing confidence
+   */
+  interpretCoordinates(input, motion = null) {
+    const readings = this.readBareNumbers(input, motion);
+    if (!readings.some(({ result }) => result.isValid)) {
+      readings.push({
+        reading: "as-entered",
+        weight: 1,
+        params: {},
+        result: this.sanitizeCoordinates(input, motion),
+      });
+    }
+
+    const total = readings
+      .filter(({ result }) => result.isValid)
+      .reduce((sum, { weight }) => sum + weight, 0);
+    const [best, ...alternatives] = readings
+      .map(({ reading, weight, params, result }) => ({
+        reading,
+        confidence: result.isValid ? weight / total : 0,
+        explanation: formatMessage(
+          readingCode(reading),
+          params,
+          this.locale.messages
+        ),
+        result,
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
+    return { best, alternatives };
+  }
+
+  /**
+   * Parse input made only of numbers in each reading of READINGS; readings
+   * the numbers do not fit give an invalid result
+   * @returns {Array<{reading: string, weight: number, params: Object, result: Object}>}
+   * @private
+   */
+  readBareNumbers(input, motion) {
+    if (!input || typeof input !== "string") return [];
+    if (this.findMaliciousContent(input)) return [];
+    const propagation = this.resolveMotion(motion);
+    if (propagation && propagation.error) return [];
+
+    const cleanInput = this.cleanInput(input);
+    const { coordinates: untagged, tag } = this.extractEquinox(cleanInput);
+    const equinox = this.resolveEquinoxes(tag);
+    if (equinox.error || !BARE_NUMBERS.test(untagged)) return [];
+
+    const numbers = [...untagged.matchAll(/[+-]?\d+(?:\.\d+)?/g)];
+    if (!READINGS.some(({ count }) => count === numbers.length)) return [];
+
+    // RA is the first half of the numbers, DEC the second
+    const offset = cleanInput.indexOf(untagged);
+    const between = (first, last) =>
+      span(
+        offset + numbers[first].index,
+        numbers[last].index + numbers[last][0].length - numbers[first].index
+      );
+    const half = numbers.length / 2;
+    const spans = {
+      ra: between(0, half - 1),
+      dec: between(half, numbers.length - 1),
+    };
+    const { offsets } = this.trackCleanInput(input);
+    const original = (location) => {
+      const { start, end } = mapSpan(location, offsets);
+      return input.slice(start, end);
+    };
+    const params = { ra: original(spans.ra), dec: original(spans.dec) };
+
+    const context = { equinox, motion: propagation, offset, spans };
+    const [raText, decText] = numbers.map((match) => match[0]);
+    const preferredUnit = this.resolveRAUnit(parseFloat(raText), null);
+    const isPair = half === 1;
+    const isCompact = (raOnly) =>
+      isPair &&
+      !this.options.strictMode &&
+      this.patterns.raHMSCompact.test(raText) &&
+      (raOnly || this.patterns.decDMSCompact.test(decText));
+    const isDecimal = (raOnly) =>
+      isPair &&
+      this.patterns.raDecimal.test(raText) &&
+      (raOnly || this.patterns.decDecimal.test(decText));
+    // A reading the numbers do not fit fails on its RA, or else its DEC
+    const misfit = (raFits) =>
+      this.createResult(
+        false,
+        "",
+        raFits
+          ? createError("DEC_INVALID_FORMAT", { text: params.dec }, {
+              component: "dec",
+              span: spans.dec,
+            })
+          : createError("RA_INVALID_FORMAT", { text: params.ra }, {
+              component: "ra",
+              span: spans.ra,
+            })
+      );
+    const parsers = {
+      sexagesimal: () =>
+        numbers.length === 6
+          ? this.parseSpaceSeparatedCoordinates(
+              untagged.replace(",", " "),
+              context
+            )
+          : this.createResult(
+              false,
+              "",
+              createError("INSUFFICIENT_COMPONENTS", {}, {
+                span: span(offset, untagged.length),
+              })
+            ),
+      compact: () =>
+        isCompact(false)
+          ? this.parseCombinedCoordinates(raText, decText, context)
+          : misfit(isCompact(true)),
+      "hours-degrees": () =>
+        isDecimal(false)
+          ? this.parseCombinedCoordinates(`${raText}h`, decText, context)
+          : misfit(isDecimal(true)),
+      "degrees-degrees": () =>
+        isDecimal(false)
+          ? this.parseCombinedCoordinates(`${raText}d`, decText, context)
+          : misfit(isDecimal(true)),
+    };
+
+    return READINGS.map(({ reading, weight }) => ({
+      reading,
+      weight:
+        reading === `${preferredUnit}-degrees` && isDecimal(false)
+          ? weight + 1
+          : weight,
+      params,
+      result: this.mapSpans(parsers[reading](), input),
+    }));
+  }
+
+  /**
+   * Like sanitizeCoordinates, but object names are also looked up with the
+   * registered resolvers (by priority, each with a timeout) and the resolver
+   * option, with results cached
+   * @param {string} input - Raw coordinate input
+   * @param {Object} [motion] - Space motion, as for sanitizeCoordinates
+   * @returns {Promise<Object>} Result object with isValid, coordinates, error, and metadata
+   */
+  async sanitizeCoordinatesAsync(input, motion = null) {
+    const result = this.sanitize(input, motion, { deferNames: true });
+    if (!result.deferred) return result;
+
+    const { cleanInput, name, context } = result.deferred;
+    const { object, errors } = await this.getResolverChain().resolve(name);
+    const resolved = object
+      ? this.resolvedObjectResult(object, name, context)
+      : this.passthroughResult(cleanInput, name, context);
+    if (errors.length > 0) {
+      resolved.metadata.resolverErrors = errors;
+    }
+    return this.mapSpans(resolved, input);
+  }
+
+  /**
+   * Register a resolver for sanitizeCoordinatesAsync. Resolvers are consulted
+   * by descending priority, then in registration order; the first one that
+   * returns a position wins, and failures or timeouts fall through to the next.
+   * @param {Object} resolver - Object with resolve(name, { signal }) returning
+   *   { name, ra, dec } in degrees (or a promise of it), or null if unknown
+   * @param {Object} [options]
+   * @param {number} [options.priority=0] - Higher priorities are consulted first
+   * @param {number} [options.timeout] - Timeout in ms (default: resolverTimeout option)
+   * @param {string} [options.name] - Label used in metadata (default: resolver.name)
+   * @returns {CoordinateSanitizer} this, for chaining
+   * @throws {TypeError} If the resolver has no resolve method
+   */
+  registerResolver(resolver, options = {}) {
+    if (!resolver || typeof resolver.resolve !== "function") {
+      throw new TypeError("A resolver must have a resolve(name) method");
+    }
+    this.resolvers.push({
+      resolver,
+      name:
+        options.name ||
+        resolver.name ||
+        `resolver-${this.resolvers.length + 1}`,
+      priority: options.priority || 0,
+      timeout: options.timeout || this.options.resolverTimeout,
+    });
+    this.resolverChain = null;
+    return this;
+  }
+
+  /**
+   * Resolver chain for sanitizeCoordinatesAsync: the resolver option (at
+   * priority 0) followed by the registered resolvers
+   * @private
+   */
+  getResolverChain() {
+    if (!this.resolverChain) {
+      const entries = [...this.resolvers];
+      const resolver = this.getResolver();
+      if (resolver) {
+        entries.unshift({
+          resolver,
+          name: resolver.name || "resolver",
+          priority: 0,
+          timeout: this.options.resolverTimeout,
+        });
+      }
+
+      const { resolverCache } = this.options;
+      const cache =
+        resolverCache === false ? null : resolverCache || createLRUCache();
+      this.resolverChain = createResolverChain(entries, cache);
+    }
+    return this.resolverChain;
+  }
+
+  /**
+   * Add or replace a catalog designation pattern. Catalogs registered later
+   * are tried first, before the bundled ones.
+   * @param {string} name - Catalog name, reported in metadata.catalog
+   * @param {RegExp|Object} definition - Pattern, or { pattern, normalize }
+   *   where normalize(match) returns the canonical designation
+   * @returns {CoordinateSanitizer} this, for chaining
+   * @throws {TypeError} If the name, pattern or normalizer is invalid
+   */
+  registerCatalog(name, definition) {
+    const catalog = createDefinition(name, definition);
+    this.unregisterCatalog(name);
+    this.catalogPatterns.unshift(catalog);
+    return this;
+  }
+
+  /**
+   * Remove a catalog designation pattern (bundled or registered)
+   * @param {string} name - Catalog name
+   * @returns {boolean} Whether a catalog was removed
+   */
+  unregisterCatalog(name) {
+    const index = this.catalogPatterns.findIndex(
+      (catalog) => catalog.name === name
+    );
+    if (index === -1) return false;
+    this.catalogPatterns.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Catalog a designation belongs to, with its canonical form
+   * @param {string} input - Object designation, e.g. "ngc1234"
+   * @returns {{catalog: string, designation: string}|null} e.g.
+   *   { catalog: "NGC", designation: "NGC 1234" }, or null if no catalog matches
+   */
+  matchCatalog(input) {
+    if (!input || typeof input !== "string") return null;
+    return matchDesignation(this.catalogPatterns, input);
+  }
+
+  /**
+   * Sanitization shared by sanitizeCoordinates and sanitizeCoordinatesAsync.
+   * With deferNames, object names are returned as { deferred } for the
+   * caller to resolve.
+   * @private
+   */
+  sanitize(input, motion = null, { deferNames = false } = {}) {
     // Input validation
     if (!input || typeof input !== "string") {
-      return this.createResult(false, "", "Input must be a non-empty string");
+      return this.createResult(false, "", createError("INVALID_INPUT"));
     }
 
+    // INDI vectors and Stellarium messages have a structure of their own;
+    // the XML tags of INDI vectors are not malicious content
+    const message = parseProtocolMessage(input);
+
     // Security check on raw input before any transformation
-    if (this.containsMaliciousContent(input)) {
+    const malicious = this.findMaliciousContent(message ? message.text : input);
+    if (malicious) {
       return this.createResult(
         false,
         "",
-        "Input contains potentially malicious content"
+        createError("MALICIOUS_INPUT", {}, {
+          span: span(malicious.index, malicious[0].length),
+        })
       );
     }
 
-    // Check if already in valid format before cleaning (preserves original)
-    if (this.isValidFormat(input)) {
-      return this.createResult(true, input, null, {
-        inputFormat: "already-valid",
-        outputFormat: this.options.outputFormat,
+    const propagation = this.resolveMotion(motion);
+    if (propagation && propagation.error) {
+      return this.createResult(false, "", propagation.error);
+    }
+
+    // Check if already in valid format before cleaning (preserves original).
+    // Skipped when converting between frames or equinoxes, or propagating
+    // proper motion: the string would describe a different position.
+    if (
+      !propagation &&
+      this.isSameFrame() &&
+      this.isSameEquinox() &&
+      this.isValidFormat(input)
+    ) {
+      return this.alreadyValidResult(input);
+    }
+
+    if (message) {
+      return this.protocolResult(message, propagation);
+    }
+
+    const result = this.parseCleanInput(
+      this.cleanInput(input),
+      propagation,
+      deferNames
+    );
+    return this.mapSpans(result, input);
+  }
+
+  /**
+   * Result for input already in the output format: the input itself, with
+   * the parsed RA and DEC in metadata. Input that only looks formatted (RA
+   * 25 00 00.000) is rejected like any other.
+   * @private
+   */
+  alreadyValidResult(input) {
+    const parsed = this.parseCleanInput(this.cleanInput(input), null, false);
+    if (!parsed.isValid) {
+      return this.mapSpans(parsed, input);
+    }
+    // Warnings about how the input was read do not apply to output
+    return this.createResult(true, input, null, {
+      ...(parsed.metadata.ra && parsed.metadata),
+      inputFormat: "already-valid",
+      outputFormat: this.options.outputFormat,
+    });
+  }
+
+  /**
+   * Error and warning spans are found in the cleaned input; map them back to
+   * the input
+   * @private
+   */
+  mapSpans(result, input) {
+    const located = [result.errorDetail, ...(result.warnings || [])].filter(
+      (issue) => issue && issue.span
+    );
+    if (located.length > 0) {
+      const { offsets } = this.trackCleanInput(input);
+      for (const issue of located) {
+        issue.span = mapSpan(issue.span, offsets);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Parse cleaned input: equinox tags, frames, designations, coordinates or
+   * object names. Error spans refer to the cleaned input.
+   * @private
+   */
+  parseCleanInput(cleanInput, propagation, deferNames) {
+    // Equinox tags are stripped before parsing and drive precession
+    const { coordinates: untagged, tag } = this.extractEquinox(cleanInput);
+    const offset = cleanInput.indexOf(untagged);
+    // Labelled RA and DEC; labels may carry the equinox (RAJ2000)
+    const labeled = this.matchLabeledInput(untagged, offset);
+    if (labeled && labeled.error) {
+      return this.createResult(false, "", labeled.error);
+    }
+    const equinox = this.resolveEquinoxes(tag || (labeled && labeled.equinox));
+    if (equinox.error) {
+      return this.createResult(false, "", equinox.error);
+    }
+    const context = { equinox, motion: propagation, deferNames, offset };
+
+    if (labeled) {
+      return this.parseCombinedCoordinates(labeled.ra, labeled.dec, {
+        ...context,
+        spans: labeled.spans,
       });
     }
 
-    const cleanInput = this.cleanInput(input);
+    // LX200 replies: "#" ends each of RA and DEC
+    const lx200 = untagged.match(this.patterns.lx200Pair);
+    if (lx200) {
+      const [, raPart, decPart] = lx200;
+      const result = this.parseCombinedCoordinates(raPart, decPart, {
+        ...context,
+        spans: {
+          ra: span(offset + untagged.indexOf(raPart), raPart.length),
+          dec: span(offset + untagged.lastIndexOf(decPart), decPart.length),
+        },
+      });
+      if (result.isValid) {
+        result.metadata.protocol = { name: "lx200" };
+      }
+      return result;
+    }
+
+    // Galactic, ecliptic or supergalactic longitude/latitude
+    const frameInput = this.matchFrameInput(untagged, offset);
+    if (frameInput) {
+      return this.parseFrameCoordinates(
+        frameInput.frame,
+        frameInput.lon,
+        frameInput.lat,
+        { ...context, spans: frameInput.spans }
+      );
+    }
+
+    // IAU-style designations with an embedded position (SDSS J123456.78+123456.7)
+    const designation = parsePositionalDesignation(untagged);
+    if (designation) {
+      return this.designationResult(designation, context);
+    }
 
     // Check if it looks like coordinates
-    if (!this.looksLikeCoordinates(cleanInput)) {
-      return this.createResult(true, cleanInput, null, {
-        inputFormat: "object-name",
-        outputFormat: "passthrough",
-      });
+    if (!this.looksLikeCoordinates(untagged)) {
+      return this.objectNameResult(cleanInput, untagged, context);
     }
 
     // Try to parse as combined coordinates (explicit separator)
-    const combinedMatch = cleanInput.match(this.patterns.combinedPattern);
+    const combinedMatch = untagged.match(this.patterns.combinedPattern);
     if (combinedMatch) {
-      return this.parseCombinedCoordinates(
-        combinedMatch[1].trim(),
-        combinedMatch[2].trim()
-      );
+      const raPart = combinedMatch[1].trim();
+      const decPart = combinedMatch[2].trim();
+      return this.parseCombinedCoordinates(raPart, decPart, {
+        ...context,
+        spans: {
+          ra: span(offset, raPart.length),
+          dec: span(offset + untagged.length - decPart.length, decPart.length),
+        },
+      });
     }
 
     // Space-separated coordinates are ambiguous; disabled in strict mode
@@ -115,171 +741,1123 @@ class CoordinateSanitizer {
       return this.createResult(
         false,
         "",
-        "Strict mode: use an explicit separator (comma or semicolon) between RA and DEC"
+        createError("AMBIGUOUS_SEPARATOR", {}, {
+          component: "separator",
+          span: span(offset, untagged.length),
+        })
       );
     }
 
     // Try to parse as space-separated coordinates
-    const spaceMatch = this.parseSpaceSeparatedCoordinates(cleanInput);
+    const spaceMatch = this.parseSpaceSeparatedCoordinates(untagged, context);
     if (spaceMatch.isValid) {
       return spaceMatch;
     }
 
-    // If no separator found, assume it's an object name
-    return this.createResult(true, cleanInput, null, {
-      inputFormat: "object-name",
-      outputFormat: "passthrough",
+    // If no separator found, assume it's an object name; flag it when the
+    // input had enough numbers to be coordinates
+    const failure = spaceMatch.errorDetail;
+    const warnings =
+      failure.code === "INSUFFICIENT_COMPONENTS"
+        ? []
+        : [
+            createError(
+              "OBJECT_NAME_FALLBACK",
+              { reason: failure.message, cause: failure.code },
+              { span: span(offset, untagged.length) }
+            ),
+          ];
+    return this.objectNameResult(cleanInput, untagged, {
+      ...context,
+      warnings,
+    });
+  }
+
+  /**
+   * Sanitize a list of inputs, collecting per-item results and summary statistics
+   * @param {Iterable<string>} inputs - Raw coordinate inputs
+   * @param {Object} [options]
+   * @param {boolean} [options.stopOnError=false] - Stop at the first invalid input
+   * @returns {Object} { items, summary, failures, warnings, stopped }
+   */
+  sanitizeBatch(inputs, options = {}) {
+    if (
+      !inputs ||
+      typeof inputs === "string" ||
+      typeof inputs[Symbol.iterator] !== "function"
+    ) {
+      throw new TypeError("sanitizeBatch expects an array or iterable of inputs");
+    }
+
+    const { stopOnError = false } = options;
+    const items = [];
+    const failures = {};
+    const warnings = {};
+    const summary = {
+      total: 0,
+      valid: 0,
+      invalid: 0,
+      withWarnings: 0,
+      byInputFormat: {},
+    };
+    let stopped = false;
+
+    let index = 0;
+    for (const input of inputs) {
+      const result = this.sanitizeCoordinates(input);
+      items.push({ index, input, result });
+      summary.total++;
+
+      // Rows to review, grouped by warning code
+      if (result.warnings.length > 0) summary.withWarnings++;
+      for (const warning of result.warnings) {
+        (warnings[warning.code] = warnings[warning.code] || []).push({
+          index,
+          input,
+          message: warning.message,
+        });
+      }
+
+      if (result.isValid) {
+        summary.valid++;
+        const format = result.metadata.inputFormat;
+        summary.byInputFormat[format] = (summary.byInputFormat[format] || 0) + 1;
+      } else {
+        summary.invalid++;
+        const type = this.classifyError(result.errorDetail);
+        (failures[type] = failures[type] || []).push({
+          index,
+          input,
+          error: result.error,
+          code: result.errorDetail ? result.errorDetail.code : null,
+        });
+
+        if (stopOnError) {
+          stopped = true;
+          break;
+        }
+      }
+      index++;
+    }
+
+    return { items, summary, failures, warnings, stopped };
+  }
+
+  /**
+   * Sanitize newline-delimited input one line at a time
+   * @param {AsyncIterable|Iterable} source - Text chunks (strings, Buffers), e.g. a file stream
+   * @param {Object} [options]
+   * @param {boolean} [options.skipEmpty=true] - Skip blank lines
+   * @param {number} [options.maxLineLength=65536] - Longest accepted line
+   * @returns {AsyncGenerator} Yields { index, line, input, result }
+   */
+  sanitizeLines(source, options = {}) {
+    return sanitizeLines(this, source, options);
+  }
+
+  /**
+   * Create a Node.js Transform stream: newline-delimited text in,
+   * { index, line, input, result } objects out
+   * @param {Object} [options] - Same as sanitizeLines, plus highWaterMark
+   * @returns {import('stream').Transform}
+   */
+  createSanitizeStream(options = {}) {
+    return createSanitizeStream(this, options);
+  }
+
+  /**
+   * Sanitize a CSV/TSV target list. RA/DEC (or combined coordinate) columns
+   * are detected by header name and sample content; the returned output
+   * repeats the table with sanitized RA/DEC, validity and error columns.
+   * @param {string} text - Delimited text with a header row
+   * @param {Object} [options]
+   * @param {string} [options.delimiter] - Field delimiter (default: detected)
+   * @param {string|number} [options.raColumn] - RA column name or index
+   * @param {string|number} [options.decColumn] - DEC column name or index
+   * @param {string|number} [options.coordinateColumn] - Combined coordinate column
+   * @param {number} [options.sampleSize=20] - Rows sampled for content detection
+   * @param {Object} [options.outputColumns] - Names of the appended columns
+   * @returns {Object} { delimiter, header, columns, rows, summary, output }
+   * @throws {Error} If no coordinate columns can be detected
+   */
+  sanitizeTable(text, options = {}) {
+    return sanitizeTable(this, text, options);
+  }
+
+  /**
+   * Sanitize RA and DEC given apart (table columns): each is parsed on its
+   * own, so an error names the component at fault. Spans refer to
+   * "RA, DEC". Longitude/latitude in a non-equatorial input frame are read
+   * as a pair.
+   * @private
+   */
+  sanitizeComponents(raText, decText) {
+    const input = `${raText}, ${decText}`;
+    const inputFrame = FRAMES[this.options.inputFrame];
+    if (inputFrame && !inputFrame.equatorial) {
+      return this.sanitizeCoordinates(input);
+    }
+
+    const spans = {
+      ra: span(0, raText.length),
+      dec: span(raText.length + 2, decText.length),
+    };
+    for (const component of ["ra", "dec"]) {
+      const text = component === "ra" ? raText : decText;
+      const malicious = this.findMaliciousContent(text);
+      if (malicious) {
+        const start = spans[component].start + malicious.index;
+        return this.createResult(
+          false,
+          "",
+          createError("MALICIOUS_INPUT", {}, {
+            component,
+            span: span(start, malicious[0].length),
+          })
+        );
+      }
+    }
+
+    const equinox = this.resolveEquinoxes(null);
+    if (equinox.error) {
+      return this.createResult(false, "", equinox.error);
+    }
+    return this.parseCombinedCoordinates(
+      this.cleanInput(raText),
+      this.cleanInput(decText),
+      { equinox, spans }
+    );
+  }
+
+  /**
+   * Serialize results with their RA and DEC as objects (see `coordinateObject`)
+   * @param {Object|Object[]} results - A result, an array of results or batch
+   *   items, or a sanitizeBatch result
+   * @param {string} [format="json"] - 'json', 'xml' or 'votable'
+   * @returns {string}
+   * @throws {Error} On an unknown format
+   */
+  serialize(results, format = "json") {
+    return serializeResults(results, format, {
+      precision: this.options.precision,
+    });
+  }
+
+  /**
+   * Separation of two positions, in their (target) equinox
+   * @param {string|Object} from - Input, or a result of this sanitizer
+   * @param {string|Object} to - Input, or a result of this sanitizer
+   * @returns {{separation: number, positionAngle: number, raDifference: number, decDifference: number}}
+   *   Degrees; the position angle of `to` is seen from `from`, and the
+   *   differences go from `from` to `to`, RA the short way around the sky
+   * @throws {Error} If a position is invalid or has no coordinates, or the
+   *   results are in different equinoxes
+   */
+  separation(from, to) {
+    const a = this.resultPosition(from);
+    const b = this.resultPosition(to);
+    if (a.equinox !== b.equinox) {
+      throw new Error(
+        `Positions are in different equinoxes: ${a.equinox} and ${b.equinox}`
+      );
+    }
+    return {
+      separation: angularSeparation(a.ra, a.dec, b.ra, b.dec),
+      positionAngle: positionAngle(a.ra, a.dec, b.ra, b.dec),
+      raDifference: raDifference(a.ra, b.ra),
+      decDifference: b.dec - a.dec,
+    };
+  }
+
+  /**
+   * Sanitize a position moved along a great circle, e.g. a dither or mosaic
+   * pointing
+   * @param {string|Object} input - Input, or a result of this sanitizer
+   * @param {number} separation - Distance in degrees
+   * @param {number} angle - Position angle of the move, degrees east of north
+   * @returns {Object} Result of the moved position, with the move in
+   *   metadata.offset, or the error of the input
+   * @throws {TypeError} If the separation or angle is not a finite number
+   */
+  offsetCoordinates(input, separation, angle) {
+    for (const [name, value] of [
+      ["separation", separation],
+      ["positionAngle", angle],
+    ]) {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new TypeError(`${name} must be a finite number, got ${value}`);
+      }
+    }
+    const result =
+      typeof input === "string" ? this.sanitizeCoordinates(input) : input;
+    if (!result.isValid) return result;
+    if (!result.metadata.ra) {
+      return this.createResult(
+        false,
+        "",
+        createError("NO_COORDINATES", { text: String(result.coordinates) })
+      );
+    }
+
+    const { ra, dec } = offsetPosition(
+      result.metadata.ra.decimal * 15,
+      result.metadata.dec.decimal,
+      separation,
+      angle
+    );
+    const raResult = this.decimalRAResult(ra, "d");
+    const decResult = {
+      isValid: true,
+      decimal: dec,
+      ...this.decimalToDMS(dec),
+      format: "decimal",
+    };
+
+    // The position is already in its target equinox
+    const equinox = parseEquinox(result.metadata.targetEquinox);
+    const offset = this.createCoordinatesResult(raResult, decResult, {
+      equinox: { source: equinox, target: equinox },
+      inputFrame: "icrs",
+    });
+    Object.assign(offset.metadata, {
+      inputFormat: result.metadata.inputFormat,
+      inputFrame: result.metadata.inputFrame,
+      sourceEquinox: result.metadata.sourceEquinox,
+      offset: { separation, positionAngle: angle },
+    });
+    offset.warnings = result.warnings;
+    return offset;
+  }
+
+  /**
+   * RA and DEC in degrees of an input or result, and their equinox
+   * @private
+   */
+  resultPosition(input) {
+    const result =
+      typeof input === "string" ? this.sanitizeCoordinates(input) : input;
+    if (!result || !result.isValid) {
+      throw new Error(
+        `Invalid position: ${result ? result.error : "no result"}`
+      );
+    }
+    if (!result.metadata.ra) {
+      throw new Error(`No coordinates found: ${result.coordinates}`);
+    }
+    return {
+      ra: result.metadata.ra.decimal * 15,
+      dec: result.metadata.dec.decimal,
+      equinox: result.metadata.targetEquinox,
+    };
+  }
+
+  /**
+   * Map a structured error to a short error type used to group batch failures
+   * @private
+   */
+  classifyError(error) {
+    return errorType(error);
+  }
+
+  /**
+   * Clean and normalize input string
+   * @private
+   */
+  cleanInput(input) {
+    return this.cleanSteps.reduce(
+      (text, [pattern, replacement]) => text.replace(pattern, replacement),
+      input
+    );
+  }
+
+  /**
+   * cleanInput, also mapping each character of the cleaned text to the index
+   * of the input character it came from (used to locate errors)
+   * @private
+   */
+  trackCleanInput(input) {
+    return this.cleanSteps.reduce(
+      (tracked, [pattern, replacement]) =>
+        replaceTracked(tracked, pattern, replacement),
+      track(input)
+    );
+  }
+
+  /**
+   * Check for potentially malicious content
+   * @returns {RegExpMatchArray|null} First dangerous match, or null
+   * @private
+   */
+  findMaliciousContent(input) {
+    const dangerousPatterns = [
+      /<[^>]*>/, // HTML tags
+      /javascript:/i, // JavaScript protocol
+      /on\w+\s*=/i, // Event handlers
+      /[\x00-\x1F\x7F]/, // Control characters
+    ];
+
+    for (const pattern of dangerousPatterns) {
+      const match = input.match(pattern);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Check if input looks like coordinates
+   * @private
+   */
+  looksLikeCoordinates(input) {
+    if (!input) return false;
+
+    // Check for catalog designations first
+    if (this.matchCatalog(input)) {
+      return false;
+    }
+
+    // Check if it contains coordinate-like patterns
+    const coordinateIndicators = [
+      /\d+[hH:]\s*\d+/, // Hours notation
+      /\d+[dD°]\s*\d+/, // Degrees notation
+      /[+-]\s*\d+/, // Signed numbers
+      /\d+[mM'′]\s*\d+/, // Minutes notation
+      /\d+[sS"″]/, // Seconds notation
+      /\d+\.\d+.*,.*\d+\.\d+/, // Decimal pairs
+      /\d[hHdD°]\s*,/, // Decimal RA with unit marker
+      /RA|DEC|DECL/i, // Explicit RA/DEC labels
+    ];
+
+    return coordinateIndicators.some((pattern) => pattern.test(input));
+  }
+
+  /**
+   * Parse combined coordinates (RA and DEC separated by comma, semicolon, etc.)
+   * @private
+   */
+  parseCombinedCoordinates(raPart, decPart, context = {}) {
+    const spans = context.spans || {};
+    const raResult = this.parseRA(raPart);
+    const decResult = this.parseDEC(decPart);
+
+    if (!raResult.isValid || !decResult.isValid) {
+      const error = raResult.isValid ? decResult.error : raResult.error;
+      return this.createResult(false, "", this.locateError(error, spans));
+    }
+
+    if (this.options.validateRanges) {
+      const raError = this.validateRA(raResult.decimal, raResult.unit);
+      const decError = this.validateDEC(decResult.decimal);
+
+      if (raError || decError) {
+        return this.createResult(
+          false,
+          "",
+          this.locateError(raError || decError, spans)
+        );
+      }
+    }
+
+    return this.createCoordinatesResult(raResult, decResult, context);
+  }
+
+  /**
+   * Give an error the span of its component, if known
+   * @private
+   */
+  locateError(error, spans = {}) {
+    const location = spans[error.component];
+    return location && !error.span ? { ...error, span: location } : error;
+  }
+
+  /**
+   * Parse space-separated coordinates (without comma/semicolon separator)
+   * @private
+   */
+  parseSpaceSeparatedCoordinates(input, context = {}) {
+    const { offset = 0 } = context;
+
+    // Match numbers including decimals and signs
+    const numbers = [...input.matchAll(/([+-]?\d+(?:\.\d+)?)/g)];
+    const numMatches = numbers.map((match) => match[0]);
+
+    // A bare pair of numbers ("123.456 -12.345") is parsed like a combined
+    // RA/DEC pair so the raUnit option applies to it
+    const pairMatch = input.match(/^(\S+)\s+([+-]?\d+(?:\.\d+)?)$/);
+    if (pairMatch && numMatches.length === 2) {
+      const [, raPart, decPart] = pairMatch;
+      return this.parseCombinedCoordinates(raPart, decPart, {
+        ...context,
+        spans: {
+          ra: span(offset, raPart.length),
+          dec: span(offset + input.length - decPart.length, decPart.length),
+        },
+      });
+    }
+
+    if (numMatches.length < 6) {
+      return this.createResult(
+        false,
+        "",
+        createError("INSUFFICIENT_COMPONENTS", {}, {
+          span: span(offset, input.length),
+        })
+      );
+    }
+
+    const raH = parseFloat(numMatches[0]);
+    const raM = parseFloat(numMatches[1]);
+    const raS = parseFloat(numMatches[2]);
+    const decD = parseFloat(numMatches[3]);
+    const decM = parseFloat(numMatches[4]);
+    const decS = parseFloat(numMatches[5]);
+
+    const raDecimal = this.hmsToDecimal(raH, raM, raS);
+    // Check if original string had negative sign (handles -00 case)
+    const isNegative = numMatches[3].trim().startsWith("-");
+    const decDecimal = this.dmsToDecimal(decD, decM, decS, isNegative);
+
+    // RA is the first three numbers, DEC the next three
+    const between = (first, last) =>
+      span(
+        offset + numbers[first].index,
+        numbers[last].index + numbers[last][0].length - numbers[first].index
+      );
+    const spans = { ra: between(0, 2), dec: between(3, 5) };
+
+    const raText = numMatches.slice(0, 3).join(" ");
+    const decText = numMatches.slice(3, 6).join(" ");
+    const raResult = this.withWarnings(
+      this.checkComponents(
+        "ra",
+        {
+          isValid: true,
+          decimal: raDecimal,
+          hours: raH,
+          minutes: raM,
+          seconds: raS,
+          unit: "hours",
+        },
+        raText
+      ),
+      this.precisionWarning("ra", raText, numMatches[2], 1 / 3600)
+    );
+    const decResult = this.withWarnings(
+      this.checkComponents(
+        "dec",
+        {
+          isValid: true,
+          decimal: decDecimal,
+          degrees: decD,
+          minutes: decM,
+          seconds: decS,
+        },
+        decText
+      ),
+      this.precisionWarning("dec", decText, numMatches[5], 1 / 3600)
+    );
+    if (!raResult.isValid || !decResult.isValid) {
+      const error = raResult.isValid ? decResult.error : raResult.error;
+      return this.createResult(false, "", this.locateError(error, spans));
+    }
+
+    if (this.options.validateRanges) {
+      const raError = this.validateRA(raDecimal);
+      const decError = this.validateDEC(decDecimal);
+
+      if (raError || decError) {
+        return this.createResult(
+          false,
+          "",
+          this.locateError(raError || decError, spans)
+        );
+      }
+    }
+
+    return this.createCoordinatesResult(raResult, decResult, {
+      ...context,
+      spans,
+    });
+  }
+
+  /**
+   * Detect labelled RA and DEC values, in either order: "RA=12:34:56
+   * DEC=+12:34:56", "Dec: -05 23 28 RA: 05 35 17", "α = 12h34m δ = …",
+   * "ra=188.73&dec=12.58" or "RAJ2000 12 34 56 DEJ2000 +12 34 56". A label
+   * given twice, or a coordinate without a label of its own, is an error.
+   * @returns {{ra: string, dec: string, spans: Object, equinox: string|null}|{error: Object}|null}
+   * @private
+   */
+  matchLabeledInput(input, offset = 0) {
+    const labels = [...input.matchAll(this.patterns.coordinateLabel)];
+    // Only a query-string "?" may come before the first label
+    if (labels.length === 0 || !/^\??$/.test(input.slice(0, labels[0].index))) {
+      return null;
+    }
+    const labelSpan = (label) =>
+      span(offset + label.index, label[0].trimEnd().length);
+
+    const found = {};
+    for (const [index, label] of labels.entries()) {
+      const component = /^(?:r|α|alpha)/i.test(label[1]) ? "ra" : "dec";
+      if (found[component]) {
+        return {
+          error: createError(
+            "LABEL_DUPLICATED",
+            { label: label[1] },
+            { component, span: labelSpan(label) }
+          ),
+        };
+      }
+      const start = label.index + label[0].length;
+      const end = index + 1 < labels.length ? labels[index + 1].index : input.length;
+      // Drop the separator before the next label ("," or "&")
+      const value = input.slice(start, end).replace(/[\s,;&]+$/, "");
+      found[component] = {
+        value,
+        span: span(offset + start, value.length),
+        equinox: label[2] ? label[2].toUpperCase() : null,
+      };
+    }
+
+    const missing = found.ra ? (found.dec ? null : "dec") : "ra";
+    if (missing) {
+      // A lone label in something else ("Alpha 1 Centauri") is no label
+      if (!this.looksLikeCoordinates(input)) return null;
+      return {
+        error: createError(
+          "LABEL_MISSING",
+          { label: labels[0][1], missing },
+          { component: missing, span: labelSpan(labels[0]) }
+        ),
+      };
+    }
+
+    return {
+      ra: found.ra.value,
+      dec: found.dec.value,
+      spans: { ra: found.ra.span, dec: found.dec.span },
+      equinox: found.ra.equinox || found.dec.equinox,
+    };
+  }
+
+  /**
+   * Detect longitude/latitude input in a non-equatorial frame: labelled
+   * pairs (l=… b=…, λ=… β=…, SGL=… SGB=…), Galactic designations
+   * (G121.17-21.57), or a plain pair when inputFrame is non-equatorial
+   * @private
+   */
+  matchFrameInput(input, offset = 0) {
+    const labeled = [
+      ["galactic", this.patterns.galacticLabeled],
+      ["galactic", this.patterns.galacticDesignation],
+      ["ecliptic", this.patterns.eclipticLabeled],
+      ["supergalactic", this.patterns.supergalacticLabeled],
+    ];
+
+    const inputFrame = FRAMES[this.options.inputFrame];
+    if (inputFrame && !inputFrame.equatorial) {
+      labeled.push([this.options.inputFrame, this.patterns.lonLatPair]);
+    }
+
+    for (const [frame, pattern] of labeled) {
+      const match = input.match(pattern);
+      if (match) {
+        // The latitude follows the longitude
+        const lonStart = input.indexOf(match[1]);
+        const latStart = input.indexOf(match[2], lonStart + match[1].length);
+        return {
+          frame,
+          lon: parseFloat(match[1]),
+          lat: parseFloat(match[2]),
+          spans: {
+            lon: span(offset + lonStart, match[1].length),
+            lat: span(offset + latStart, match[2].length),
+          },
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a longitude/latitude pair in a non-equatorial frame
+   * @private
+   */
+  parseFrameCoordinates(frame, lon, lat, context = {}) {
+    const { lon: lonLabel, lat: latLabel } = FRAMES[frame];
+    const { spans = {} } = context;
+
+    if (this.options.validateRanges) {
+      if (lon < 0 || lon >= 360) {
+        return this.createResult(
+          false,
+          "",
+          createError(
+            "LON_OUT_OF_RANGE",
+            { label: lonLabel, value: lon },
+            { component: "lon", span: spans.lon || null }
+          )
+        );
+      }
+      if (lat < -90 || lat > 90) {
+        return this.createResult(
+          false,
+          "",
+          createError(
+            "LAT_OUT_OF_RANGE",
+            { label: latLabel, value: lat },
+            { component: "lat", span: spans.lat || null }
+          )
+        );
+      }
+    }
+
+    const equatorial = convertFrame(lon, lat, frame, "icrs");
+    const raResult = {
+      ...this.decimalRAResult(equatorial.lon, "d"),
+      format: frame,
+    };
+    const decResult = {
+      isValid: true,
+      decimal: equatorial.lat,
+      ...this.decimalToDMS(equatorial.lat),
+      format: frame,
+    };
+
+    // Frame conversions are defined against J2000, whatever the tag says
+    return this.createCoordinatesResult(raResult, decResult, {
+      ...context,
+      equinox: context.equinox && { ...context.equinox, source: J2000 },
+      inputFrame: frame,
+      inputValues: { [lonLabel]: lon, [latLabel]: lat },
+    });
+  }
+
+  /**
+   * Build the result for a parsed equatorial position: precess it to the
+   * target equinox, convert it to the output frame and record the frame and
+   * equinox values in metadata
+   * @private
+   */
+  createCoordinatesResult(parsedRA, parsedDEC, context = {}) {
+    // Warnings found while parsing go to the result, not metadata.ra/dec
+    const { warnings: raWarnings = [], ...raResult } = parsedRA;
+    const { warnings: decWarnings = [], ...decResult } = parsedDEC;
+    const warnings = [
+      ...(context.warnings || []),
+      ...raWarnings,
+      ...decWarnings,
+    ].map((warning) => this.locateError(warning, context.spans));
+
+    const fromFrame = context.inputFrame || this.equatorialInputFrame();
+    const toFrame = this.options.outputFrame;
+    const outputFrame = FRAMES[toFrame];
+    const isEquatorialOutput = !outputFrame || outputFrame.equatorial;
+
+    // Non-equatorial frames are defined against J2000
+    const equinox = context.equinox || this.resolveEquinoxes(null);
+    const source = equinox.source || J2000;
+    const target = isEquatorialOutput ? equinox.target || J2000 : J2000;
+
+    let ra = raResult;
+    let dec = decResult;
+    const { motion } = context;
+    if (motion || !isSameEquinox(source, target)) {
+      let position = { ra: raResult.decimal * 15, dec: decResult.decimal };
+
+      // Proper motions are given in ICRS/J2000
+      if (motion) {
+        position = precess(position.ra, position.dec, source, J2000);
+        position = propagate(
+          position.ra,
+          position.dec,
+          motion.values,
+          motion.to - motion.from
+        );
+        position = precess(position.ra, position.dec, J2000, target);
+      } else {
+        position = precess(position.ra, position.dec, source, target);
+      }
+
+      ra = {
+        ...this.decimalRAResult(position.ra, "d"),
+        format: raResult.format,
+        unit: raResult.unit,
+      };
+      dec = {
+        isValid: true,
+        decimal: position.dec,
+        ...this.decimalToDMS(position.dec),
+        format: decResult.format,
+      };
+    }
+
+    const metadata = {
+      inputFormat: "coordinates",
+      outputFormat: this.options.outputFormat,
+      inputFrame: fromFrame,
+      outputFrame: toFrame,
+      sourceEquinox: source.label,
+      targetEquinox: target.label,
+      ra,
+      dec,
+    };
+
+    if (context.inputValues) {
+      metadata[fromFrame] = context.inputValues;
+    }
+
+    if (motion) {
+      metadata.properMotion = motion.values;
+      metadata.catalogEpoch = motion.from;
+      metadata.targetEpoch = motion.to;
+    }
+
+    if (isEquatorialOutput) {
+      return this.createResult(
+        true,
+        this.formatOutput(ra, dec),
+        null,
+        metadata,
+        warnings
+      );
+    }
+
+    const converted = convertFrame(ra.decimal * 15, dec.decimal, "icrs", toFrame);
+    metadata[toFrame] = {
+      [outputFrame.lon]: converted.lon,
+      [outputFrame.lat]: converted.lat,
+    };
+    metadata.outputFormat = "decimal";
+
+    return this.createResult(
+      true,
+      this.formatFrame(converted.lon, converted.lat),
+      null,
+      metadata,
+      warnings
+    );
+  }
+
+  /**
+   * Result for the position encoded in an IAU-style designation, in the
+   * designation's own equinox (J2000 or B1950)
+   * @private
+   */
+  designationResult(designation, context = {}) {
+    const raResult = {
+      isValid: true,
+      decimal: designation.ra,
+      ...this.decimalToHMS(designation.ra),
+      format: "designation",
+      unit: "hours",
+    };
+    const decResult = {
+      isValid: true,
+      decimal: designation.dec,
+      ...this.decimalToDMS(designation.dec),
+      format: "designation",
+    };
+
+    const source = parseEquinox(designation.equinox);
+    const result = this.createCoordinatesResult(raResult, decResult, {
+      ...context,
+      equinox: context.equinox && { ...context.equinox, source },
     });
+    result.metadata.inputFormat = "designation";
+    result.metadata.catalog = designation.catalog;
+    result.metadata.designation = designation.designation;
+    result.metadata.precisionLimit = designation.precision;
+    return result;
   }
 
   /**
-   * Clean and normalize input string
+   * Result for an INDI number vector or a Stellarium message, in the equinox
+   * its protocol implies. Spans refer to the input.
    * @private
    */
-  cleanInput(input) {
-    return input
-      .replace(/[""'']/g, '"')
-      .replace(/[°ºª]/g, "d")
-      .replace(/[′']/g, "'")
-      .replace(/[″"]/g, '"')
-      .replace(/[\u2013\u2014\u2212]/g, "-")
-      .replace(/[·•]/g, ",")
-      .replace(/\s*[,;]\s*/g, ",")
-      .replace(/\s*:\s*/g, ":")
-      .replace(/\s+/g, " ")
-      .trim();
+  protocolResult(message, propagation) {
+    const equinox = this.resolveEquinoxes(message.equinox);
+    if (equinox.error) {
+      return this.createResult(false, "", equinox.error);
+    }
+    const context = { equinox, motion: propagation, spans: message.spans };
+
+    let result;
+    if (typeof message.ra === "number") {
+      // Stellarium: binary hours and degrees, whose resolution is finer than
+      // any output
+      const raResult = this.decimalRAResult(message.ra, "h");
+      const decResult = {
+        isValid: true,
+        decimal: message.dec,
+        ...this.decimalToDMS(message.dec),
+        format: "decimal",
+      };
+      const decError =
+        this.options.validateRanges && this.validateDEC(message.dec);
+      result = decError
+        ? this.createResult(
+            false,
+            "",
+            this.locateError(decError, message.spans)
+          )
+        : this.createCoordinatesResult(raResult, decResult, context);
+    } else {
+      // INDI: RA in hours, decimal or sexagesimal
+      const ra = /^\d+(?:\.\d+)?$/.test(message.ra)
+        ? `${message.ra}h`
+        : message.ra;
+      result = this.parseCombinedCoordinates(ra, message.dec, context);
+    }
+
+    if (result.isValid) {
+      result.metadata.protocol = message.protocol;
+    }
+    return result;
   }
 
   /**
-   * Check for potentially malicious content
+   * Result for an object name: its catalog position when a resolver knows
+   * it, otherwise the name itself as passthrough
    * @private
    */
-  containsMaliciousContent(input) {
-    const dangerousPatterns = [
-      /<[^>]*>/, // HTML tags
-      /javascript:/i, // JavaScript protocol
-      /on\w+\s*=/i, // Event handlers
-      /[\x00-\x1F\x7F]/, // Control characters
-    ];
+  objectNameResult(cleanInput, name, context = {}) {
+    if (context.deferNames) {
+      return { deferred: { cleanInput, name, context } };
+    }
 
-    return dangerousPatterns.some((pattern) => pattern.test(input));
+    const resolver = this.getResolver();
+    const object = resolver ? resolver.resolve(name) : null;
+    // Asynchronous resolvers are only consulted by sanitizeCoordinatesAsync
+    if (!object || typeof object.then === "function") {
+      return this.passthroughResult(cleanInput, name, context);
+    }
+    return this.resolvedObjectResult(object, name, context);
   }
 
   /**
-   * Check if input looks like coordinates
+   * Result for an object name that is passed through unchanged
    * @private
    */
-  looksLikeCoordinates(input) {
-    if (!input) return false;
-
-    const cleanInput = input.toUpperCase();
-
-    // Check for common object name patterns first
-    if (this.catalogPatterns.some((pattern) => pattern.test(cleanInput))) {
-      return false;
-    }
-
-    // Check if it contains coordinate-like patterns
-    const coordinateIndicators = [
-      /\d+[hH:]\s*\d+/, // Hours notation
-      /\d+[dD°]\s*\d+/, // Degrees notation
-      /[+-]\s*\d+/, // Signed numbers
-      /\d+[mM'′]\s*\d+/, // Minutes notation
-      /\d+[sS"″]/, // Seconds notation
-      /\d+\.\d+.*,.*\d+\.\d+/, // Decimal pairs
-      /RA|DEC|DECL/i, // Explicit RA/DEC labels
-    ];
-
-    return coordinateIndicators.some((pattern) => pattern.test(input));
+  passthroughResult(cleanInput, name, context = {}) {
+    return this.createResult(
+      true,
+      cleanInput,
+      null,
+      {
+        inputFormat: "object-name",
+        outputFormat: "passthrough",
+        ...this.matchCatalog(name),
+      },
+      context.warnings
+    );
   }
 
   /**
-   * Parse combined coordinates (RA and DEC separated by comma, semicolon, etc.)
+   * Result for an object position found by a resolver
    * @private
    */
-  parseCombinedCoordinates(raPart, decPart) {
-    const raResult = this.parseRA(raPart);
-    const decResult = this.parseDEC(decPart);
-
-    if (!raResult.isValid || !decResult.isValid) {
+  resolvedObjectResult(object, name, context = {}) {
+    // Resolver output is not trusted: RA (degrees) and DEC must be finite
+    // numbers in range, whatever validateRanges says
+    const invalid = [
+      ["ra", object.ra, (ra) => ra >= 0 && ra < 360],
+      ["dec", object.dec, (dec) => dec >= -90 && dec <= 90],
+    ].find(
+      ([, value, inRange]) =>
+        typeof value !== "number" || !Number.isFinite(value) || !inRange(value)
+    );
+    if (invalid) {
+      const [component, value] = invalid;
       return this.createResult(
         false,
         "",
-        `Invalid coordinates: ${raResult.error || decResult.error}`
+        createError(
+          "RESOLVED_POSITION_INVALID",
+          { name, component, value: String(value) },
+          { component, span: span(context.offset || 0, name.length) }
+        )
       );
     }
 
-    if (this.options.validateRanges) {
-      const raError = this.validateRA(raResult.decimal);
-      const decError = this.validateDEC(decResult.decimal);
+    const raResult = this.decimalRAResult(object.ra, "d");
+    const decResult = {
+      isValid: true,
+      decimal: object.dec,
+      ...this.decimalToDMS(object.dec),
+      format: "decimal",
+    };
 
-      if (raError || decError) {
-        return this.createResult(false, "", raError || decError);
-      }
+    // Catalog positions are ICRS/J2000, whatever the input options say
+    const result = this.createCoordinatesResult(raResult, decResult, {
+      ...context,
+      equinox: context.equinox && { ...context.equinox, source: J2000 },
+      inputFrame: "icrs",
+    });
+    result.metadata.inputFormat = "object-name";
+    // Common names ("Andromeda Galaxy") only look like star names: report
+    // the catalog of the object's designation (M31) instead
+    let match = this.matchCatalog(name);
+    if ((!match || match.catalog === "Star name") && object.name !== name) {
+      match = this.matchCatalog(object.name) || match;
     }
+    Object.assign(result.metadata, match);
+    result.metadata.object = {
+      name: object.name,
+      catalog: object.catalog,
+      source: object.source,
+      aliases: object.aliases || [],
+      ...(object.cached && { cached: true }),
+    };
+    return result;
+  }
 
-    const formatted = this.formatOutput(raResult, decResult);
-    return this.createResult(true, formatted, null, {
-      inputFormat: "coordinates",
-      outputFormat: this.options.outputFormat,
-      ra: raResult,
-      dec: decResult,
-    });
+  /**
+   * Resolver selected by the resolver option, or null when names are passed through
+   * @private
+   */
+  getResolver() {
+    const { resolver } = this.options;
+    if (!resolver) return null;
+    if (resolver === "bundled") {
+      return bundledResolver;
+    }
+    if (typeof resolver.resolve !== "function") {
+      throw new Error(
+        `Unknown resolver: "${resolver}". Use 'bundled' or an object with a resolve(name) method`
+      );
+    }
+    return resolver;
   }
 
   /**
-   * Parse space-separated coordinates (without comma/semicolon separator)
+   * Validate space-motion values and resolve the catalog and target epochs
    * @private
    */
-  parseSpaceSeparatedCoordinates(input) {
-    // Match numbers including decimals and signs
-    const numMatches = input.match(/([+-]?\d+(?:\.\d+)?)/g);
+  resolveMotion(motion) {
+    if (motion === null || motion === undefined) return null;
+    if (typeof motion !== "object") {
+      return { error: motionError("INVALID_MOTION") };
+    }
 
-    if (!numMatches || numMatches.length < 6) {
-      return this.createResult(false, "", "Insufficient coordinate components");
+    const values = {};
+    for (const key of ["pmRA", "pmDec", "parallax", "radialVelocity"]) {
+      const value = motion[key] === undefined ? 0 : motion[key];
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: motionError("INVALID_MOTION_VALUE", { key }) };
+      }
+      values[key] = value;
+    }
+    if (values.parallax < 0) {
+      return { error: motionError("NEGATIVE_PARALLAX") };
     }
 
-    const raH = parseFloat(numMatches[0]);
-    const raM = parseFloat(numMatches[1]);
-    const raS = parseFloat(numMatches[2]);
-    const decD = parseFloat(numMatches[3]);
-    const decM = parseFloat(numMatches[4]);
-    const decS = parseFloat(numMatches[5]);
+    const from = parseEpoch(motion.epoch === undefined ? 2000 : motion.epoch);
+    if (from === null) {
+      return { error: motionError("INVALID_EPOCH", { epoch: motion.epoch }) };
+    }
 
-    const raDecimal = this.hmsToDecimal(raH, raM, raS);
-    // Check if original string had negative sign (handles -00 case)
-    const isNegative = numMatches[3].trim().startsWith("-");
-    const decDecimal = this.dmsToDecimal(decD, decM, decS, isNegative);
+    const targetEpoch =
+      motion.targetEpoch !== undefined && motion.targetEpoch !== null
+        ? motion.targetEpoch
+        : this.options.targetEpoch;
+    const to =
+      targetEpoch !== undefined && targetEpoch !== null
+        ? parseEpoch(targetEpoch)
+        : julianEpoch(this.options.observationDate || new Date());
+    if (to === null) {
+      return {
+        error: motionError("INVALID_TARGET_EPOCH", { epoch: targetEpoch }),
+      };
+    }
 
-    if (this.options.validateRanges) {
-      const raError = this.validateRA(raDecimal);
-      const decError = this.validateDEC(decDecimal);
+    return { values, from, to };
+  }
 
-      if (raError || decError) {
-        return this.createResult(false, "", raError || decError);
+  /**
+   * Split an equinox tag (B1950, J2000, FK4, FK5, ICRS, JNow) off the
+   * start or end of the input. A Besselian/Julian epoch wins over a bare
+   * system name ("FK5 J2025" is FK5 at equinox J2025).
+   * @private
+   */
+  extractEquinox(input) {
+    let coordinates = input;
+    let tag = null;
+
+    for (const pattern of [this.patterns.equinoxSuffix, this.patterns.equinoxPrefix]) {
+      let match;
+      while ((match = coordinates.match(pattern))) {
+        const label = match[1].toUpperCase();
+        if (!tag || /^[BJ]\d/.test(label)) {
+          tag = label;
+        }
+        coordinates = coordinates.replace(pattern, "").trim();
       }
     }
 
-    const raResult = {
-      decimal: raDecimal,
-      hours: raH,
-      minutes: raM,
-      seconds: raS,
-    };
-    const decResult = {
-      decimal: decDecimal,
-      degrees: decD,
-      minutes: decM,
-      seconds: decS,
-    };
+    return { coordinates, tag };
+  }
 
-    const formatted = this.formatOutput(raResult, decResult);
-    return this.createResult(true, formatted, null, {
-      inputFormat: "coordinates",
-      outputFormat: this.options.outputFormat,
-      ra: raResult,
-      dec: decResult,
-    });
+  /**
+   * Resolve source and target equinoxes from an input tag and the options
+   * @private
+   */
+  resolveEquinoxes(tag) {
+    const date = this.options.observationDate || new Date();
+    const sourceLabel = tag || this.options.equinox || "J2000";
+    const source = parseEquinox(sourceLabel, date);
+    if (!source) {
+      return {
+        error: createError(
+          "UNSUPPORTED_EQUINOX",
+          { equinox: sourceLabel },
+          { component: "equinox" }
+        ),
+      };
+    }
+    const target = parseEquinox(this.options.targetEquinox, date);
+    if (!target) {
+      return {
+        error: createError(
+          "UNSUPPORTED_TARGET_EQUINOX",
+          { equinox: this.options.targetEquinox },
+          { component: "equinox" }
+        ),
+      };
+    }
+    return { source, target };
+  }
+
+  /**
+   * Whether untagged input needs no precession
+   * @private
+   */
+  isSameEquinox() {
+    const { source, target } = this.resolveEquinoxes(null);
+    return Boolean(source && target) && isSameEquinox(source, target);
+  }
+
+  /**
+   * Equatorial frame that parsed RA/DEC input is taken to be in
+   * @private
+   */
+  equatorialInputFrame() {
+    const frame = FRAMES[this.options.inputFrame];
+    return frame && frame.equatorial ? this.options.inputFrame : "icrs";
+  }
+
+  /**
+   * Whether input and output are in the same frame (no conversion needed)
+   * @private
+   */
+  isSameFrame() {
+    const input = FRAMES[this.options.inputFrame];
+    const output = FRAMES[this.options.outputFrame];
+    if (!input || !output) return true;
+    if (input.equatorial && output.equatorial) return true;
+    return this.options.inputFrame === this.options.outputFrame;
   }
 
   /**
@@ -298,12 +1876,52 @@ class CoordinateSanitizer {
       if (hours < 0 || minutes < 0 || seconds < 0) {
         return {
           isValid: false,
-          error: `Invalid RA format: ${raPart} (negative values not allowed in HMS)`,
+          error: raError("RA_NEGATIVE_HMS", raPart),
         };
       }
 
       const decimal = this.hmsToDecimal(hours, minutes, seconds);
-      return { isValid: true, decimal, hours, minutes, seconds, format: "hms" };
+      return this.withWarnings(
+        this.checkComponents(
+          "ra",
+          {
+            isValid: true,
+            decimal,
+            hours,
+            minutes,
+            seconds,
+            format: "hms",
+            unit: "hours",
+          },
+          raPart
+        ),
+        this.precisionWarning("ra", raPart, match[3], 1 / 3600)
+      );
+    }
+
+    // Try hours and decimal minutes
+    match = raPart.match(this.patterns.raHM);
+    if (match) {
+      const hours = parseInt(match[1]);
+      const minutes = parseInt(match[2]);
+      const fraction = parseFloat(match[3]);
+      const decimal = this.hmsToDecimal(hours, minutes + fraction, 0);
+      return this.withWarnings(
+        this.checkComponents(
+          "ra",
+          {
+            isValid: true,
+            decimal,
+            hours,
+            minutes,
+            seconds: fraction * 60,
+            format: "hms",
+            unit: "hours",
+          },
+          raPart
+        ),
+        this.precisionWarning("ra", raPart, match[3], 1 / 60)
+      );
     }
 
     // Try compact HMS format (not available in strict mode)
@@ -317,38 +1935,195 @@ class CoordinateSanitizer {
         if (hours < 0 || minutes < 0 || seconds < 0) {
           return {
             isValid: false,
-            error: `Invalid RA format: ${raPart} (negative values not allowed in HMS)`,
+            error: raError("RA_NEGATIVE_HMS", raPart),
           };
         }
 
         const decimal = this.hmsToDecimal(hours, minutes, seconds);
-        return {
-          isValid: true,
-          decimal,
-          hours,
-          minutes,
-          seconds,
-          format: "hms-compact",
-        };
+        return this.withWarnings(
+          this.checkComponents(
+            "ra",
+            {
+              isValid: true,
+              decimal,
+              hours,
+              minutes,
+              seconds,
+              format: "hms-compact",
+              unit: "hours",
+            },
+            raPart
+          ),
+          compactWarning("ra", raPart),
+          this.precisionWarning("ra", raPart, match[3], 1 / 3600)
+        );
       }
     }
 
     // Try decimal format
     match = raPart.match(this.patterns.raDecimal);
     if (match) {
-      const decimal = parseFloat(match[1]);
-      const { hours, minutes, seconds } = this.decimalToHMS(decimal);
-      return {
-        isValid: true,
-        decimal,
-        hours,
+      const value = parseFloat(match[1]);
+      const result = this.decimalRAResult(value, match[2]);
+      // Values below 24 read as hours in 'auto' mode could be degrees too
+      const ambiguous =
+        !match[2] && this.options.raUnit === "auto" && result.unit === "hours";
+      return this.withWarnings(
+        result,
+        ambiguous &&
+          createError("RA_UNIT_AMBIGUOUS", { value }, { component: "ra" }),
+        this.precisionWarning(
+          "ra",
+          raPart,
+          match[1],
+          result.unit === "degrees" ? 1 / 15 : 1
+        )
+      );
+    }
+
+    return { isValid: false, error: raError("RA_INVALID_FORMAT", raPart) };
+  }
+
+  /**
+   * Check the minutes and seconds of a sexagesimal RA or DEC: both must be
+   * below 60, and a DEC of ±90° must have zero minutes and seconds. With the
+   * componentValidation option, problems reject the input ('reject'), are
+   * reported as warnings ('warn'), or are reported and carried into the next
+   * unit ('normalize': 12:75:00 -> 13h 15m).
+   * @param {string} component - "ra" or "dec"
+   * @param {Object} parsed - Parsed component (hours or degrees, minutes, seconds)
+   * @param {string} text - Component text, for messages
+   * @returns {Object} The component, with `warnings` if any, or
+   *   { isValid: false, error } if rejected
+   * @private
+   */
+  checkComponents(component, parsed, text) {
+    const prefix = component.toUpperCase();
+    const lead = component === "ra" ? "hours" : "degrees";
+    const { minutes, seconds } = parsed;
+    const issue = (code, params) => createError(code, params, { component });
+
+    const issues = [];
+    if (minutes >= 60) {
+      issues.push(issue(`${prefix}_MINUTES_OVERFLOW`, { value: minutes, text }));
+    }
+    if (seconds >= 60) {
+      issues.push(issue(`${prefix}_SECONDS_OVERFLOW`, { value: seconds, text }));
+    }
+    if (
+      component === "dec" &&
+      Math.abs(parsed.degrees) === 90 &&
+      (minutes > 0 || seconds > 0)
+    ) {
+      issues.push(issue("DEC_POLE_COMPONENTS", { text }));
+    }
+    if (issues.length === 0) return parsed;
+
+    const mode = this.options.componentValidation;
+    if (mode === "warn") {
+      return { ...parsed, warnings: issues };
+    }
+    if (mode === "normalize") {
+      const carried = carrySexagesimal(
+        Math.abs(parsed[lead]),
         minutes,
-        seconds,
-        format: "decimal",
+        seconds
+      );
+      // Keep the sign of the degrees, including -0
+      const negative = parsed[lead] < 0 || Object.is(parsed[lead], -0);
+      return {
+        ...parsed,
+        [lead]: negative ? -carried.lead : carried.lead,
+        minutes: carried.minutes,
+        seconds: carried.seconds,
+        warnings: issues,
       };
     }
+    return { isValid: false, error: issues[0] };
+  }
+
+  /**
+   * Add warnings (ignoring falsy ones) to a parsed RA or DEC component
+   * @private
+   */
+  withWarnings(parsed, ...warnings) {
+    const found = warnings.filter(Boolean);
+    if (!parsed.isValid || found.length === 0) return parsed;
+    return { ...parsed, warnings: [...(parsed.warnings || []), ...found] };
+  }
+
+  /**
+   * Warn when a number has more decimals than the output keeps
+   * @param {string} component - "ra" or "dec"
+   * @param {string} text - Component text, for the message
+   * @param {string} number - Number whose decimals are counted
+   * @param {number} scale - Size of the number's unit in hours (RA) or
+   *   degrees (DEC): 1/3600 for seconds, 1/15 for RA degrees
+   * @private
+   */
+  precisionWarning(component, text, number, scale) {
+    const digits = (number.split(".")[1] || "").length;
+    // Only decimals count, whole units are the usual way to write a position
+    if (digits === 0) return null;
+    const step = 10 ** -digits * scale;
+    // Tolerance for floating point error in the steps
+    if (step >= this.outputStep(component) * (1 - 1e-9)) return null;
+    return createError("PRECISION_TRUNCATED", { text, digits }, { component });
+  }
+
+  /**
+   * Smallest step of the output, in hours (RA) or degrees (DEC)
+   * @private
+   */
+  outputStep(component) {
+    const frame = FRAMES[this.options.outputFrame];
+    const step = 10 ** -this.options.precision;
+    // Last decimal of a value in degrees, in hours for RA
+    const decimalStep = component === "ra" ? step / 15 : step;
+    if (frame && !frame.equatorial) {
+      // Other frames are output in decimal degrees
+      return decimalStep;
+    }
+    if (this.template) {
+      return this.template.step[component];
+    }
+    // Objects keep the finer of seconds to milliseconds and decimal degrees
+    return Math.min(0.001 / 3600, decimalStep);
+  }
+
+  /**
+   * Resolve the unit of a decimal RA value.
+   * An explicit marker in the input ("h", "d", "°") wins over the raUnit
+   * option; in 'auto' mode values of 24 or more can only be degrees.
+   * @private
+   */
+  resolveRAUnit(value, marker) {
+    if (marker) {
+      return marker.toLowerCase() === "h" ? "hours" : "degrees";
+    }
+    if (this.options.raUnit === "hours" || this.options.raUnit === "degrees") {
+      return this.options.raUnit;
+    }
+    return value >= 24 ? "degrees" : "hours";
+  }
 
-    return { isValid: false, error: `Invalid RA format: ${raPart}` };
+  /**
+   * Build an RA component from a decimal value, converting degrees to hours
+   * @private
+   */
+  decimalRAResult(value, marker = null) {
+    const unit = this.resolveRAUnit(value, marker);
+    const decimal = unit === "degrees" ? value / 15 : value;
+    const { hours, minutes, seconds } = this.decimalToHMS(decimal);
+    return {
+      isValid: true,
+      decimal,
+      hours,
+      minutes,
+      seconds,
+      format: "decimal",
+      unit,
+    };
   }
 
   /**
@@ -365,14 +2140,44 @@ class CoordinateSanitizer {
       // Check if original string had negative sign (handles -00 case)
       const isNegative = match[1].trim().startsWith("-");
       const decimal = this.dmsToDecimal(degrees, minutes, seconds, isNegative);
-      return {
-        isValid: true,
-        decimal,
+      return this.withWarnings(
+        this.checkComponents(
+          "dec",
+          { isValid: true, decimal, degrees, minutes, seconds, format: "dms" },
+          decPart
+        ),
+        this.precisionWarning("dec", decPart, match[3], 1 / 3600)
+      );
+    }
+
+    // Try degrees and (decimal) minutes
+    match = decPart.match(this.patterns.decDM);
+    if (match) {
+      const degrees = parseInt(match[1]);
+      const minutes = parseInt(match[2]);
+      const fraction = parseFloat(match[3] || "0");
+      const isNegative = match[1].startsWith("-");
+      const decimal = this.dmsToDecimal(
         degrees,
-        minutes,
-        seconds,
-        format: "dms",
-      };
+        minutes + fraction,
+        0,
+        isNegative
+      );
+      return this.withWarnings(
+        this.checkComponents(
+          "dec",
+          {
+            isValid: true,
+            decimal,
+            degrees,
+            minutes,
+            seconds: fraction * 60,
+            format: "dms",
+          },
+          decPart
+        ),
+        match[3] && this.precisionWarning("dec", decPart, match[3], 1 / 60)
+      );
     }
 
     // Try compact DMS format (not available in strict mode)
@@ -385,14 +2190,22 @@ class CoordinateSanitizer {
         // Check if original string had negative sign (handles -00 case)
         const isNegative = match[1].trim().startsWith("-");
         const decimal = this.dmsToDecimal(degrees, minutes, seconds, isNegative);
-        return {
-          isValid: true,
-          decimal,
-          degrees,
-          minutes,
-          seconds,
-          format: "dms-compact",
-        };
+        return this.withWarnings(
+          this.checkComponents(
+            "dec",
+            {
+              isValid: true,
+              decimal,
+              degrees,
+              minutes,
+              seconds,
+              format: "dms-compact",
+            },
+            decPart
+          ),
+          compactWarning("dec", decPart),
+          this.precisionWarning("dec", decPart, match[3], 1 / 3600)
+        );
       }
     }
 
@@ -401,86 +2214,52 @@ class CoordinateSanitizer {
     if (match) {
       const decimal = parseFloat(match[1]);
       const { degrees, minutes, seconds } = this.decimalToDMS(decimal);
-      return {
-        isValid: true,
-        decimal,
-        degrees,
-        minutes,
-        seconds,
-        format: "decimal",
-      };
+      return this.withWarnings(
+        {
+          isValid: true,
+          decimal,
+          degrees,
+          minutes,
+          seconds,
+          format: "decimal",
+        },
+        this.precisionWarning("dec", decPart, match[1], 1)
+      );
     }
 
-    return { isValid: false, error: `Invalid DEC format: ${decPart}` };
+    return {
+      isValid: false,
+      error: createError(
+        "DEC_INVALID_FORMAT",
+        { text: decPart },
+        { component: "dec" }
+      ),
+    };
   }
 
   /**
-   * Format output according to specified format
+   * Format output with the output template, or as an object
    * @private
    */
   formatOutput(raResult, decResult) {
-    switch (this.options.outputFormat) {
-      case "aladin":
-        return this.formatAladin(raResult, decResult);
-      case "decimal":
-        return this.formatDecimal(raResult, decResult);
-      case "hms-dms":
-        return this.formatHMSDMS(raResult, decResult);
-      default:
-        return this.formatAladin(raResult, decResult);
+    if (!this.template) {
+      return coordinateObject(
+        raResult.decimal,
+        decResult.decimal,
+        this.options.precision
+      );
     }
+    return this.template.format(raResult.decimal, decResult.decimal);
   }
 
   /**
-   * Format for Aladin: "HH MM SS.SSS, ±DD MM SS.SSS"
-   * @private
-   */
-  formatAladin(raResult, decResult) {
-    // Normalize to prevent seconds from rounding to 60 at 3 decimal places
-    let raH = raResult.hours, raM = raResult.minutes;
-    let raS = Math.round(raResult.seconds * 1000) / 1000;
-    if (raS >= 60) { raS = 0; raM += 1; if (raM >= 60) { raM = 0; raH += 1; } }
-
-    let decD = Math.abs(decResult.degrees), decM = Math.abs(decResult.minutes);
-    let decS = Math.round(Math.abs(decResult.seconds) * 1000) / 1000;
-    if (decS >= 60) { decS = 0; decM += 1; if (decM >= 60) { decM = 0; decD += 1; } }
-
-    const raFormatted = `${raH.toString().padStart(2, "0")} ${raM.toString().padStart(2, "0")} ${raS.toFixed(3).padStart(6, "0")}`;
-    const decSign = decResult.decimal >= 0 ? "+" : "-";
-    const decFormatted = `${decSign}${decD.toString().padStart(2, "0")} ${decM.toString().padStart(2, "0")} ${decS.toFixed(3).padStart(6, "0")}`;
-
-    return `${raFormatted}, ${decFormatted}`;
-  }
-
-  /**
-   * Format as decimal degrees
+   * Format a non-equatorial longitude/latitude as decimal degrees
    * @private
    */
-  formatDecimal(raResult, decResult) {
-    return `${raResult.decimal.toFixed(
+  formatFrame(lon, lat) {
+    return `${lon.toFixed(this.options.precision)}, ${lat.toFixed(
       this.options.precision
-    )}, ${decResult.decimal.toFixed(this.options.precision)}`;
-  }
-
-  /**
-   * Format as HMS/DMS with symbols
-   * @private
-   */
-  formatHMSDMS(raResult, decResult) {
-    // Normalize to prevent seconds from rounding to 60 at 3 decimal places
-    let raH = raResult.hours, raM = raResult.minutes;
-    let raS = Math.round(raResult.seconds * 1000) / 1000;
-    if (raS >= 60) { raS = 0; raM += 1; if (raM >= 60) { raM = 0; raH += 1; } }
-
-    let decD = Math.abs(decResult.degrees), decM = Math.abs(decResult.minutes);
-    let decS = Math.round(Math.abs(decResult.seconds) * 1000) / 1000;
-    if (decS >= 60) { decS = 0; decM += 1; if (decM >= 60) { decM = 0; decD += 1; } }
-
-    const raFormatted = `${raH.toString().padStart(2, "0")}h ${raM.toString().padStart(2, "0")}m ${raS.toFixed(3).padStart(6, "0")}s`;
-    const decSign = decResult.decimal >= 0 ? "+" : "-";
-    const decFormatted = `${decSign}${decD.toString().padStart(2, "0")}° ${decM.toString().padStart(2, "0")}' ${decS.toFixed(3).padStart(6, "0")}"`;
-
-    return `${raFormatted}, ${decFormatted}`;
+    )}`;
   }
 
   /**
@@ -488,31 +2267,15 @@ class CoordinateSanitizer {
    * @private
    */
   hmsToDecimal(hours, minutes, seconds) {
-    return hours + minutes / 60 + seconds / 3600;
+    return hmsToDecimal(hours, minutes, seconds);
   }
 
   /**
    * Convert decimal hours to HMS
-   * Handles floating point carry correctly.
    * @private
    */
   decimalToHMS(decimal) {
-    let hours = Math.floor(decimal);
-    const minutesDecimal = (decimal - hours) * 60;
-    let minutes = Math.floor(minutesDecimal);
-    let seconds = Math.round((minutesDecimal - minutes) * 60 * 1000) / 1000;
-
-    // Carry over floating point overflow
-    if (seconds >= 60) {
-      seconds = 0;
-      minutes += 1;
-      if (minutes >= 60) {
-        minutes = 0;
-        hours += 1;
-      }
-    }
-
-    return { hours, minutes, seconds };
+    return decimalToHMS(decimal);
   }
 
   /**
@@ -520,46 +2283,29 @@ class CoordinateSanitizer {
    * @private
    */
   dmsToDecimal(degrees, minutes, seconds, isNegative = null) {
-    // If isNegative is explicitly provided, use it (handles -00 case)
-    // Otherwise, determine sign from degrees value
-    const sign = isNegative !== null ? (isNegative ? -1 : 1) : (degrees < 0 ? -1 : 1);
-    return sign * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+    return dmsToDecimal(degrees, minutes, seconds, isNegative);
   }
 
   /**
    * Convert decimal degrees to DMS
-   * Handles floating point carry correctly.
    * @private
    */
   decimalToDMS(decimal) {
-    const sign = decimal < 0 ? -1 : 1;
-    const absDecimal = Math.abs(decimal);
-    let deg = Math.floor(absDecimal);
-    const minutesDecimal = (absDecimal - deg) * 60;
-    let minutes = Math.floor(minutesDecimal);
-    let seconds = Math.round((minutesDecimal - minutes) * 60 * 1000) / 1000;
-
-    // Carry over floating point overflow
-    if (seconds >= 60) {
-      seconds = 0;
-      minutes += 1;
-      if (minutes >= 60) {
-        minutes = 0;
-        deg += 1;
-      }
-    }
-
-    const degrees = deg * sign;
-    return { degrees, minutes, seconds };
+    return decimalToDMS(decimal);
   }
 
   /**
-   * Validate RA range (0-24 hours)
+   * Validate RA range (0-24 hours, or 0-360 degrees when given in degrees)
    * @private
    */
-  validateRA(decimal) {
+  validateRA(decimal, unit = "hours") {
     if (decimal < 0 || decimal >= 24) {
-      return `RA out of range: ${decimal} (must be 0-24 hours)`;
+      const value = unit === "degrees" ? decimal * 15 : decimal;
+      return createError(
+        "RA_OUT_OF_RANGE",
+        { value, unit },
+        { component: "ra" }
+      );
     }
     return null;
   }
@@ -570,7 +2316,11 @@ class CoordinateSanitizer {
    */
   validateDEC(decimal) {
     if (decimal < -90 || decimal > 90) {
-      return `DEC out of range: ${decimal} (must be -90 to +90 degrees)`;
+      return createError(
+        "DEC_OUT_OF_RANGE",
+        { value: decimal },
+        { component: "dec" }
+      );
     }
     return null;
   }
@@ -580,27 +2330,25 @@ class CoordinateSanitizer {
    * @private
    */
   isValidFormat(input) {
-    switch (this.options.outputFormat) {
-      case "aladin":
-        return this.patterns.aladinFormat.test(input);
-      case "decimal":
-        return /^\d+\.\d+,\s*[+-]?\d+\.\d+$/.test(input);
-      case "hms-dms":
-        return /^\d{2}h \d{2}m \d{2}\.\d{3}s, [+-]\d{2}° \d{2}' \d{2}\.\d{3}"$/.test(input);
-      default:
-        return false;
-    }
+    return this.template !== null && this.template.pattern.test(input);
   }
 
   /**
    * Create standardized result object
    * @private
    */
-  createResult(isValid, coordinates, error, metadata = {}) {
+  createResult(isValid, coordinates, error, metadata = {}, warnings = []) {
+    // Structured errors (createError) carry the message and its details
+    const detail =
+      error && typeof error === "object"
+        ? localizeError(error, this.locale)
+        : null;
     return {
       isValid,
       coordinates,
-      error,
+      error: detail ? detail.message : error,
+      errorDetail: detail,
+      warnings: warnings.map((warning) => localizeError(warning, this.locale)),
       metadata,
     };
   }
@@ -616,9 +2364,18 @@ class CoordinateSanitizer {
         "Decimal (123.456, -12.345)",
         "Compact (123456.78, -123456.78)",
         "Mixed separators (12:34:56.78, +12°34'56.78\")",
+        "Labelled (RA=12:34:56 Dec=+12:34:56, ra=188.73&dec=12.58)",
         "Object names (M31, NGC 1234, etc.)",
+        "IAU designations (SDSS J123456.78+123456.7, PSR B1919+21)",
+        "Galactic (l=121.17 b=-21.57, G121.17-21.57)",
+        "Ecliptic (lambda=10.5 beta=-2.3)",
+        "Supergalactic (SGL=10.5 SGB=-2.3)",
+        "LX200 replies and commands (12:34:56# +12*34:56#, :Sr12:34:56#:Sd+12*34:56#)",
+        "INDI number vectors (<newNumberVector name=\"EQUATORIAL_EOD_COORD\">…)",
+        "Stellarium telescope-control messages as hex (14 00 00 00 …)",
       ],
-      output: ["aladin", "decimal", "hms-dms"],
+      output: [...Object.keys(OUTPUT_TEMPLATES), "object"],
+      frames: Object.keys(FRAMES),
     };
   }
 
@@ -630,26 +2387,40 @@ class CoordinateSanitizer {
    * @static
    */
   static createPreset(preset) {
-    const presets = {
-      aladin: { outputFormat: "aladin", validateRanges: true },
-      decimal: { outputFormat: "decimal", precision: 6, validateRanges: true },
-      loose: { outputFormat: "aladin", validateRanges: false },
-      strict: {
-        outputFormat: "aladin",
-        validateRanges: true,
-        strictMode: true,
-      },
-    };
-
-    if (!presets[preset]) {
+    if (!Object.prototype.hasOwnProperty.call(PRESETS, preset)) {
       throw new Error(
-        `Unknown preset: "${preset}". Available presets: ${Object.keys(presets).join(", ")}`
+        `Unknown preset: "${preset}". Available presets: ${Object.keys(PRESETS).join(", ")}`
       );
     }
 
-    return new CoordinateSanitizer(presets[preset]);
+    return new CoordinateSanitizer(PRESETS[preset]);
   }
 }
 
-// Export per CommonJS (Node.js)
+// Export per CommonJS (Node.js). The class is also available as a named
+// export, next to the presets and converters (see index.mjs for ESM).
 module.exports = CoordinateSanitizer;
+module.exports.CoordinateSanitizer = CoordinateSanitizer;
+module.exports.PRESETS = PRESETS;
+module.exports.ERROR_CODES = ERROR_CODES;
+module.exports.WARNING_CODES = WARNING_CODES;
+module.exports.OUTPUT_TEMPLATES = OUTPUT_TEMPLATES;
+module.exports.SERIALIZATION_FORMATS = SERIALIZATION_FORMATS;
+module.exports.LOCALES = LOCALES;
+module.exports.CATALOG_PATTERNS = CATALOG_PATTERNS;
+module.exports.hmsToDecimal = hmsToDecimal;
+module.exports.decimalToHMS = decimalToHMS;
+module.exports.dmsToDecimal = dmsToDecimal;
+module.exports.decimalToDMS = decimalToDMS;
+module.exports.convertFrame = convertFrame;
+module.exports.precess = precess;
+module.exports.parseEquinox = parseEquinox;
+module.exports.propagate = propagate;
+module.exports.angularSeparation = angularSeparation;
+module.exports.positionAngle = positionAngle;
+module.exports.offsetPosition = offsetPosition;
+module.exports.raDifference = raDifference;
+module.exports.createCatalogResolver = createCatalogResolver;
+module.exports.createSesameResolver = createSesameResolver;
+module.exports.createLRUCache = createLRUCache;
+module.exports.createFileCache = createFileCache;
@@ -0,0 +1,39 @@
+/**
+ * Coordinate Sanitization Library - ES module entry
+ * Re-exports the CommonJS implementation with named exports, so that
+ * `import { CoordinateSanitizer } from "coordinate-sanitizer"` works natively.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+import CoordinateSanitizer from "./index.js";
+
+export const {
+  PRESETS,
+  ERROR_CODES,
+  WARNING_CODES,
+  OUTPUT_TEMPLATES,
+  SERIALIZATION_FORMATS,
+  LOCALES,
+  CATALOG_PATTERNS,
+  hmsToDecimal,
+  decimalToHMS,
+  dmsToDecimal,
+  decimalToDMS,
+  convertFrame,
+  precess,
+  parseEquinox,
+  propagate,
+  angularSeparation,
+  positionAngle,
+  offsetPosition,
+  raDifference,
+  createCatalogResolver,
+  createSesameResolver,
+  createLRUCache,
+  createFileCache,
+} = CoordinateSanitizer;
+
+export { CoordinateSanitizer };
+export default CoordinateSanitizer;
@@ -0,0 +1,337 @@
+/**
+ * Locales
+ * Number conventions, unit words and error messages by language. In a locale
+ * with a decimal comma, "12,5; -45,75" reads as RA 12.5, DEC -45.75: the comma
+ * between digits is the decimal mark, and ";" or whitespace separates RA from
+ * DEC. Unit words ("12 ore 30 min", "45 Grad") are read as h, m, s and d.
+ *
+ * A locale is { decimalComma, units, messages }: units maps each unit letter
+ * (h, m, s, d) to the words that stand for it, and messages maps error and
+ * warning codes to templates (see ERROR_MESSAGES); codes without a template
+ * fall back to English.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const { formatMessage } = require("./errors");
+
+const DEFAULT_LOCALE = "en";
+
+// A comma between digits is a decimal mark in decimal-comma locales
+const DECIMAL_COMMA = /(?<=\d),(?=\d)/g;
+
+// Unit words are matched literally ("(h)", "mn.")
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const LOCALES = Object.freeze({
+  en: Object.freeze({
+    decimalComma: false,
+    units: {},
+    messages: {},
+  }),
+
+  it: Object.freeze({
+    decimalComma: true,
+    units: {
+      h: ["ore", "ora"],
+      m: ["minuti", "minuto", "min"],
+      s: ["secondi", "secondo", "sec"],
+      d: ["gradi", "grado"],
+    },
+    messages: {
+      INVALID_INPUT: "L'input deve essere una stringa non vuota",
+      MALICIOUS_INPUT: "L'input contiene contenuto potenzialmente dannoso",
+      AMBIGUOUS_SEPARATOR:
+        "Modalità rigorosa: separare AR e Dec con un separatore esplicito (punto e virgola)",
+      INSUFFICIENT_COMPONENTS: "Componenti delle coordinate insufficienti",
+      RA_INVALID_FORMAT: "Coordinate non valide: formato AR non valido: {text}",
+      RA_NEGATIVE_HMS:
+        "Coordinate non valide: formato AR non valido: {text} (valori negativi non ammessi in HMS)",
+      DEC_INVALID_FORMAT:
+        "Coordinate non valide: formato Dec non valido: {text}",
+      LABEL_DUPLICATED: "Coordinate etichettate: {label} compare più di una volta",
+      LABEL_MISSING: (params) =>
+        params.missing === "ra"
+          ? `Coordinate etichettate: ${params.label} senza etichetta AR corrispondente`
+          : `Coordinate etichettate: ${params.label} senza etichetta Dec corrispondente`,
+      RA_OUT_OF_RANGE: (params) =>
+        params.unit === "degrees"
+          ? `AR fuori intervallo: ${params.value} (deve essere tra 0 e 360 gradi)`
+          : `AR fuori intervallo: ${params.value} (deve essere tra 0 e 24 ore)`,
+      DEC_OUT_OF_RANGE:
+        "Dec fuori intervallo: {value} (deve essere tra -90 e +90 gradi)",
+      RA_MINUTES_OVERFLOW:
+        "Minuti di AR fuori intervallo: {value} (devono essere inferiori a 60)",
+      RA_SECONDS_OVERFLOW:
+        "Secondi di AR fuori intervallo: {value} (devono essere inferiori a 60)",
+      DEC_MINUTES_OVERFLOW:
+        "Minuti di Dec fuori intervallo: {value} (devono essere inferiori a 60)",
+      DEC_SECONDS_OVERFLOW:
+        "Secondi di Dec fuori intervallo: {value} (devono essere inferiori a 60)",
+      DEC_POLE_COMPONENTS:
+        "Una Dec di ±90° deve avere minuti e secondi nulli: {text}",
+      LON_OUT_OF_RANGE:
+        "{label} fuori intervallo: {value} (deve essere tra 0 e 360 gradi)",
+      LAT_OUT_OF_RANGE:
+        "{label} fuori intervallo: {value} (deve essere tra -90 e +90 gradi)",
+      UNSUPPORTED_EQUINOX: 'Equinozio non supportato: "{equinox}"',
+      UNSUPPORTED_TARGET_EQUINOX:
+        'Equinozio di destinazione non supportato: "{equinox}"',
+      INVALID_MOTION: "Il moto proprio deve essere un oggetto",
+      INVALID_MOTION_VALUE:
+        "Moto proprio non valido: {key} deve essere un numero finito",
+      NEGATIVE_PARALLAX:
+        "Moto proprio non valido: la parallasse non può essere negativa",
+      INVALID_EPOCH: "Epoca di catalogo non valida: {epoch}",
+      INVALID_TARGET_EPOCH: "Epoca di destinazione non valida: {epoch}",
+      NO_COORDINATES: "Nessuna coordinata trovata: {text}",
+      RESOLVED_POSITION_INVALID: (params) =>
+        params.component === "ra"
+          ? `Il resolver ha restituito un'AR non valida per "${params.name}": ${params.value}`
+          : `Il resolver ha restituito una Dec non valida per "${params.name}": ${params.value}`,
+      RA_UNIT_AMBIGUOUS:
+        "AR decimale {value} letta in ore; potrebbe essere in gradi (impostare raUnit)",
+      COMPACT_FORMAT_GUESSED: "{text} letto nel formato compatto {layout}",
+      OBJECT_NAME_FALLBACK: "Letto come nome di oggetto: {reason}",
+      PRECISION_TRUNCATED:
+        "Precisione troncata: {text} ha più cifre di quante ne mantenga l'output",
+      READING_SEXAGESIMAL:
+        "AR {ra} in ore, minuti e secondi; Dec {dec} in gradi, primi e secondi d'arco",
+      READING_COMPACT: "AR {ra} come HHMMSS compatto; Dec {dec} come ±DDMMSS compatto",
+      READING_HOURS_DEGREES: "AR {ra} in ore decimali; Dec {dec} in gradi decimali",
+      READING_DEGREES_DEGREES: "AR {ra} e Dec {dec} in gradi decimali",
+      READING_AS_ENTERED: "Letto come inserito",
+    },
+  }),
+
+  de: Object.freeze({
+    decimalComma: true,
+    units: {
+      h: ["Stunden", "Stunde", "Std"],
+      m: ["Minuten", "Minute", "Min"],
+      s: ["Sekunden", "Sekunde", "Sek"],
+      d: ["Grad"],
+    },
+    messages: {
+      INVALID_INPUT: "Die Eingabe muss eine nicht leere Zeichenkette sein",
+      MALICIOUS_INPUT: "Die Eingabe enthält potenziell schädliche Inhalte",
+      AMBIGUOUS_SEPARATOR:
+        "Strikter Modus: RA und Dek durch ein explizites Trennzeichen (Semikolon) trennen",
+      INSUFFICIENT_COMPONENTS: "Zu wenige Koordinatenbestandteile",
+      RA_INVALID_FORMAT: "Ungültige Koordinaten: ungültiges RA-Format: {text}",
+      RA_NEGATIVE_HMS:
+        "Ungültige Koordinaten: ungültiges RA-Format: {text} (negative Werte sind in HMS nicht erlaubt)",
+      DEC_INVALID_FORMAT:
+        "Ungültige Koordinaten: ungültiges Dek-Format: {text}",
+      LABEL_DUPLICATED: "Beschriftete Koordinaten: {label} kommt mehrfach vor",
+      LABEL_MISSING: (params) =>
+        params.missing === "ra"
+          ? `Beschriftete Koordinaten: ${params.label} ohne passende RA-Beschriftung`
+          : `Beschriftete Koordinaten: ${params.label} ohne passende Dek-Beschriftung`,
+      RA_OUT_OF_RANGE: (params) =>
+        params.unit === "degrees"
+          ? `RA außerhalb des Bereichs: ${params.value} (muss zwischen 0 und 360 Grad liegen)`
+          : `RA außerhalb des Bereichs: ${params.value} (muss zwischen 0 und 24 Stunden liegen)`,
+      DEC_OUT_OF_RANGE:
+        "Dek außerhalb des Bereichs: {value} (muss zwischen -90 und +90 Grad liegen)",
+      RA_MINUTES_OVERFLOW:
+        "RA-Minuten außerhalb des Bereichs: {value} (müssen kleiner als 60 sein)",
+      RA_SECONDS_OVERFLOW:
+        "RA-Sekunden außerhalb des Bereichs: {value} (müssen kleiner als 60 sein)",
+      DEC_MINUTES_OVERFLOW:
+        "Dek-Minuten außerhalb des Bereichs: {value} (müssen kleiner als 60 sein)",
+      DEC_SECONDS_OVERFLOW:
+        "Dek-Sekunden außerhalb des Bereichs: {value} (müssen kleiner als 60 sein)",
+      DEC_POLE_COMPONENTS:
+        "Eine Dek von ±90° muss null Minuten und Sekunden haben: {text}",
+      LON_OUT_OF_RANGE:
+        "{label} außerhalb des Bereichs: {value} (muss zwischen 0 und 360 Grad liegen)",
+      LAT_OUT_OF_RANGE:
+        "{label} außerhalb des Bereichs: {value} (muss zwischen -90 und +90 Grad liegen)",
+      UNSUPPORTED_EQUINOX: 'Nicht unterstütztes Äquinoktium: "{equinox}"',
+      UNSUPPORTED_TARGET_EQUINOX:
+        'Nicht unterstütztes Zieläquinoktium: "{equinox}"',
+      INVALID_MOTION: "Die Eigenbewegung muss ein Objekt sein",
+      INVALID_MOTION_VALUE:
+        "Ungültige Eigenbewegung: {key} muss eine endliche Zahl sein",
+      NEGATIVE_PARALLAX:
+        "Ungültige Eigenbewegung: die Parallaxe darf nicht negativ sein",
+      INVALID_EPOCH: "Ungültige Katalogepoche: {epoch}",
+      INVALID_TARGET_EPOCH: "Ungültige Zielepoche: {epoch}",
+      NO_COORDINATES: "Keine Koordinaten gefunden: {text}",
+      RESOLVED_POSITION_INVALID: (params) =>
+        params.component === "ra"
+          ? `Der Resolver lieferte eine ungültige RA für "${params.name}": ${params.value}`
+          : `Der Resolver lieferte eine ungültige Dek für "${params.name}": ${params.value}`,
+      RA_UNIT_AMBIGUOUS:
+        "Dezimale RA {value} als Stunden gelesen; sie könnte auch in Grad sein (raUnit setzen)",
+      COMPACT_FORMAT_GUESSED: "{text} als kompaktes Format {layout} gelesen",
+      OBJECT_NAME_FALLBACK: "Als Objektname gelesen: {reason}",
+      PRECISION_TRUNCATED:
+        "Genauigkeit gekürzt: {text} hat mehr Stellen, als die Ausgabe behält",
+      READING_SEXAGESIMAL:
+        "RA {ra} in Stunden, Minuten und Sekunden; Dek {dec} in Grad, Bogenminuten und Bogensekunden",
+      READING_COMPACT: "RA {ra} als kompaktes HHMMSS; Dek {dec} als kompaktes ±DDMMSS",
+      READING_HOURS_DEGREES: "RA {ra} in Dezimalstunden; Dek {dec} in Dezimalgrad",
+      READING_DEGREES_DEGREES: "RA {ra} und Dek {dec} in Dezimalgrad",
+      READING_AS_ENTERED: "Wie eingegeben gelesen",
+    },
+  }),
+
+  fr: Object.freeze({
+    decimalComma: true,
+    units: {
+      h: ["heures", "heure"],
+      m: ["minutes", "minute", "min"],
+      s: ["secondes", "seconde", "sec"],
+      d: ["degrés", "degré"],
+    },
+    messages: {
+      INVALID_INPUT: "L'entrée doit être une chaîne non vide",
+      MALICIOUS_INPUT:
+        "L'entrée contient du contenu potentiellement malveillant",
+      AMBIGUOUS_SEPARATOR:
+        "Mode strict : séparez l'AD et la Déc par un séparateur explicite (point-virgule)",
+      INSUFFICIENT_COMPONENTS: "Composantes de coordonnées insuffisantes",
+      RA_INVALID_FORMAT:
+        "Coordonnées invalides : format d'AD invalide : {text}",
+      RA_NEGATIVE_HMS:
+        "Coordonnées invalides : format d'AD invalide : {text} (valeurs négatives non autorisées en HMS)",
+      DEC_INVALID_FORMAT:
+        "Coordonnées invalides : format de Déc invalide : {text}",
+      LABEL_DUPLICATED: "Coordonnées étiquetées : {label} apparaît plusieurs fois",
+      LABEL_MISSING: (params) =>
+        params.missing === "ra"
+          ? `Coordonnées étiquetées : ${params.label} sans étiquette AD correspondante`
+          : `Coordonnées étiquetées : ${params.label} sans étiquette Déc correspondante`,
+      RA_OUT_OF_RANGE: (params) =>
+        params.unit === "degrees"
+          ? `AD hors limites : ${params.value} (doit être entre 0 et 360 degrés)`
+          : `AD hors limites : ${params.value} (doit être entre 0 et 24 heures)`,
+      DEC_OUT_OF_RANGE:
+        "Déc hors limites : {value} (doit être entre -90 et +90 degrés)",
+      RA_MINUTES_OVERFLOW:
+        "Minutes d'AD hors limites : {value} (doivent être inférieures à 60)",
+      RA_SECONDS_OVERFLOW:
+        "Secondes d'AD hors limites : {value} (doivent être inférieures à 60)",
+      DEC_MINUTES_OVERFLOW:
+        "Minutes de Déc hors limites : {value} (doivent être inférieures à 60)",
+      DEC_SECONDS_OVERFLOW:
+        "Secondes de Déc hors limites : {value} (doivent être inférieures à 60)",
+      DEC_POLE_COMPONENTS:
+        "Une Déc de ±90° doit avoir des minutes et secondes nulles : {text}",
+      LON_OUT_OF_RANGE:
+        "{label} hors limites : {value} (doit être entre 0 et 360 degrés)",
+      LAT_OUT_OF_RANGE:
+        "{label} hors limites : {value} (doit être entre -90 et +90 degrés)",
+      UNSUPPORTED_EQUINOX: 'Équinoxe non prise en charge : "{equinox}"',
+      UNSUPPORTED_TARGET_EQUINOX:
+        'Équinoxe cible non prise en charge : "{equinox}"',
+      INVALID_MOTION: "Le mouvement propre doit être un objet",
+      INVALID_MOTION_VALUE:
+        "Mouvement propre invalide : {key} doit être un nombre fini",
+      NEGATIVE_PARALLAX:
+        "Mouvement propre invalide : la parallaxe ne doit pas être négative",
+      INVALID_EPOCH: "Époque de catalogue invalide : {epoch}",
+      INVALID_TARGET_EPOCH: "Époque cible invalide : {epoch}",
+      NO_COORDINATES: "Aucune coordonnée trouvée : {text}",
+      RESOLVED_POSITION_INVALID: (params) =>
+        params.component === "ra"
+          ? `Le résolveur a renvoyé une AD invalide pour « ${params.name} » : ${params.value}`
+          : `Le résolveur a renvoyé une Déc invalide pour « ${params.name} » : ${params.value}`,
+      RA_UNIT_AMBIGUOUS:
+        "AD décimale {value} lue en heures ; elle pourrait être en degrés (définir raUnit)",
+      COMPACT_FORMAT_GUESSED: "{text} lu au format compact {layout}",
+      OBJECT_NAME_FALLBACK: "Lu comme nom d'objet : {reason}",
+      PRECISION_TRUNCATED:
+        "Précision tronquée : {text} a plus de chiffres que la sortie n'en conserve",
+      READING_SEXAGESIMAL:
+        "AD {ra} en heures, minutes et secondes ; Déc {dec} en degrés, minutes et secondes d'arc",
+      READING_COMPACT: "AD {ra} en HHMMSS compact ; Déc {dec} en ±DDMMSS compact",
+      READING_HOURS_DEGREES: "AD {ra} en heures décimales ; Déc {dec} en degrés décimaux",
+      READING_DEGREES_DEGREES: "AD {ra} et Déc {dec} en degrés décimaux",
+      READING_AS_ENTERED: "Lu tel que saisi",
+    },
+  }),
+});
+
+/**
+ * Resolve the locale option
+ * @param {string|Object|null} locale - Locale name or language tag
+ *   ("it", "de-CH", "fr_FR"), or a { decimalComma, units, messages } object
+ * @returns {{decimalComma: boolean, units: Object, messages: Object}}
+ * @throws {Error} If no bundled locale matches the name
+ */
+function resolveLocale(locale) {
+  if (locale === null || locale === undefined) {
+    return LOCALES[DEFAULT_LOCALE];
+  }
+  if (typeof locale === "object") {
+    return { ...LOCALES[DEFAULT_LOCALE], ...locale };
+  }
+
+  const language = String(locale).toLowerCase().split(/[-_]/)[0];
+  if (!Object.prototype.hasOwnProperty.call(LOCALES, language)) {
+    throw new Error(
+      `Unknown locale: "${locale}". Available locales: ${Object.keys(LOCALES).join(", ")}`
+    );
+  }
+  return LOCALES[language];
+}
+
+/**
+ * Input replacements for a locale, applied before the common ones: decimal
+ * commas become points and unit words become unit letters
+ * @param {Object} locale - From resolveLocale
+ * @returns {Array<[RegExp, string]>}
+ */
+function localeCleanSteps(locale) {
+  const steps = locale.decimalComma ? [[DECIMAL_COMMA, "."]] : [];
+
+  for (const [letter, words] of Object.entries(locale.units || {})) {
+    if (words.length === 0) continue;
+    // Longest words first, so that "minuti" is not read as "min" + "uti"
+    const alternatives = [...words]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp);
+    steps.push([
+      new RegExp(`(?<=\\d)\\s*(?:${alternatives.join("|")})(?!\\p{L})`, "giu"),
+      letter,
+    ]);
+  }
+  return steps;
+}
+
+/**
+ * Translate a structured error (see createError) into a locale. Numbers in
+ * the message use the locale's decimal mark; params keep their values.
+ * @param {Object} error
+ * @param {Object} locale - From resolveLocale
+ * @returns {Object} The error, with a localized message
+ */
+function localizeError(error, locale) {
+  if (!locale.decimalComma && Object.keys(locale.messages || {}).length === 0) {
+    return error;
+  }
+
+  const params = { ...error.params };
+  if (locale.decimalComma) {
+    for (const [key, value] of Object.entries(params)) {
+      if (typeof value === "number") {
+        params[key] = String(value).replace(".", ",");
+      }
+    }
+  }
+  return {
+    ...error,
+    message: formatMessage(error.code, params, locale.messages),
+  };
+}
+
+module.exports = {
+  LOCALES,
+  localeCleanSteps,
+  localizeError,
+  resolveLocale,
+};
@@ -0,0 +1,92 @@
+/**
+ * Proper-motion propagation
+ * Moves a catalog position to another epoch using its space motion
+ * (ESA 1997, The Hipparcos and Tycho Catalogues, Vol. 1, section 1.5.5).
+ * Light-time effects are neglected.
+ *
+ * Angles are in degrees, proper motions in mas/yr, parallax in mas and
+ * radial velocity in km/s.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const { julianEpoch } = require("./precession");
+
+const DEG = Math.PI / 180;
+const MAS = DEG / 3600000;
+
+// Astronomical unit in km*yr/s
+const AU_KM_YR_PER_S = 4.740470446;
+
+/**
+ * Parse an epoch: a Julian year (2016.0), a "J2016.0" label, or a Date
+ * (or date string)
+ * @param {number|string|Date} value
+ * @returns {number|null} Julian epoch, or null if unrecognized
+ */
+function parseEpoch(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : julianEpoch(value);
+  }
+  if (typeof value === "string") {
+    const match = value.trim().match(/^J?(\d{4}(?:\.\d+)?)$/i);
+    if (match) return parseFloat(match[1]);
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : julianEpoch(date);
+  }
+  return null;
+}
+
+/**
+ * Propagate a position between epochs
+ * @param {number} ra - RA in degrees at the catalog epoch
+ * @param {number} dec - DEC in degrees at the catalog epoch
+ * @param {Object} motion
+ * @param {number} [motion.pmRA=0] - Proper motion in RA·cos(DEC), mas/yr
+ * @param {number} [motion.pmDec=0] - Proper motion in DEC, mas/yr
+ * @param {number} [motion.parallax=0] - Parallax in mas
+ * @param {number} [motion.radialVelocity=0] - Radial velocity in km/s
+ * @param {number} years - Target epoch minus catalog epoch, in Julian years
+ * @returns {{ra: number, dec: number}}
+ */
+function propagate(ra, dec, motion, years) {
+  const { pmRA = 0, pmDec = 0, parallax = 0, radialVelocity = 0 } = motion;
+
+  const sinRA = Math.sin(ra * DEG), cosRA = Math.cos(ra * DEG);
+  const sinDec = Math.sin(dec * DEG), cosDec = Math.cos(dec * DEG);
+
+  // Position and the local east/north directions
+  const r = [cosDec * cosRA, cosDec * sinRA, sinDec];
+  const p = [-sinRA, cosRA, 0];
+  const q = [-sinDec * cosRA, -sinDec * sinRA, cosDec];
+
+  const muRA = pmRA * MAS;
+  const muDec = pmDec * MAS;
+  // Radial proper motion: radial velocity scaled by parallax
+  const muR = ((radialVelocity * parallax) / AU_KM_YR_PER_S) * MAS;
+
+  const mu = [0, 1, 2].map((i) => p[i] * muRA + q[i] * muDec);
+  const muSquared = muRA * muRA + muDec * muDec;
+  const f =
+    1 /
+    Math.sqrt(1 + 2 * muR * years + (muSquared + muR * muR) * years * years);
+
+  const [x, y, z] = [0, 1, 2].map(
+    (i) => (r[i] * (1 + muR * years) + mu[i] * years) * f
+  );
+
+  let newRA = Math.atan2(y, x) / DEG;
+  if (newRA < 0) newRA += 360;
+  const newDec = Math.atan2(z, Math.sqrt(x * x + y * y)) / DEG;
+
+  return { ra: newRA, dec: newDec };
+}
+
+module.exports = {
+  parseEpoch,
+  propagate,
+};
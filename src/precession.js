@@ -0,0 +1,206 @@
+/**
+ * Equinox handling and precession
+ * Parses equinox labels (B1950, J2000, JNow, FK4, FK5, ICRS) and moves
+ * equatorial positions between equinoxes.
+ *
+ * - Julian equinoxes (FK5) are precessed with the IAU 1976 model (Lieske 1977).
+ * - B1950 (FK4) is converted to and from J2000 (FK5) with the Standish (1982)
+ *   matrix, including removal/addition of the E-terms of aberration. Other
+ *   Besselian equinoxes are not supported.
+ * - Of-date (JNow) is the mean equinox of date: precession only, nutation and
+ *   aberration are not applied.
+ *
+ * All angles are in degrees.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const DEG = Math.PI / 180;
+const ARCSEC = DEG / 3600;
+
+const JD_J2000 = 2451545.0;
+const JD_UNIX_EPOCH = 2440587.5;
+
+// E-terms of aberration for B1950
+const E_TERMS = [-1.62557e-6, -0.31919e-6, -0.13843e-6];
+
+// FK4 (B1950) -> FK5 (J2000), position part of the Standish matrix
+const FK4_TO_FK5 = [
+  [0.9999256782, -0.0111820611, -0.0048579477],
+  [0.011182061, 0.9999374784, -0.0000271765],
+  [0.0048579479, -0.0000271474, 0.9999881997],
+];
+
+// FK5 (J2000) -> FK4 (B1950): exact inverse so that conversions round-trip
+const FK5_TO_FK4 = invert(FK4_TO_FK5);
+
+const J2000 = { label: "J2000", system: "fk5", epoch: 2000 };
+const B1950 = { label: "B1950", system: "fk4", epoch: 1950 };
+
+/**
+ * Convert a Date (or anything Date accepts) to a Julian epoch
+ * @param {Date|string|number} date
+ * @returns {number}
+ */
+function julianEpoch(date) {
+  const jd = new Date(date).getTime() / 86400000 + JD_UNIX_EPOCH;
+  return 2000 + (jd - JD_J2000) / 365.25;
+}
+
+/**
+ * Parse an equinox label
+ * @param {string} value - B1950, J2000, J2025.5, JNow, FK4, FK5 or ICRS
+ * @param {Date|string|number} [date] - Date used to resolve JNow
+ * @returns {{label: string, system: string, epoch: number}|null} Null if unrecognized
+ */
+function parseEquinox(value, date = new Date()) {
+  if (typeof value !== "string") return null;
+  const label = value.trim().toUpperCase();
+
+  if (label === "FK4") return B1950;
+  if (label === "FK5" || label === "ICRS") return J2000;
+  if (label === "JNOW") {
+    const epoch = julianEpoch(date);
+    return { label: `J${epoch.toFixed(3)}`, system: "fk5", epoch };
+  }
+
+  const match = label.match(/^([BJ])(\d{4}(?:\.\d+)?)$/);
+  if (!match) return null;
+
+  const epoch = parseFloat(match[2]);
+  if (match[1] === "B") {
+    return epoch === 1950 ? B1950 : null;
+  }
+  return epoch === 2000 ? J2000 : { label: `J${match[2]}`, system: "fk5", epoch };
+}
+
+function multiply(matrix, vector) {
+  return matrix.map(
+    (row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+  );
+}
+
+function invert(m) {
+  const cofactor = (r, c) => {
+    const rows = [0, 1, 2].filter((i) => i !== r);
+    const cols = [0, 1, 2].filter((i) => i !== c);
+    const minor =
+      m[rows[0]][cols[0]] * m[rows[1]][cols[1]] -
+      m[rows[0]][cols[1]] * m[rows[1]][cols[0]];
+    return (r + c) % 2 === 0 ? minor : -minor;
+  };
+  const determinant =
+    m[0][0] * cofactor(0, 0) + m[0][1] * cofactor(0, 1) + m[0][2] * cofactor(0, 2);
+  return [0, 1, 2].map((r) =>
+    [0, 1, 2].map((c) => cofactor(c, r) / determinant)
+  );
+}
+
+function transpose(matrix) {
+  return matrix[0].map((_, i) => matrix.map((row) => row[i]));
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(dot(vector, vector));
+  return vector.map((v) => v / length);
+}
+
+function toVector(ra, dec) {
+  const cosDec = Math.cos(dec * DEG);
+  return [
+    cosDec * Math.cos(ra * DEG),
+    cosDec * Math.sin(ra * DEG),
+    Math.sin(dec * DEG),
+  ];
+}
+
+function fromVector([x, y, z]) {
+  let ra = Math.atan2(y, x) / DEG;
+  if (ra < 0) ra += 360;
+  const dec = Math.atan2(z, Math.sqrt(x * x + y * y)) / DEG;
+  return { ra, dec };
+}
+
+/**
+ * IAU 1976 precession matrix from J2000 to the given Julian epoch
+ */
+function precessionMatrix(epoch) {
+  const t = (epoch - 2000) / 100;
+  const zeta = (2306.2181 * t + 0.30188 * t * t + 0.017998 * t * t * t) * ARCSEC;
+  const z = (2306.2181 * t + 1.09468 * t * t + 0.018203 * t * t * t) * ARCSEC;
+  const theta = (2004.3109 * t - 0.42665 * t * t - 0.041833 * t * t * t) * ARCSEC;
+
+  const cZeta = Math.cos(zeta), sZeta = Math.sin(zeta);
+  const cZ = Math.cos(z), sZ = Math.sin(z);
+  const cTheta = Math.cos(theta), sTheta = Math.sin(theta);
+
+  return [
+    [
+      cZeta * cTheta * cZ - sZeta * sZ,
+      -sZeta * cTheta * cZ - cZeta * sZ,
+      -sTheta * cZ,
+    ],
+    [
+      cZeta * cTheta * sZ + sZeta * cZ,
+      -sZeta * cTheta * sZ + cZeta * cZ,
+      -sTheta * sZ,
+    ],
+    [cZeta * sTheta, -sZeta * sTheta, cTheta],
+  ];
+}
+
+function toJ2000(vector, equinox) {
+  if (equinox.system === "fk4") {
+    // Remove the E-terms, then rotate into FK5
+    const withoutETerms = vector.map(
+      (v, i) => v - E_TERMS[i] + dot(vector, E_TERMS) * v
+    );
+    return normalize(multiply(FK4_TO_FK5, withoutETerms));
+  }
+  if (equinox.epoch === 2000) return vector;
+  return multiply(transpose(precessionMatrix(equinox.epoch)), vector);
+}
+
+function fromJ2000(vector, equinox) {
+  if (equinox.system === "fk4") {
+    // Rotate into FK4, then add the E-terms back
+    const fk4 = normalize(multiply(FK5_TO_FK4, vector));
+    return normalize(fk4.map((v, i) => v + E_TERMS[i] - dot(fk4, E_TERMS) * v));
+  }
+  if (equinox.epoch === 2000) return vector;
+  return multiply(precessionMatrix(equinox.epoch), vector);
+}
+
+/**
+ * Check whether two parsed equinoxes are the same
+ * @returns {boolean}
+ */
+function isSameEquinox(a, b) {
+  return a.system === b.system && a.epoch === b.epoch;
+}
+
+/**
+ * Precess an equatorial position between equinoxes
+ * @param {number} ra - RA in degrees
+ * @param {number} dec - DEC in degrees
+ * @param {{system: string, epoch: number}} from - Source equinox (from parseEquinox)
+ * @param {{system: string, epoch: number}} to - Target equinox (from parseEquinox)
+ * @returns {{ra: number, dec: number}}
+ */
+function precess(ra, dec, from, to) {
+  if (isSameEquinox(from, to)) return { ra, dec };
+  return fromVector(fromJ2000(toJ2000(toVector(ra, dec), from), to));
+}
+
+module.exports = {
+  J2000,
+  isSameEquinox,
+  julianEpoch,
+  parseEquinox,
+  precess,
+};
@@ -0,0 +1,164 @@
+/**
+ * Telescope-protocol messages
+ * Recognizes the messages of mount control protocols that do not read as
+ * text coordinates: INDI number vectors (XML) and Stellarium
+ * telescope-control binary messages written as hex. LX200 replies
+ * ("12:34:56#", "+12*34:56#") are text and are parsed with the other
+ * coordinate formats.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+// Attributes of an INDI element; values cannot contain tags
+const ATTRIBUTES = String.raw`(?:\s+[\w.:-]+\s*=\s*(?:"[^"<>]*"|'[^'<>]*'))*`;
+
+// <newNumberVector …>…</newNumberVector>, also set… (driver updates) and
+// def… (definitions)
+const INDI_VECTOR = new RegExp(
+  String.raw`^\s*<(new|set|def)NumberVector(${ATTRIBUTES})\s*>([^]*)</\1NumberVector>\s*$`
+);
+
+// <oneNumber name="RA">12.5</oneNumber> (or defNumber)
+const INDI_MEMBER = new RegExp(
+  String.raw`<(one|def)Number(${ATTRIBUTES})\s*>([^<>]*)</\1Number>`,
+  "g"
+);
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+// Stellarium messages: Goto (client to server) and CurrentPosition (server
+// to client), by length in bytes
+const STELLARIUM_MESSAGES = { 20: "goto", 24: "current-position" };
+
+// Bytes written as hex, optionally separated by spaces or colons
+const HEX_BYTES = /^\s*(?:0x)?[0-9a-f]{2}(?:[\s:]?[0-9a-f]{2})*\s*$/i;
+
+const unescapeXml = (text) =>
+  text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name]);
+
+// Little-endian unsigned integer of `size` bytes at `offset`
+const readUInt = (bytes, offset, size) =>
+  bytes
+    .slice(offset, offset + size)
+    .reduceRight((value, byte) => value * 256 + byte, 0);
+
+// Little-endian signed 32-bit integer
+const readInt32 = (bytes, offset) => readUInt(bytes, offset, 4) | 0;
+
+/**
+ * Attributes of an element as an object
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  const attribute = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(attribute)) {
+    attributes[name] = unescapeXml(
+      doubleQuoted !== undefined ? doubleQuoted : singleQuoted
+    );
+  }
+  return attributes;
+}
+
+/**
+ * Read an INDI number vector with RA and DEC members
+ * (EQUATORIAL_EOD_COORD, EQUATORIAL_COORD, TARGET_EOD_COORD, ...)
+ * @returns {Object|null}
+ */
+function parseIndiVector(input) {
+  const vector = input.match(INDI_VECTOR);
+  if (!vector) return null;
+
+  const [, , vectorAttributes, body] = vector;
+  const bodyStart = input.indexOf(">") + 1;
+  const members = {};
+  for (const member of body.matchAll(INDI_MEMBER)) {
+    const { name } = parseAttributes(member[2]);
+    const value = member[3].trim();
+    const start =
+      bodyStart +
+      member.index +
+      member[0].indexOf(">") +
+      1 +
+      member[3].indexOf(value);
+    members[name] = { value, span: { start, end: start + value.length } };
+  }
+  // Anything but members between the vector tags is not an INDI vector
+  if (body.replace(INDI_MEMBER, "").trim() || !members.RA || !members.DEC) {
+    return null;
+  }
+
+  const { device = null, name = null } = parseAttributes(vectorAttributes);
+  return {
+    protocol: { name: "indi", device, property: name },
+    ra: members.RA.value,
+    dec: members.DEC.value,
+    spans: { ra: members.RA.span, dec: members.DEC.span },
+    // Properties "of date" (EOD) are in the equinox of date
+    equinox: /_EOD_/.test(name) ? "JNOW" : "J2000",
+    // Tag delimiters and line breaks are part of the message: the rest is
+    // still checked for malicious content
+    text: input.replace(/[<>\t\n\r]/g, " "),
+  };
+}
+
+/**
+ * Read a Stellarium telescope-control message written as hex: length
+ * (2 bytes), type (2, always 0), time (8), RA (4, unsigned, 2^32 = 24h),
+ * DEC (4, signed, 2^30 = 90°) and, for CurrentPosition, status (4). Values
+ * are little-endian.
+ * @returns {Object|null}
+ */
+function parseStellariumMessage(input) {
+  if (!HEX_BYTES.test(input)) return null;
+
+  // Hex digits with their index in the input (a leading "0x" is skipped)
+  const digits = [
+    ...input.replace(/^(\s*)0x/i, "$1  ").matchAll(/[0-9a-f]/gi),
+  ];
+  const bytes = [];
+  for (let i = 0; i < digits.length; i += 2) {
+    bytes.push(parseInt(digits[i][0] + digits[i + 1][0], 16));
+  }
+  const message = STELLARIUM_MESSAGES[bytes.length];
+  if (
+    !message ||
+    readUInt(bytes, 0, 2) !== bytes.length ||
+    readUInt(bytes, 2, 2) !== 0
+  ) {
+    return null;
+  }
+
+  const byteSpan = (first, count) => ({
+    start: digits[first * 2].index,
+    end: digits[(first + count) * 2 - 1].index + 1,
+  });
+  const protocol = { name: "stellarium", message };
+  if (message === "current-position") {
+    protocol.status = readInt32(bytes, 20);
+  }
+  return {
+    protocol,
+    ra: (readUInt(bytes, 12, 4) * 24) / 2 ** 32,
+    dec: (readInt32(bytes, 16) * 90) / 2 ** 30,
+    spans: { ra: byteSpan(12, 4), dec: byteSpan(16, 4) },
+    equinox: null,
+    text: input,
+  };
+}
+
+/**
+ * Recognize an INDI number vector or a Stellarium binary message
+ * @param {string} input - Raw input
+ * @returns {{protocol: Object, ra: string|number, dec: string|number, spans: Object, equinox: string|null, text: string}|null}
+ *   RA and DEC are the member texts of INDI vectors, and hours and degrees
+ *   of Stellarium messages; spans refer to the input; equinox is implied by
+ *   the INDI property; text is the input to check for malicious content
+ */
+function parseProtocolMessage(input) {
+  return parseIndiVector(input) || parseStellariumMessage(input);
+}
+
+module.exports = {
+  parseProtocolMessage,
+};
@@ -0,0 +1,260 @@
+/**
+ * Asynchronous object-name resolvers
+ * Runs a chain of resolvers (in priority order, each with a timeout) for
+ * names that are not coordinates, caching what they find.
+ *
+ * - createResolverChain: priority ordering, timeouts, fallback and caching.
+ * - createSesameResolver: adapter for the CDS Sesame name service (SIMBAD,
+ *   NED, VizieR), or any server speaking its plain-text output format.
+ * - createLRUCache / createFileCache: in-memory and persistent caches. Any
+ *   object with get(key) and set(key, value) methods (sync or async) works.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const { normalizeName } = require("./catalog");
+
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_CACHE_SIZE = 500;
+const SESAME_URL = "https://cds.unistra.fr/cgi-bin/nph-sesame";
+
+/**
+ * In-memory least-recently-used cache
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=500] - Entries kept before evicting the oldest
+ * @returns {{get: function, set: function, delete: function, clear: function, entries: function, size: number}}
+ */
+function createLRUCache({ maxSize = DEFAULT_CACHE_SIZE } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      // Re-insert to mark as most recently used
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      return entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    entries() {
+      return [...entries.entries()];
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Persistent cache stored as JSON in a file (Node.js only). The file is read
+ * on first use and rewritten after every new entry.
+ * @param {string} path - Cache file
+ * @param {Object} [options]
+ * @param {number} [options.maxSize=500] - Entries kept before evicting the oldest
+ * @returns {{get: function(string): Promise, set: function(string, Object): Promise}}
+ */
+function createFileCache(path, { maxSize = DEFAULT_CACHE_SIZE } = {}) {
+  const fs = require("fs");
+  const memory = createLRUCache({ maxSize });
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = fs.promises.readFile(path, "utf8").then(
+        (text) => {
+          for (const [key, value] of Object.entries(JSON.parse(text))) {
+            memory.set(key, value);
+          }
+        },
+        (error) => {
+          if (error.code !== "ENOENT") throw error;
+        }
+      );
+    }
+    return loading;
+  };
+
+  return {
+    async get(key) {
+      await load();
+      return memory.get(key);
+    },
+    async set(key, value) {
+      await load();
+      memory.set(key, value);
+      const text = JSON.stringify(Object.fromEntries(memory.entries()));
+      writing = writing.then(() => fs.promises.writeFile(path, text));
+      return writing;
+    },
+  };
+}
+
+/**
+ * Call a resolver, rejecting if it takes longer than the timeout. The
+ * resolver receives an AbortSignal that fires on timeout.
+ */
+function resolveWithTimeout(resolver, name, timeout, label) {
+  const controller =
+    typeof AbortController === "function" ? new AbortController() : null;
+  let timer;
+
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      if (controller) controller.abort();
+      reject(new Error(`Resolver "${label}" timed out after ${timeout} ms`));
+    }, timeout);
+  });
+  const resolved = Promise.resolve().then(() =>
+    resolver.resolve(name, { signal: controller ? controller.signal : undefined })
+  );
+
+  return Promise.race([resolved, timedOut]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a resolver chain
+ * @param {Array<{resolver: Object, name: string, priority: number, timeout: number}>} entries
+ *   Resolvers, consulted by descending priority (then in the given order)
+ * @param {Object|null} cache - Cache with get/set (sync or async), or null
+ * @returns {{resolve: function(string): Promise<{object: Object|null, errors: Array}>}}
+ */
+function createResolverChain(entries, cache) {
+  const ordered = entries
+    .map((entry, order) => ({ ...entry, order }))
+    .sort((a, b) => b.priority - a.priority || a.order - b.order);
+
+  return {
+    async resolve(name) {
+      const key = normalizeName(name);
+      const errors = [];
+
+      if (cache) {
+        try {
+          const cached = await cache.get(key);
+          if (cached) return { object: { ...cached, cached: true }, errors };
+        } catch (error) {
+          errors.push({ resolver: "cache", error: error.message });
+        }
+      }
+
+      for (const { resolver, name: label, timeout } of ordered) {
+        let object;
+        try {
+          object = await resolveWithTimeout(resolver, name, timeout, label);
+        } catch (error) {
+          errors.push({ resolver: label, error: error.message });
+          continue;
+        }
+        if (!object) continue;
+
+        const found = { source: label, ...object };
+        if (cache) {
+          try {
+            await cache.set(key, found);
+          } catch (error) {
+            errors.push({ resolver: "cache", error: error.message });
+          }
+        }
+        return { object: found, errors };
+      }
+
+      return { object: null, errors };
+    },
+  };
+}
+
+/**
+ * Parse Sesame plain-text output (-oI): the first service that found the
+ * object gives its position (%J, degrees) and main identifier (%I.0)
+ * @param {string} text
+ * @returns {{name: string, ra: number, dec: number, catalog: string}|null}
+ */
+function parseSesame(text) {
+  let catalog = null;
+  let name = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const service = line.match(/^#=\w=(\w+)/);
+    if (service) {
+      catalog = service[1];
+      name = null;
+      continue;
+    }
+    const identifier = line.match(/^%I\.0\s+(.+)$/);
+    if (identifier) {
+      name = identifier[1].replace(/\s+/g, " ").trim();
+      continue;
+    }
+    const position = line.match(/^%J\s+([\d.]+)\s+([+-][\d.]+)/);
+    if (position) {
+      return {
+        name,
+        ra: parseFloat(position[1]),
+        dec: parseFloat(position[2]),
+        catalog,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolver backed by the CDS Sesame service (or a compatible server)
+ * @param {Object} [options]
+ * @param {string} [options.url] - Sesame endpoint (default: CDS)
+ * @param {string} [options.services="SNV"] - Services to query, in order: S(IMBAD), N(ED), V(izieR)
+ * @param {Function} [options.fetch] - fetch implementation (default: global
+ *   fetch, which Node.js has from version 18)
+ * @returns {{name: string, resolve: function(string, Object): Promise<Object|null>}}
+ * @throws {TypeError} If there is no fetch implementation
+ */
+function createSesameResolver({
+  url = SESAME_URL,
+  services = "SNV",
+  fetch = globalThis.fetch,
+} = {}) {
+  if (typeof fetch !== "function") {
+    throw new TypeError(
+      "createSesameResolver needs a fetch implementation (pass options.fetch)"
+    );
+  }
+
+  return {
+    name: "sesame",
+    async resolve(name, { signal } = {}) {
+      const response = await fetch(
+        `${url}/-oI/${services}?${encodeURIComponent(name)}`,
+        { signal }
+      );
+      if (!response.ok) {
+        throw new Error(`Sesame request failed: HTTP ${response.status}`);
+      }
+      const object = parseSesame(await response.text());
+      return object && { ...object, name: object.name || name };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  createFileCache,
+  createLRUCache,
+  createResolverChain,
+  createSesameResolver,
+  parseSesame,
+};
@@ -0,0 +1,217 @@
+/**
+ * Structured output and serialization
+ * Positions as plain objects - { ra: { deg, hours, h, m, s }, dec: { deg, d,
+ * m, s, sign } } - and serializers of results and batches to JSON, XML and
+ * minimal VOTable documents, built from metadata.ra/metadata.dec rather than
+ * from the formatted coordinates string.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const { decimalToDMS, decimalToHMS } = require("./converters");
+
+const SERIALIZATION_FORMATS = Object.freeze(["json", "xml", "votable"]);
+
+const XML_ENTITIES = { "&": "amp", "<": "lt", ">": "gt", '"': "quot" };
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"]/g, (char) => `&${XML_ENTITIES[char]};`);
+
+// Round to `decimals` places without "-0"
+const round = (value, decimals) => Number(value.toFixed(decimals)) + 0;
+
+/**
+ * Position as a plain object. Seconds are rounded to milliseconds, decimal
+ * values to `precision` places; RA rounded up to 24h wraps to 0.
+ * @param {number} ra - RA in hours
+ * @param {number} dec - DEC in degrees
+ * @param {number} [precision=6] - Decimals of deg and hours
+ * @returns {{ra: {deg: number, hours: number, h: number, m: number, s: number}, dec: {deg: number, d: number, m: number, s: number, sign: string}}}
+ */
+function coordinateObject(ra, dec, precision = 6) {
+  const hms = decimalToHMS(ra);
+  const dms = decimalToDMS(dec);
+  return {
+    ra: {
+      deg: round(ra * 15, precision) % 360,
+      hours: round(ra, precision) % 24,
+      h: hms.hours % 24,
+      m: hms.minutes,
+      s: hms.seconds,
+    },
+    dec: {
+      deg: round(dec, precision),
+      d: Math.abs(dms.degrees),
+      m: dms.minutes,
+      s: dms.seconds,
+      // Kept apart from d, which is 0 for -0° 30'
+      sign: dec < 0 ? "-" : "+",
+    },
+  };
+}
+
+/**
+ * Record of one result: batch items carry their index and input
+ */
+function toRecord(entry, index, precision) {
+  const result = entry.result || entry;
+  const { metadata = {} } = result;
+  const position =
+    metadata.ra && metadata.dec
+      ? coordinateObject(metadata.ra.decimal, metadata.dec.decimal, precision)
+      : null;
+  const issue = ({ code = null, message }) => ({ code, message });
+
+  return {
+    index: entry.result && entry.index !== undefined ? entry.index : index,
+    input: entry.result && entry.input !== undefined ? entry.input : null,
+    isValid: result.isValid,
+    coordinates:
+      typeof result.coordinates === "string" ? result.coordinates : null,
+    inputFormat: metadata.inputFormat || null,
+    equinox: metadata.targetEquinox || null,
+    ra: position && position.ra,
+    dec: position && position.dec,
+    error: result.errorDetail
+      ? issue(result.errorDetail)
+      : result.error
+        ? issue({ message: result.error })
+        : null,
+    warnings: (result.warnings || []).map(issue),
+  };
+}
+
+function toXml(records) {
+  const attributes = (values) =>
+    Object.entries(values)
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join("");
+  const element = (name, text, values = {}) =>
+    `    <${name}${attributes(values)}>${escapeXml(text)}</${name}>`;
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', "<coordinates>"];
+  for (const record of records) {
+    const head = { index: record.index, valid: record.isValid };
+    if (record.inputFormat) head.inputFormat = record.inputFormat;
+    if (record.equinox) head.equinox = record.equinox;
+    lines.push(`  <coordinate${attributes(head)}>`);
+    if (record.input !== null) lines.push(element("input", record.input));
+    if (record.coordinates) {
+      lines.push(element("formatted", record.coordinates));
+    }
+    if (record.ra) {
+      lines.push(`    <ra${attributes(record.ra)}/>`);
+      lines.push(`    <dec${attributes(record.dec)}/>`);
+    }
+    if (record.error) {
+      const code = record.error.code ? { code: record.error.code } : {};
+      lines.push(element("error", record.error.message, code));
+    }
+    for (const warning of record.warnings) {
+      lines.push(element("warning", warning.message, { code: warning.code }));
+    }
+    lines.push("  </coordinate>");
+  }
+  lines.push("</coordinates>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * COOSYS attributes of an equinox label: ICRS for J2000, FK4 for Besselian
+ * equinoxes and FK5 for other Julian ones
+ */
+function coordinateSystem(equinox) {
+  if (!equinox || equinox === "J2000") return { system: "ICRS" };
+  return { system: equinox.startsWith("B") ? "FK4" : "FK5", equinox };
+}
+
+function toVOTable(records) {
+  const located = records.find((record) => record.equinox);
+  const system = coordinateSystem(located && located.equinox);
+  const coosys = Object.entries(system)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join("");
+  const cell = (value) =>
+    value === null || value === undefined
+      ? "<TD/>"
+      : `<TD>${escapeXml(value)}</TD>`;
+
+  const rows = records.map((record) =>
+    [
+      "        <TR>",
+      cell(record.index),
+      cell(record.input),
+      cell(record.isValid ? "T" : "F"),
+      cell(record.ra && record.ra.deg),
+      cell(record.dec && record.dec.deg),
+      cell(record.coordinates),
+      cell(record.error && record.error.code),
+      cell(record.error && record.error.message),
+      "</TR>",
+    ].join("")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<VOTABLE version="1.4" xmlns="http://www.ivoa.net/xml/VOTable/v1.3">',
+    '  <RESOURCE type="results">',
+    `    <COOSYS ID="system"${coosys}/>`,
+    '    <TABLE name="coordinates">',
+    '      <FIELD name="index" datatype="int" ucd="meta.id"/>',
+    '      <FIELD name="input" datatype="char" arraysize="*"/>',
+    '      <FIELD name="valid" datatype="boolean" ucd="meta.code.qual"/>',
+    '      <FIELD name="ra" datatype="double" unit="deg" ucd="pos.eq.ra;meta.main" ref="system"/>',
+    '      <FIELD name="dec" datatype="double" unit="deg" ucd="pos.eq.dec;meta.main" ref="system"/>',
+    '      <FIELD name="coordinates" datatype="char" arraysize="*"/>',
+    '      <FIELD name="error_code" datatype="char" arraysize="*" ucd="meta.code.error"/>',
+    '      <FIELD name="error" datatype="char" arraysize="*"/>',
+    "      <DATA>",
+    "      <TABLEDATA>",
+    ...rows,
+    "      </TABLEDATA>",
+    "      </DATA>",
+    "    </TABLE>",
+    "  </RESOURCE>",
+    "</VOTABLE>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Serialize results
+ * @param {Object|Object[]} results - A result, an array of results or batch
+ *   items, or a sanitizeBatch result
+ * @param {string} [format="json"] - 'json', 'xml' or 'votable'
+ * @param {Object} [options]
+ * @param {number} [options.precision=6] - Decimals of deg and hours
+ * @returns {string}
+ * @throws {Error} On an unknown format
+ */
+function serializeResults(results, format = "json", { precision = 6 } = {}) {
+  if (!SERIALIZATION_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown serialization format: "${format}". Available formats: ${SERIALIZATION_FORMATS.join(", ")}`
+    );
+  }
+  const single = !Array.isArray(results) && !Array.isArray(results.items);
+  const entries = single
+    ? [results]
+    : Array.isArray(results)
+      ? results
+      : results.items;
+  const records = entries.map((entry, index) =>
+    toRecord(entry, index, precision)
+  );
+
+  if (format === "xml") return toXml(records);
+  if (format === "votable") return toVOTable(records);
+  return JSON.stringify(single ? records[0] : records, null, 2);
+}
+
+module.exports = {
+  SERIALIZATION_FORMATS,
+  coordinateObject,
+  escapeXml,
+  serializeResults,
+};
@@ -0,0 +1,138 @@
+/**
+ * Streaming sanitization
+ * Sanitizes newline-delimited input one line at a time, so large files can be
+ * processed with a bounded memory footprint.
+ *
+ * - sanitizeLines: async generator over any (async) iterable of text chunks
+ *   (strings, Buffers or Uint8Arrays), e.g. fs.createReadStream().
+ * - createSanitizeStream: Node.js Transform stream (objectMode output) with
+ *   the usual backpressure handling. The 'stream' module is loaded lazily so
+ *   the core library stays usable in browsers.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const DEFAULT_MAX_LINE_LENGTH = 65536;
+
+/**
+ * Splits text chunks into lines, keeping only the unterminated tail in memory
+ */
+class LineSplitter {
+  constructor(maxLineLength = DEFAULT_MAX_LINE_LENGTH) {
+    this.maxLineLength = maxLineLength;
+    this.decoder = new TextDecoder("utf-8");
+    this.pending = "";
+  }
+
+  push(chunk) {
+    const text =
+      typeof chunk === "string"
+        ? chunk
+        : this.decoder.decode(chunk, { stream: true });
+    const lines = (this.pending + text).split(/\r?\n/);
+    this.pending = lines.pop();
+
+    if (this.pending.length > this.maxLineLength) {
+      throw new RangeError(
+        `Line exceeds maximum length of ${this.maxLineLength} characters`
+      );
+    }
+    return lines;
+  }
+
+  flush() {
+    const tail = this.pending + this.decoder.decode();
+    this.pending = "";
+    return tail.length > 0 ? [tail.replace(/\r$/, "")] : [];
+  }
+}
+
+/**
+ * Builds the per-line record, or null for lines that are skipped
+ */
+function createRecorder(sanitizer, options) {
+  const { skipEmpty = true } = options;
+  let line = 0;
+  let index = 0;
+
+  return (text) => {
+    line++;
+    const input = text.trim();
+    if (skipEmpty && input === "") return null;
+    return {
+      index: index++,
+      line,
+      input,
+      result: sanitizer.sanitizeCoordinates(input),
+    };
+  };
+}
+
+/**
+ * Sanitize newline-delimited input from an (async) iterable of chunks
+ * @param {CoordinateSanitizer} sanitizer
+ * @param {AsyncIterable|Iterable} source - Chunks of text (string, Buffer, Uint8Array)
+ * @param {Object} [options]
+ * @param {boolean} [options.skipEmpty=true] - Skip blank lines
+ * @param {number} [options.maxLineLength=65536] - Longest accepted line
+ * @yields {{index: number, line: number, input: string, result: Object}}
+ * @throws {RangeError} If a line exceeds maxLineLength
+ */
+async function* sanitizeLines(sanitizer, source, options = {}) {
+  const splitter = new LineSplitter(options.maxLineLength);
+  const record = createRecorder(sanitizer, options);
+
+  for await (const chunk of source) {
+    for (const text of splitter.push(chunk)) {
+      const item = record(text);
+      if (item) yield item;
+    }
+  }
+  for (const text of splitter.flush()) {
+    const item = record(text);
+    if (item) yield item;
+  }
+}
+
+/**
+ * Create a Transform stream that reads newline-delimited text and emits one
+ * result object per line
+ * @param {CoordinateSanitizer} sanitizer
+ * @param {Object} [options] - Same as sanitizeLines, plus highWaterMark (objects)
+ * @returns {import('stream').Transform}
+ */
+function createSanitizeStream(sanitizer, options = {}) {
+  const { Transform } = require("stream");
+  const splitter = new LineSplitter(options.maxLineLength);
+  const record = createRecorder(sanitizer, options);
+
+  const pushLines = (stream, lines) => {
+    for (const text of lines) {
+      const item = record(text);
+      if (item) stream.push(item);
+    }
+  };
+
+  return new Transform({
+    readableObjectMode: true,
+    readableHighWaterMark: options.highWaterMark || 16,
+    transform(chunk, encoding, callback) {
+      try {
+        pushLines(this, splitter.push(chunk));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      pushLines(this, splitter.flush());
+      callback();
+    },
+  });
+}
+
+module.exports = {
+  createSanitizeStream,
+  sanitizeLines,
+};
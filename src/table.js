@@ -0,0 +1,370 @@
+/**
+ * Delimited table (CSV/TSV) ingestion
+ * Reads target lists, detects the RA/DEC (or combined coordinate) columns by
+ * header name and sample content, and writes the table back with sanitized
+ * columns and a per-row validity/error column.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const { createError } = require("./errors");
+const { FRAMES } = require("./frames");
+
+// Header names, compared after lowercasing and removing spaces, brackets and punctuation
+const RA_HEADERS = [
+  "ra", "raj2000", "rab1950", "radeg", "rahours", "rah", "rahms", "raicrs",
+  "alpha", "alphaj2000", "rightascension",
+];
+const DEC_HEADERS = [
+  "dec", "decl", "dej2000", "decj2000", "deb1950", "decb1950", "decdeg",
+  "dedeg", "decdms", "deicrs", "decicrs", "delta", "deltaj2000", "declination",
+];
+const COMBINED_HEADERS = [
+  "coord", "coords", "coordinates", "coordinate", "radec", "position", "pos",
+  "skycoord", "target",
+];
+
+const DEFAULT_OUTPUT_COLUMNS = {
+  ra: "ra_sanitized",
+  dec: "dec_sanitized",
+  valid: "valid",
+  error: "error",
+};
+
+function normalizeHeader(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Guess the delimiter from the first line: tab, semicolon or comma
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const counts = ["\t", ";", ","].map((delimiter) => {
+    const [header = []] = parseRows(text, delimiter, 1);
+    return { delimiter, count: header.length };
+  });
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 1 ? counts[0].delimiter : ",";
+}
+
+/**
+ * Split text into rows of fields in one pass, honouring double-quoted fields
+ * ("a,b", "" and line breaks inside quotes). Blank lines are dropped.
+ */
+function parseRows(text, delimiter, limit = Infinity) {
+  const rows = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  // Whether the row has a quoted field: "" alone is not a blank line
+  let hasQuotes = false;
+
+  const endRow = () => {
+    fields.push(field.trim());
+    if (fields.length > 1 || fields[0] !== "" || hasQuotes) rows.push(fields);
+    fields = [];
+    field = "";
+    hasQuotes = false;
+  };
+
+  for (let i = 0; i < text.length && rows.length < limit; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      quoted = true;
+      hasQuotes = true;
+      field = "";
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = "";
+    } else if (char === "\n" || (char === "\r" && text[i + 1] === "\n")) {
+      if (char === "\r") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (rows.length < limit) endRow();
+  return rows;
+}
+
+/**
+ * Parse delimited text into rows of fields (blank lines are dropped)
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function parseDelimited(text, delimiter) {
+  return parseRows(text, delimiter);
+}
+
+function formatField(value, delimiter) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Format rows of fields as delimited text
+ * @param {Array<Array<*>>} rows
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function formatDelimited(rows, delimiter) {
+  return (
+    rows
+      .map((row) =>
+        row.map((value) => formatField(value, delimiter)).join(delimiter)
+      )
+      .join("\n") + "\n"
+  );
+}
+
+/**
+ * RA unit implied by a header name, if any
+ */
+function headerRAUnit(name) {
+  const header = normalizeHeader(name);
+  if (/deg$/.test(header)) return "degrees";
+  if (/(h|hours|hms)$/.test(header)) return "hours";
+  return null;
+}
+
+function resolveColumn(header, column) {
+  if (column === undefined || column === null) return null;
+  if (typeof column === "number") return column < header.length ? column : -1;
+  return header.findIndex(
+    (name) => normalizeHeader(name) === normalizeHeader(column)
+  );
+}
+
+function findHeader(header, names) {
+  const index = header.findIndex((name) =>
+    names.includes(normalizeHeader(name))
+  );
+  return index === -1 ? null : index;
+}
+
+/**
+ * Whether at least half of the samples pass the check (some rows may hold
+ * object names or typos)
+ */
+function mostPass(samples, check) {
+  const passed = samples.filter(check).length;
+  return passed > 0 && passed * 2 >= samples.length;
+}
+
+/**
+ * Detect RA/DEC or combined coordinate columns
+ * @param {string[]} header
+ * @param {string[][]} rows - Data rows
+ * @param {CoordinateSanitizer} sanitizer
+ * @param {Object} options - raColumn, decColumn, coordinateColumn, sampleSize
+ * @returns {{ra: number|null, dec: number|null, combined: number|null, raUnit: string|null}}
+ * @throws {Error} If no coordinate columns can be found
+ */
+function detectColumns(header, rows, sanitizer, options = {}) {
+  const samples = rows.slice(0, options.sampleSize || 20);
+
+  // Explicit column choices
+  const combined = resolveColumn(header, options.coordinateColumn);
+  const ra = resolveColumn(header, options.raColumn);
+  const dec = resolveColumn(header, options.decColumn);
+  for (const [name, index] of [
+    ["coordinateColumn", combined],
+    ["raColumn", ra],
+    ["decColumn", dec],
+  ]) {
+    if (index === -1) {
+      throw new Error(`Column not found: ${name} "${options[name]}"`);
+    }
+  }
+  if (combined !== null) {
+    return { ra: null, dec: null, combined, raUnit: null };
+  }
+
+  // Header names
+  const raIndex = ra !== null ? ra : findHeader(header, RA_HEADERS);
+  const decIndex = dec !== null ? dec : findHeader(header, DEC_HEADERS);
+  if (raIndex !== null && decIndex !== null) {
+    return {
+      ra: raIndex,
+      dec: decIndex,
+      combined: null,
+      raUnit: headerRAUnit(header[raIndex]),
+    };
+  }
+
+  const combinedIndex = findHeader(header, COMBINED_HEADERS);
+  if (combinedIndex !== null) {
+    return { ra: null, dec: null, combined: combinedIndex, raUnit: null };
+  }
+
+  // Sample content: a column of combined coordinates... (integer-only
+  // columns are row IDs, and designations are names, not coordinates)
+  const isIdColumn = (i) =>
+    samples.every((row) => !row[i] || /^\d+$/.test(row[i]));
+  const isCoordinates = (value) => {
+    const result = sanitizer.sanitizeCoordinates(value);
+    return (
+      result.isValid &&
+      !["object-name", "designation"].includes(result.metadata.inputFormat)
+    );
+  };
+  for (let i = 0; i < header.length; i++) {
+    if (isIdColumn(i)) continue;
+    const values = samples.map((row) => row[i]).filter((value) => value);
+    if (mostPass(values, isCoordinates)) {
+      return { ra: null, dec: null, combined: i, raUnit: null };
+    }
+  }
+
+  // ...or adjacent RA and DEC columns
+  for (let i = 0; i < header.length - 1; i++) {
+    if (isIdColumn(i) || isIdColumn(i + 1)) continue;
+    const pairs = samples
+      .filter((row) => row[i] && row[i + 1])
+      .map((row) => `${row[i]}, ${row[i + 1]}`);
+    if (mostPass(pairs, isCoordinates)) {
+      return { ra: i, dec: i + 1, combined: null, raUnit: null };
+    }
+  }
+
+  throw new Error(
+    `Could not detect coordinate columns in header: ${header.join(", ")}`
+  );
+}
+
+/**
+ * RA and DEC columns of a valid result, each formatted like its part of the
+ * output: through the output template, in decimal degrees for other frames
+ * and for object output
+ */
+function coordinateColumns(sanitizer, result) {
+  const { coordinates, metadata } = result;
+  if (typeof coordinates !== "string") {
+    return [String(coordinates.ra.deg), String(coordinates.dec.deg)];
+  }
+  const frame = FRAMES[metadata.outputFrame];
+  if (frame && !frame.equatorial) {
+    const values = metadata[metadata.outputFrame];
+    return [values[frame.lon], values[frame.lat]].map((value) =>
+      value.toFixed(sanitizer.options.precision)
+    );
+  }
+  if (!metadata.ra) return [coordinates, ""];
+  const texts = sanitizer.template.formatComponents(
+    metadata.ra.decimal,
+    metadata.dec.decimal
+  );
+  return [texts.ra, texts.dec];
+}
+
+/**
+ * Sanitize every row of a delimited table
+ * @param {CoordinateSanitizer} sanitizer
+ * @param {string} text - CSV/TSV text with a header row
+ * @param {Object} [options]
+ * @returns {Object} { delimiter, header, columns, rows, summary, output }
+ */
+function sanitizeTable(sanitizer, text, options = {}) {
+  if (typeof text !== "string") {
+    throw new TypeError("sanitizeTable expects the table as a string");
+  }
+
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const [header = [], ...data] = parseDelimited(text, delimiter);
+  const columns = detectColumns(header, data, sanitizer, options);
+  const outputColumns = { ...DEFAULT_OUTPUT_COLUMNS, ...options.outputColumns };
+
+  // Column names such as ra_deg fix the unit of decimal RA; the copy keeps
+  // the catalogs and resolvers registered on the sanitizer
+  let rowSanitizer = sanitizer;
+  if (columns.raUnit && sanitizer.options.raUnit === "auto") {
+    rowSanitizer = new sanitizer.constructor({
+      ...sanitizer.options,
+      raUnit: columns.raUnit,
+    });
+    rowSanitizer.catalogPatterns = [...sanitizer.catalogPatterns];
+    rowSanitizer.resolvers = [...sanitizer.resolvers];
+  }
+
+  const summary = { total: 0, valid: 0, invalid: 0 };
+  const rows = data.map((values, index) => {
+    let input;
+    let result;
+    if (columns.combined !== null) {
+      input = values[columns.combined] || "";
+      result = rowSanitizer.sanitizeCoordinates(input);
+    } else {
+      // Each column is parsed on its own: errors name the RA or DEC column
+      const ra = values[columns.ra] || "";
+      const dec = values[columns.dec] || "";
+      input = `${ra}, ${dec}`;
+      result = rowSanitizer.sanitizeComponents(ra, dec);
+    }
+    if (
+      result.isValid &&
+      result.metadata.inputFormat === "object-name" &&
+      !result.metadata.ra
+    ) {
+      result = rowSanitizer.createResult(
+        false,
+        "",
+        createError("NO_COORDINATES", { text: input })
+      );
+    }
+
+    summary.total++;
+    summary[result.isValid ? "valid" : "invalid"]++;
+    return { index, values, input, result };
+  });
+
+  const output = formatDelimited(
+    [
+      [
+        ...header,
+        outputColumns.ra,
+        outputColumns.dec,
+        outputColumns.valid,
+        outputColumns.error,
+      ],
+      ...rows.map(({ values, result }) => {
+        const [raValue, decValue] = result.isValid
+          ? coordinateColumns(rowSanitizer, result)
+          : ["", ""];
+        return [
+          ...values,
+          ...Array(Math.max(0, header.length - values.length)).fill(""),
+          raValue,
+          decValue,
+          result.isValid ? "true" : "false",
+          result.error || "",
+        ];
+      }),
+    ],
+    delimiter
+  );
+
+  return { delimiter, header, columns, rows, summary, output };
+}
+
+module.exports = {
+  detectColumns,
+  detectDelimiter,
+  formatDelimited,
+  parseDelimited,
+  sanitizeTable,
+};
@@ -0,0 +1,356 @@
+/**
+ * Output templates
+ * A template such as "{ra:hh}:{ra:mm}:{ra:ss.2} {dec:+dd}:{dec:mm}:{dec:ss.1}"
+ * describes the output string. Each field is {component:spec}, where the
+ * component is ra or dec and the spec is:
+ *
+ * - an optional sign flag: "+" prints "+" before positive values, " " a
+ *   space (negative values always get "-"). The sign goes on the component's
+ *   largest unit.
+ * - a unit letter - h (hours, RA only), d (degrees), m (minutes), s
+ *   (seconds) - repeated to the zero-padded width: "hh" -> "05",
+ *   "ddd" -> "005".
+ * - optional decimals on the smallest unit: ".3", or ".*" for the precision
+ *   option.
+ *
+ * The smallest unit of a component is rounded and carried into the larger
+ * ones, so "60" never appears; the largest unit takes the rest of the value
+ * ("{ra:h.4}" is decimal hours, "{ra:d.4}" decimal degrees). "{{" and "}}"
+ * are literal braces. The same template gives the pattern of strings already
+ * in the output format.
+ *
+ * @author Francesco di Biase
+ * @license MIT
+ */
+
+const { escapeXml } = require("./serialize");
+
+// Device of INDI output when the indiDevice option is not set
+const INDI_DEVICE = "Telescope Simulator";
+
+/**
+ * INDI number vector setting a mount's target: RA in hours and DEC in
+ * degrees, for J2000 (EQUATORIAL_COORD) or the equinox of date
+ * (EQUATORIAL_EOD_COORD)
+ * @param {string} device - INDI device name
+ * @param {boolean} [ofDate=false] - Coordinates are for the equinox of date
+ * @returns {string}
+ */
+function indiTemplate(device, ofDate = false) {
+  const name = escapeXml(device).replace(/[{}]/g, "$&$&");
+  const property = ofDate ? "EQUATORIAL_EOD_COORD" : "EQUATORIAL_COORD";
+  return (
+    `<newNumberVector device="${name}" name="${property}">` +
+    '<oneNumber name="RA">{ra:h.*}</oneNumber>' +
+    '<oneNumber name="DEC">{dec:d.*}</oneNumber>' +
+    "</newNumberVector>"
+  );
+}
+
+// Templates of the named output formats ("*" decimals follow the precision
+// option)
+const OUTPUT_TEMPLATES = Object.freeze({
+  aladin: "{ra:hh} {ra:mm} {ra:ss.3}, {dec:+dd} {dec:mm} {dec:ss.3}",
+  decimal: "{ra:h.*}, {dec:d.*}",
+  "hms-dms": `{ra:hh}h {ra:mm}m {ra:ss.3}s, {dec:+dd}° {dec:mm}' {dec:ss.3}"`,
+  // LX200 set-target commands, high precision (:SrHH:MM:SS# :SdsDD*MM:SS#)
+  // and low precision (:SrHH:MM.T# :SdsDD*MM#)
+  lx200: ":Sr{ra:hh}:{ra:mm}:{ra:ss}#:Sd{dec:+dd}*{dec:mm}:{dec:ss}#",
+  "lx200-low": ":Sr{ra:hh}:{ra:mm.1}#:Sd{dec:+dd}*{dec:mm}#",
+  indi: indiTemplate(INDI_DEVICE),
+  // ASCOM Alpaca form parameters of SlewToCoordinates (hours and degrees)
+  ascom: "RightAscension={ra:h.*}&Declination={dec:d.*}",
+});
+
+// The decimal format when raUnit is 'degrees'
+const DECIMAL_DEGREES_TEMPLATE = "{ra:d.*}, {dec:d.*}";
+
+const FIELD = /^\{(ra|dec):([+ ]?)(h+|d+|m+|s+)(?:\.(\d+|\*))?\}$/;
+
+// Units per lead unit (hours or degrees)
+const UNIT_SCALE = { h: 1, d: 1, m: 60, s: 3600 };
+
+// Largest value of each component, in its lead unit
+const COMPONENT_MAX = { ra: { h: 24, d: 360 }, dec: { d: 90 } };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Split a template into literal text and fields
+ * @throws {Error} On a malformed field or an unmatched brace
+ */
+function parseTemplate(template, precision) {
+  const parts = [];
+  for (const token of template.split(/(\{\{|\}\}|\{[^{}]*\})/)) {
+    if (token === "{{" || token === "}}") {
+      parts.push(token[0]);
+      continue;
+    }
+    if (!token.startsWith("{")) {
+      if (/[{}]/.test(token)) {
+        throw new Error(
+          `Invalid output template: unmatched brace in "${template}"`
+        );
+      }
+      parts.push(token);
+      continue;
+    }
+
+    const match = token.match(FIELD);
+    if (!match) {
+      throw new Error(`Invalid output template field: "${token}"`);
+    }
+    const [, component, sign, letters, decimals = "0"] = match;
+    parts.push({
+      component,
+      sign,
+      unit: letters[0],
+      width: letters.length,
+      decimals: decimals === "*" ? precision : parseInt(decimals, 10),
+    });
+  }
+  return parts;
+}
+
+/**
+ * Check the fields of one component and order them from the largest unit
+ * @throws {Error} If units repeat, skip a step, or decimals or a sign are
+ *   misplaced
+ */
+function componentFields(fields, component) {
+  const name = component.toUpperCase();
+  if (fields.length === 0) {
+    throw new Error(`Invalid output template: no ${name} field`);
+  }
+  const units = fields.map((field) => field.unit);
+  const lead = units.find((unit) => unit === "h" || unit === "d");
+  if (units.includes("h") && units.includes("d")) {
+    throw new Error(
+      `Invalid output template: ${name} has both hours and degrees`
+    );
+  }
+  if (component === "dec" && lead === "h") {
+    throw new Error("Invalid output template: DEC cannot be in hours");
+  }
+  if (new Set(units).size !== units.length) {
+    throw new Error(`Invalid output template: repeated ${name} unit`);
+  }
+
+  const order = [lead || "h", "m", "s"];
+  const sorted = [...fields].sort(
+    (a, b) => order.indexOf(a.unit) - order.indexOf(b.unit)
+  );
+  const steps = sorted.map((field) => order.indexOf(field.unit));
+  if (steps.some((step, index) => index > 0 && step !== steps[index - 1] + 1)) {
+    throw new Error(
+      `Invalid output template: ${name} units must be consecutive`
+    );
+  }
+  if (sorted.slice(0, -1).some((field) => field.decimals > 0)) {
+    throw new Error(
+      `Invalid output template: only the smallest ${name} unit can have ` +
+        "decimals"
+    );
+  }
+  if (sorted.slice(1).some((field) => field.sign)) {
+    throw new Error(
+      `Invalid output template: the ${name} sign goes on its largest unit`
+    );
+  }
+  return { fields: sorted, lead: lead || "h" };
+}
+
+/**
+ * Text of each field of a component for a value in its lead unit
+ * @param {Object} component - From componentFields
+ * @param {number} value
+ * @param {number} [turn] - Full circle in the lead unit: a value rounded up
+ *   to exactly it wraps to 0 (RA)
+ * @returns {Map<Object, string>}
+ */
+function formatComponent({ fields }, value, turn) {
+  const smallest = fields[fields.length - 1];
+  const ticksPerUnit = 10 ** smallest.decimals;
+  // Whole ticks of the smallest unit: rounding carries into larger units
+  let rest = Math.round(
+    Math.abs(value) * UNIT_SCALE[smallest.unit] * ticksPerUnit
+  );
+  // Only a value rounded up to exactly one turn wraps: out-of-range values
+  // (range validation off) are printed as they are
+  if (turn && rest === turn * UNIT_SCALE[smallest.unit] * ticksPerUnit) {
+    rest = 0;
+  }
+
+  const texts = new Map();
+  fields.forEach((field, index) => {
+    let text;
+    if (field === smallest) {
+      const integerWidth =
+        field.decimals > 0 ? field.width + field.decimals + 1 : field.width;
+      text = (rest / ticksPerUnit)
+        .toFixed(field.decimals)
+        .padStart(integerWidth, "0");
+    } else {
+      const size =
+        (UNIT_SCALE[smallest.unit] / UNIT_SCALE[field.unit]) * ticksPerUnit;
+      const count = Math.floor(rest / size);
+      rest -= count * size;
+      text = String(count).padStart(field.width, "0");
+    }
+    if (index === 0) {
+      const sign = value < 0 ? "-" : field.sign;
+      text = sign + text;
+    }
+    texts.set(field, text);
+  });
+  return texts;
+}
+
+/**
+ * Regex source matching the output of a field
+ */
+function fieldPattern(field, isLargest, max) {
+  let digits;
+  if (isLargest) {
+    const maxDigits = String(Math.floor(max * UNIT_SCALE[field.unit])).length;
+    digits = `\\d{${field.width},${Math.max(field.width, maxDigits)}}`;
+  } else {
+    digits = field.width === 1 ? "\\d{1,2}" : `\\d{${field.width}}`;
+  }
+  const decimals = field.decimals > 0 ? `\\.\\d{${field.decimals}}` : "";
+  const sign = isLargest
+    ? { "+": "[+-]", " ": "[ -]", "": "-?" }[field.sign]
+    : "";
+  return sign + digits + decimals;
+}
+
+/**
+ * Compile an output template
+ * @param {string} template
+ * @param {Object} [options]
+ * @param {number} [options.precision=6] - Decimals of ".*" fields
+ * @returns {{template: string, format: function(number, number): string, formatComponents: function(number, number): {ra: string, dec: string}, pattern: RegExp, step: {ra: number, dec: number}}}
+ *   format(ra, dec) takes RA in hours and DEC in degrees; formatComponents
+ *   gives the text of each component alone, from its first field to its
+ *   last; pattern matches formatted strings; step is the size of the last
+ *   digit, in hours (RA) or degrees (DEC)
+ * @throws {Error} If the template is malformed
+ */
+function compileTemplate(template, { precision = 6 } = {}) {
+  if (typeof template !== "string") {
+    throw new Error("Invalid output template: expected a string");
+  }
+  const parts = parseTemplate(template, precision);
+  const fields = parts.filter((part) => typeof part === "object");
+  const components = {
+    ra: componentFields(
+      fields.filter((field) => field.component === "ra"),
+      "ra"
+    ),
+    dec: componentFields(
+      fields.filter((field) => field.component === "dec"),
+      "dec"
+    ),
+  };
+
+  // RA is formatted from hours, or degrees when its lead unit is "d"
+  const leadValue = (component, value) =>
+    component === "ra" && components.ra.lead === "d" ? value * 15 : value;
+
+  const pattern = parts
+    .map((part) => {
+      if (typeof part === "string") return escapeRegExp(part);
+      const { fields: sorted, lead } = components[part.component];
+      const max = COMPONENT_MAX[part.component][lead];
+      return fieldPattern(part, part === sorted[0], max);
+    })
+    .join("");
+
+  const step = {};
+  for (const component of ["ra", "dec"]) {
+    const sorted = components[component].fields;
+    const smallest = sorted[sorted.length - 1];
+    const size = 10 ** -smallest.decimals / UNIT_SCALE[smallest.unit];
+    // Steps of RA in degrees, converted to hours
+    step[component] = leadValue(component, 1) === 15 ? size / 15 : size;
+  }
+
+  const fieldTexts = (ra, dec) =>
+    new Map([
+      ...formatComponent(
+        components.ra,
+        leadValue("ra", ra),
+        COMPONENT_MAX.ra[components.ra.lead]
+      ),
+      ...formatComponent(components.dec, dec),
+    ]);
+  const join = (selected, texts) =>
+    selected
+      .map((part) => (typeof part === "string" ? part : texts.get(part)))
+      .join("");
+
+  // Parts from the first field of a component to its last
+  const componentParts = {};
+  for (const component of ["ra", "dec"]) {
+    const indexes = parts
+      .map((part, index) => (part.component === component ? index : -1))
+      .filter((index) => index !== -1);
+    componentParts[component] = parts.slice(
+      indexes[0],
+      indexes[indexes.length - 1] + 1
+    );
+  }
+
+  return {
+    template,
+    format(ra, dec) {
+      return join(parts, fieldTexts(ra, dec));
+    },
+    formatComponents(ra, dec) {
+      const texts = fieldTexts(ra, dec);
+      return {
+        ra: join(componentParts.ra, texts),
+        dec: join(componentParts.dec, texts),
+      };
+    },
+    pattern: new RegExp(`^${pattern}$`),
+    step,
+  };
+}
+
+/**
+ * Template of an output format: a format name or a template string. Unknown
+ * names fall back to aladin.
+ * @param {string} outputFormat
+ * @param {Object} [options]
+ * @param {string} [options.raUnit] - With 'degrees', decimal RA is in degrees
+ * @param {string} [options.indiDevice] - Device of INDI output
+ * @param {string} [options.targetEquinox] - With 'JNow', INDI output names
+ *   the equinox-of-date property
+ * @returns {string}
+ */
+function resolveTemplate(
+  outputFormat,
+  { raUnit, indiDevice, targetEquinox } = {}
+) {
+  if (outputFormat === "decimal" && raUnit === "degrees") {
+    return DECIMAL_DEGREES_TEMPLATE;
+  }
+  if (outputFormat === "indi") {
+    const ofDate = String(targetEquinox).toUpperCase() === "JNOW";
+    return indiTemplate(String(indiDevice || INDI_DEVICE), ofDate);
+  }
+  if (Object.prototype.hasOwnProperty.call(OUTPUT_TEMPLATES, outputFormat)) {
+    return OUTPUT_TEMPLATES[outputFormat];
+  }
+  if (typeof outputFormat === "string" && outputFormat.includes("{")) {
+    return outputFormat;
+  }
+  return OUTPUT_TEMPLATES.aladin;
+}
+
+module.exports = {
+  OUTPUT_TEMPLATES,
+  compileTemplate,
+  resolveTemplate,
+};
@@ -182,6 +182,105 @@ runner.test('Should pass through named stars', () => {
     });
 });
 
+runner.test('Should report the catalog and canonical designation of object names', () => {
+    const sanitizer = new CoordinateSanitizer({ strictMode: true });
+    const cases = [
+        ['ngc1234', 'NGC', 'NGC 1234'],
+        ['Messier 031', 'Messier', 'M31'],
+        ['Caldwell 14', 'Caldwell', 'C14'],
+        ['gaia dr3 4295806720', 'Gaia', 'Gaia DR3 4295806720'],
+        ['TYC 1234-567-1', 'TYC', 'TYC 1234-567-1'],
+        ['WDS 12345+1234', 'WDS', 'WDS J12345+1234'],
+        ['Abell 2218', 'Abell', 'Abell 2218'],
+        ['arp273', 'Arp', 'Arp 273'],
+        ['vdB 142', 'vdB', 'vdB 142'],
+        ['Ced 214', 'Ced', 'Ced 214'],
+        ['Cr 399', 'Collinder', 'Collinder 399'],
+        ['Mel 15', 'Melotte', 'Melotte 15'],
+        ['Stock 2', 'Stock', 'Stock 2'],
+        ['Sh2 155', 'Sh2', 'Sh2-155'],
+        ['ALPHA CENTAURI', 'Star name', 'Alpha Centauri']
+    ];
+
+    for (const [input, catalog, designation] of cases) {
+        const result = sanitizer.sanitizeCoordinates(input);
+        runner.assert(result.isValid, `${input} should be valid: ${result.error}`);
+        runner.assertEqual(result.coordinates, input);
+        runner.assertEqual(result.metadata.inputFormat, 'object-name');
+        runner.assertEqual(result.metadata.catalog, catalog, input);
+        runner.assertEqual(result.metadata.designation, designation, input);
+    }
+
+    const unknown = sanitizer.sanitizeCoordinates('Polaris');
+    runner.assertEqual(unknown.metadata.catalog, undefined);
+});
+
+runner.test('Should decode positions embedded in IAU-style designations', () => {
+    const sanitizer = new CoordinateSanitizer({ strictMode: true });
+    const cases = [
+        ['2MASS J05355871-0527010', '05 35 58.710, -05 27 01.000', 0.01, 0.1],
+        ['SDSS J123456.78+123456.7', '12 34 56.780, +12 34 56.700', 0.01, 0.1],
+        ['WISEA J085510.83-071442.5', '08 55 10.830, -07 14 42.500', 0.01, 0.1],
+        ['PSR J0534+2200', '05 34 00.000, +22 00 00.000', 60, 60],
+        ['sdss j000000.00-003000.0', '00 00 00.000, -00 30 00.000', 0.01, 0.1]
+    ];
+
+    for (const [input, coordinates, raPrecision, decPrecision] of cases) {
+        const result = sanitizer.sanitizeCoordinates(input);
+        runner.assert(result.isValid, `${input} should be valid: ${result.error}`);
+        runner.assertEqual(result.coordinates, coordinates, input);
+        runner.assertEqual(result.metadata.inputFormat, 'designation');
+        runner.assertEqual(result.metadata.ra.format, 'designation');
+        runner.assertEqual(result.metadata.precisionLimit.ra, raPrecision, input);
+        runner.assertEqual(result.metadata.precisionLimit.dec, decPrecision, input);
+    }
+
+    const sdss = sanitizer.sanitizeCoordinates('sdss j123456.78+123456.7');
+    runner.assertEqual(sdss.metadata.catalog, 'SDSS');
+    runner.assertEqual(sdss.metadata.designation, 'SDSS J123456.78+123456.7');
+
+    // B designations are B1950 positions, precessed to the target equinox
+    const pulsar = sanitizer.sanitizeCoordinates('PSR B1919+21');
+    runner.assertEqual(pulsar.metadata.sourceEquinox, 'B1950');
+    runner.assertEqual(pulsar.coordinates, '19 21 09.639, +21 05 43.056');
+
+    // Out-of-range positions are not designations
+    runner.assertEqual(sanitizer.sanitizeCoordinates('2MASS J25000000+0000000').metadata.inputFormat, 'object-name');
+});
+
+runner.test('Should add and remove catalog designation patterns', () => {
+    const sanitizer = new CoordinateSanitizer()
+        .registerCatalog('Internal', {
+            pattern: /^TGT\s*-?\s*(\d+)\+(\d+)$/i,
+            normalize: match => `TGT-${match[1]}+${match[2]}`
+        });
+
+    const result = sanitizer.sanitizeCoordinates('tgt 12+34');
+    runner.assertEqual(result.metadata.inputFormat, 'object-name');
+    runner.assertEqual(result.metadata.designation, 'TGT-12+34');
+    runner.assertEqual(new CoordinateSanitizer().sanitizeCoordinates('tgt 12+34').metadata.catalog, undefined);
+
+    // Registered catalogs are tried before the bundled ones
+    sanitizer.registerCatalog('Local M', /^M\d+$/);
+    runner.assertEqual(sanitizer.matchCatalog('M31').catalog, 'Local M');
+    runner.assertEqual(sanitizer.matchCatalog('m31').catalog, 'Messier');
+
+    runner.assertEqual(sanitizer.unregisterCatalog('Stock'), true);
+    runner.assertEqual(sanitizer.unregisterCatalog('Stock'), false);
+    runner.assertEqual(sanitizer.matchCatalog('Stock 2'), null);
+    runner.assertEqual(new CoordinateSanitizer().matchCatalog('Stock 2').catalog, 'Stock');
+
+    for (const definition of [null, { pattern: 'TGT' }, { pattern: /x/, normalize: 'x' }]) {
+        let threw = false;
+        try {
+            sanitizer.registerCatalog('Broken', definition);
+        } catch (error) {
+            threw = error instanceof TypeError;
+        }
+        runner.assert(threw, `Expected a TypeError for ${JSON.stringify(definition)}`);
+    }
+});
+
 // HMS/DMS coordinate parsing tests
 runner.test('Should parse standard HMS/DMS format', () => {
     const sanitizer = new CoordinateSanitizer();
@@ -586,6 +685,1579 @@ runner.test('createPreset should list available presets in error message', () =>
     runner.assert(errorMessage.includes('strict'), 'Error should list available presets');
 });
 
+// raUnit tests
+runner.test('raUnit auto: should read decimal RA >= 24 as degrees', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const result = sanitizer.sanitizeCoordinates('123.456, -12.345');
+    runner.assert(result.isValid, `Should accept RA in degrees: ${result.error}`);
+    runner.assertEqual(result.coordinates, '08 13 49.440, -12 20 42.000');
+    runner.assertEqual(result.metadata.ra.unit, 'degrees');
+});
+
+runner.test('raUnit auto: should read decimal RA < 24 as hours', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const result = sanitizer.sanitizeCoordinates('12.5, -45.75');
+    runner.assert(result.isValid);
+    runner.assertEqual(result.coordinates, '12 30 00.000, -45 45 00.000');
+    runner.assertEqual(result.metadata.ra.unit, 'hours');
+});
+
+runner.test('raUnit degrees: should read small decimal RA as degrees', () => {
+    const sanitizer = new CoordinateSanitizer({ raUnit: 'degrees' });
+    const result = sanitizer.sanitizeCoordinates('12.5, -45.75');
+    runner.assert(result.isValid);
+    runner.assertEqual(result.coordinates, '00 50 00.000, -45 45 00.000');
+    runner.assertEqual(result.metadata.ra.unit, 'degrees');
+});
+
+runner.test('raUnit hours: should reject decimal RA >= 24', () => {
+    const sanitizer = new CoordinateSanitizer({ raUnit: 'hours' });
+    const result = sanitizer.sanitizeCoordinates('123.456, -12.345');
+    runner.assert(!result.isValid);
+    runner.assertContains(result.error, 'must be 0-24 hours');
+});
+
+runner.test('raUnit degrees: should report range errors in degrees', () => {
+    const sanitizer = new CoordinateSanitizer({ raUnit: 'degrees' });
+    const result = sanitizer.sanitizeCoordinates('400.5, +10.5');
+    runner.assert(!result.isValid);
+    runner.assertContains(result.error, 'must be 0-360 degrees');
+});
+
+runner.test('raUnit: should reject unknown units', () => {
+    let error = null;
+    try {
+        new CoordinateSanitizer({ raUnit: 'bogus' });
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error instanceof TypeError, 'Expected a TypeError');
+    runner.assertEqual(error.message, 'Unknown raUnit: "bogus". Available values: hours, degrees, auto');
+});
+
+runner.test('raUnit: explicit unit markers override the option', () => {
+    const hours = new CoordinateSanitizer({ raUnit: 'degrees' }).sanitizeCoordinates('12.5h, +10');
+    runner.assert(hours.isValid);
+    runner.assertEqual(hours.metadata.ra.unit, 'hours');
+    runner.assertContains(hours.coordinates, '12 30 00.000');
+
+    const degrees = new CoordinateSanitizer({ raUnit: 'hours' }).sanitizeCoordinates('187.5°, +10');
+    runner.assert(degrees.isValid);
+    runner.assertEqual(degrees.metadata.ra.unit, 'degrees');
+    runner.assertContains(degrees.coordinates, '12 30 00.000');
+});
+
+runner.test('raUnit: sexagesimal RA is always read as hours', () => {
+    const sanitizer = new CoordinateSanitizer({ raUnit: 'degrees' });
+    const result = sanitizer.sanitizeCoordinates('12:34:56, +12:34:56');
+    runner.assert(result.isValid);
+    runner.assertEqual(result.metadata.ra.unit, 'hours');
+    runner.assertContains(result.coordinates, '12 34 56.000');
+});
+
+runner.test('raUnit: should apply to space-separated decimal pairs', () => {
+    const sanitizer = new CoordinateSanitizer({ raUnit: 'degrees' });
+    const result = sanitizer.sanitizeCoordinates('187.5 -12.25');
+    runner.assert(result.isValid, `Should parse decimal pair: ${result.error}`);
+    runner.assertEqual(result.metadata.ra.unit, 'degrees');
+    runner.assertEqual(result.coordinates, '12 30 00.000, -12 15 00.000');
+});
+
+runner.test('raUnit degrees: decimal output should keep RA in degrees', () => {
+    const sanitizer = new CoordinateSanitizer({ raUnit: 'degrees', outputFormat: 'decimal' });
+    const result = sanitizer.sanitizeCoordinates('12h 30m 00s, +10° 00\' 00"');
+    runner.assert(result.isValid);
+    runner.assertEqual(result.coordinates, '187.500000, 10.000000');
+});
+
+// Reference frame tests
+runner.test('Frames: should parse labelled Galactic input', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const result = sanitizer.sanitizeCoordinates('l=121.17 b=-21.57');
+    runner.assert(result.isValid, `Should parse Galactic input: ${result.error}`);
+    runner.assertEqual(result.metadata.inputFrame, 'galactic');
+    runner.assertEqual(result.metadata.galactic.l, 121.17);
+    runner.assertEqual(result.metadata.galactic.b, -21.57);
+    // M31 region
+    runner.assert(Math.abs(result.metadata.ra.decimal * 15 - 10.68) < 0.01, 'RA should be near M31');
+    runner.assert(Math.abs(result.metadata.dec.decimal - 41.27) < 0.01, 'DEC should be near M31');
+});
+
+runner.test('Frames: should parse Galactic designations', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const labelled = sanitizer.sanitizeCoordinates('l=121.17 b=-21.57');
+    const designation = sanitizer.sanitizeCoordinates('G121.17-21.57');
+    runner.assert(designation.isValid);
+    runner.assertEqual(designation.coordinates, labelled.coordinates);
+});
+
+runner.test('Frames: Galactic centre should convert to known equatorial position', () => {
+    const sanitizer = new CoordinateSanitizer({ inputFrame: 'galactic', outputFormat: 'decimal', raUnit: 'degrees' });
+    const result = sanitizer.sanitizeCoordinates('0, 0');
+    runner.assert(result.isValid);
+    runner.assertEqual(result.coordinates, '266.404995, -28.936174');
+});
+
+runner.test('Frames: should convert equatorial to Galactic output', () => {
+    const sanitizer = new CoordinateSanitizer({ outputFrame: 'galactic' });
+    const result = sanitizer.sanitizeCoordinates('00h 42m 44.3s, +41° 16\' 09"');
+    runner.assert(result.isValid);
+    runner.assertEqual(result.coordinates, '121.174237, -21.572891');
+    runner.assertEqual(result.metadata.outputFrame, 'galactic');
+    runner.assert(result.metadata.ra.decimal > 0.71, 'Equatorial breakdown should be kept');
+});
+
+runner.test('Frames: ecliptic and supergalactic round-trip through equatorial', () => {
+    const toEcliptic = new CoordinateSanitizer({ inputFrame: 'supergalactic', outputFrame: 'ecliptic', precision: 4 });
+    const ecliptic = toEcliptic.sanitizeCoordinates('SGL=10 SGB=20');
+    runner.assert(ecliptic.isValid);
+
+    const back = new CoordinateSanitizer({ inputFrame: 'ecliptic', outputFrame: 'supergalactic', precision: 4 });
+    const result = back.sanitizeCoordinates(ecliptic.coordinates);
+    runner.assert(result.isValid, `Should parse ecliptic pair: ${result.error}`);
+    runner.assertEqual(result.coordinates, '10.0000, 20.0000');
+});
+
+runner.test('Frames: should reject unknown frames', () => {
+    for (const options of [{ inputFrame: 'horizontal' }, { outputFrame: 'Galactic' }]) {
+        let error = null;
+        try {
+            new CoordinateSanitizer(options);
+        } catch (e) {
+            error = e;
+        }
+        runner.assert(error instanceof TypeError, `Expected a TypeError for ${JSON.stringify(options)}`);
+        runner.assertContains(error.message, 'Available values: icrs, fk5, galactic, ecliptic, supergalactic');
+    }
+});
+
+runner.test('Frames: should reject out-of-range Galactic latitude', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const result = sanitizer.sanitizeCoordinates('l=121 b=-95');
+    runner.assert(!result.isValid);
+    runner.assertContains(result.error, 'b out of range');
+});
+
+// Equinox and precession tests
+runner.test('Equinox: should precess B1950 tagged input to J2000', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const result = sanitizer.sanitizeCoordinates('00h 00m 00s, +00° 00\' 00" B1950');
+    runner.assert(result.isValid, `Should parse tagged input: ${result.error}`);
+    runner.assertEqual(result.coordinates, '00 02 33.774, +00 16 42.056');
+    runner.assertEqual(result.metadata.sourceEquinox, 'B1950');
+    runner.assertEqual(result.metadata.targetEquinox, 'J2000');
+});
+
+runner.test('Equinox: should recognize FK4 prefix and equinox option', () => {
+    const tagged = new CoordinateSanitizer().sanitizeCoordinates('FK4 00:00:00, +00:00:00');
+    const option = new CoordinateSanitizer({ equinox: 'B1950' }).sanitizeCoordinates('00:00:00, +00:00:00');
+    runner.assert(tagged.isValid && option.isValid);
+    runner.assertEqual(tagged.coordinates, option.coordinates);
+    runner.assertEqual(option.metadata.sourceEquinox, 'B1950');
+});
+
+runner.test('Equinox: J2000 and ICRS tags should not change the position', () => {
+    const sanitizer = new CoordinateSanitizer();
+    runner.assertEqual(sanitizer.sanitizeCoordinates('12:00:00, +10:00:00 (J2000)').coordinates, '12 00 00.000, +10 00 00.000');
+    runner.assertEqual(sanitizer.sanitizeCoordinates('12:00:00, +10:00:00 ICRS').coordinates, '12 00 00.000, +10 00 00.000');
+});
+
+runner.test('Equinox: JNow should precess to the observation date', () => {
+    // Meeus, Astronomical Algorithms, example 21.b
+    const sanitizer = new CoordinateSanitizer({
+        targetEquinox: 'JNow',
+        observationDate: '2028-11-13T04:33:36Z',
+        raUnit: 'degrees',
+        outputFormat: 'decimal'
+    });
+    const result = sanitizer.sanitizeCoordinates('41.054063, 49.227750');
+    runner.assert(result.isValid);
+    runner.assertEqual(result.coordinates, '41.547214, 49.348483');
+    runner.assertEqual(result.metadata.targetEquinox, 'J2028.867');
+});
+
+runner.test('Equinox: should round-trip J2000 -> B1950 -> J2000', () => {
+    const toB1950 = new CoordinateSanitizer({ targetEquinox: 'B1950' });
+    const b1950 = toB1950.sanitizeCoordinates('13:29:52.7, +47:11:43');
+    runner.assert(b1950.isValid);
+    const back = new CoordinateSanitizer().sanitizeCoordinates(`${b1950.coordinates} B1950`);
+    runner.assert(back.isValid, `Should re-parse B1950 output: ${back.error}`);
+    runner.assertEqual(back.coordinates, '13 29 52.700, +47 11 43.000');
+});
+
+runner.test('Equinox: should reject unsupported equinoxes', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const result = sanitizer.sanitizeCoordinates('12:00:00, +10:00:00 B1900');
+    runner.assert(!result.isValid);
+    runner.assertContains(result.error, 'Unsupported equinox');
+});
+
+// Proper motion tests
+const BARNARD = {
+    position: '269.44850252, 4.73942027',
+    motion: { pmRA: -801.551, pmDec: 10362.394, parallax: 546.976, radialVelocity: -110.11, epoch: 2016.0 }
+};
+
+runner.test('Proper motion: should propagate Barnard\'s Star back to J2000', () => {
+    const sanitizer = new CoordinateSanitizer({ outputFormat: 'decimal', raUnit: 'degrees', targetEpoch: 2000 });
+    const result = sanitizer.sanitizeCoordinates(BARNARD.position, BARNARD.motion);
+    runner.assert(result.isValid, `Should propagate: ${result.error}`);
+    // SIMBAD J2000 (Hipparcos): 269.452075, +4.693391
+    const [ra, dec] = result.coordinates.split(',').map(parseFloat);
+    runner.assert(Math.abs(ra - 269.452075) < 0.0001, `RA should match J2000 catalog: ${ra}`);
+    runner.assert(Math.abs(dec - 4.693391) < 0.0001, `DEC should match J2000 catalog: ${dec}`);
+    runner.assertEqual(result.metadata.catalogEpoch, 2016);
+    runner.assertEqual(result.metadata.targetEpoch, 2000);
+});
+
+runner.test('Proper motion: per-call target epoch should win over the option', () => {
+    const sanitizer = new CoordinateSanitizer({ targetEpoch: 2000 });
+    const result = sanitizer.sanitizeCoordinates(BARNARD.position, { ...BARNARD.motion, targetEpoch: 'J2026.5' });
+    runner.assert(result.isValid);
+    runner.assertEqual(result.metadata.targetEpoch, 2026.5);
+    runner.assert(result.metadata.dec.decimal > 4.7394, 'Barnard\'s Star should move north');
+});
+
+runner.test('Proper motion: zero motion should leave the position unchanged', () => {
+    const sanitizer = new CoordinateSanitizer({ targetEpoch: 2050 });
+    const result = sanitizer.sanitizeCoordinates('12:00:00, +10:00:00', { pmRA: 0, pmDec: 0 });
+    runner.assert(result.isValid);
+    runner.assertEqual(result.coordinates, '12 00 00.000, +10 00 00.000');
+});
+
+runner.test('Proper motion: should reject invalid motion values', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const result = sanitizer.sanitizeCoordinates('12:00:00, +10:00:00', { pmRA: 'fast' });
+    runner.assert(!result.isValid);
+    runner.assertContains(result.error, 'pmRA');
+
+    const badEpoch = sanitizer.sanitizeCoordinates('12:00:00, +10:00:00', { pmRA: 1, targetEpoch: 'someday' });
+    runner.assert(!badEpoch.isValid);
+    runner.assertContains(badEpoch.error, 'target epoch');
+});
+
+// Batch tests
+runner.test('sanitizeBatch: should return per-item results and summary', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const inputs = ['M31', '12:00:00, +10:00:00', '25h 00m 00s, +00° 00\' 00"', 'NGC 7000'];
+    const batch = sanitizer.sanitizeBatch(inputs);
+
+    runner.assertEqual(batch.items.length, 4);
+    runner.assertEqual(batch.items[1].index, 1);
+    runner.assertEqual(batch.items[1].input, '12:00:00, +10:00:00');
+    runner.assertEqual(batch.items[1].result.coordinates, '12 00 00.000, +10 00 00.000');
+    runner.assertEqual(batch.summary.total, 4);
+    runner.assertEqual(batch.summary.valid, 3);
+    runner.assertEqual(batch.summary.invalid, 1);
+    runner.assertEqual(batch.summary.byInputFormat['object-name'], 2);
+    runner.assertEqual(batch.summary.byInputFormat.coordinates, 1);
+    runner.assert(!batch.stopped);
+});
+
+runner.test('sanitizeBatch: should group failures by error type', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const batch = sanitizer.sanitizeBatch([
+        '25h 00m 00s, +00° 00\' 00"',
+        '12h 00m 00s, +95° 00\' 00"',
+        '<b>bold</b>',
+        '26h 00m 00s, +00° 00\' 00"'
+    ]);
+    runner.assertEqual(batch.failures['ra-out-of-range'].length, 2);
+    runner.assertEqual(batch.failures['ra-out-of-range'][1].index, 3);
+    runner.assertEqual(batch.failures['dec-out-of-range'].length, 1);
+    runner.assertEqual(batch.failures['malicious-content'].length, 1);
+});
+
+runner.test('sanitizeBatch: stopOnError should stop at the first failure', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const batch = sanitizer.sanitizeBatch(['M31', '25h 00m 00s, +00° 00\' 00"', 'M42'], { stopOnError: true });
+    runner.assert(batch.stopped);
+    runner.assertEqual(batch.items.length, 2);
+    runner.assertEqual(batch.summary.total, 2);
+});
+
+runner.test('sanitizeBatch: should accept iterables and reject non-iterables', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const batch = sanitizer.sanitizeBatch(new Set(['M31', 'M42']));
+    runner.assertEqual(batch.summary.valid, 2);
+
+    let threw = false;
+    try {
+        sanitizer.sanitizeBatch('M31');
+    } catch (e) {
+        threw = e instanceof TypeError;
+    }
+    runner.assert(threw, 'Should throw TypeError for a plain string');
+});
+
+// Streaming tests
+runner.test('sanitizeLines: should split chunks into lines across chunk boundaries', async () => {
+    const sanitizer = new CoordinateSanitizer();
+    const chunks = ['M31\n12:00:00, +10:0', '0:00\r\n\n', Buffer.from('25h 00m 00s, +00 00 00')];
+    const items = [];
+    for await (const item of sanitizer.sanitizeLines(chunks)) {
+        items.push(item);
+    }
+    runner.assertEqual(items.length, 3);
+    runner.assertEqual(items[1].input, '12:00:00, +10:00:00');
+    runner.assertEqual(items[1].result.coordinates, '12 00 00.000, +10 00 00.000');
+    runner.assertEqual(items[2].index, 2);
+    runner.assertEqual(items[2].line, 4, 'Blank lines should still count towards line numbers');
+    runner.assert(!items[2].result.isValid);
+});
+
+runner.test('sanitizeLines: should reject overlong lines', async () => {
+    const sanitizer = new CoordinateSanitizer();
+    let threw = false;
+    try {
+        for await (const item of sanitizer.sanitizeLines(['x'.repeat(100)], { maxLineLength: 50 })) {
+            runner.assert(item, 'unreachable');
+        }
+    } catch (e) {
+        threw = e instanceof RangeError;
+    }
+    runner.assert(threw, 'Should throw RangeError for overlong lines');
+});
+
+runner.test('createSanitizeStream: should emit one result object per line', async () => {
+    const { Readable, Writable, pipeline } = require('stream');
+    const sanitizer = new CoordinateSanitizer();
+    const lineCount = 2000;
+    function* lines() {
+        for (let i = 0; i < lineCount; i++) {
+            yield `${String(i % 24).padStart(2, '0')}:30:00, +10:00:00\n`;
+        }
+    }
+
+    const results = [];
+    await new Promise((resolve, reject) => {
+        pipeline(
+            Readable.from(lines()),
+            sanitizer.createSanitizeStream({ highWaterMark: 4 }),
+            new Writable({
+                objectMode: true,
+                write(item, _encoding, callback) {
+                    results.push(item.result.isValid);
+                    setImmediate(callback);
+                }
+            }),
+            (error) => (error ? reject(error) : resolve())
+        );
+    });
+    runner.assertEqual(results.length, lineCount);
+    runner.assert(results.every(Boolean), 'All lines should be valid');
+});
+
+runner.test('sanitizeTable: should detect RA/DEC columns by header and append results', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const csv = 'Name,RAJ2000,DEJ2000,Mag\nM31,00 42 44.3,+41 16 09,3.4\n"Foo, bar",25:00:00,+10:00:00,5\n';
+    const table = sanitizer.sanitizeTable(csv);
+
+    runner.assertEqual(table.delimiter, ',');
+    runner.assertEqual(table.columns.ra, 1);
+    runner.assertEqual(table.columns.dec, 2);
+    runner.assertEqual(table.summary.valid, 1);
+    runner.assertEqual(table.summary.invalid, 1);
+
+    const lines = table.output.trim().split('\n');
+    runner.assertEqual(lines[0], 'Name,RAJ2000,DEJ2000,Mag,ra_sanitized,dec_sanitized,valid,error');
+    runner.assertEqual(lines[1], 'M31,00 42 44.3,+41 16 09,3.4,00 42 44.300,+41 16 09.000,true,');
+    runner.assert(lines[2].startsWith('"Foo, bar",25:00:00,+10:00:00,5,,,false,RA out of range'), 'Quoted fields should be preserved');
+});
+
+runner.test('sanitizeTable: should read decimal RA as degrees from a ra_deg header', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const table = sanitizer.sanitizeTable('id\tra_deg\tdec_deg\n1\t12.5\t-10\n');
+
+    runner.assertEqual(table.delimiter, '\t');
+    runner.assertEqual(table.columns.raUnit, 'degrees');
+    runner.assertEqual(table.rows[0].result.coordinates, '00 50 00.000, -10 00 00.000');
+});
+
+runner.test('sanitizeTable: should parse RA and DEC columns separately', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const table = sanitizer.sanitizeTable([
+        'name,ra_deg,dec',
+        'A,188.73,+95:00:00',
+        'B,400,+10:00:00',
+        'C,188.73,north',
+        'D,"188.73, +10",+20:00:00',
+        'E,188.73,-12.58'
+    ].join('\n'));
+
+    runner.assertEqual(table.columns.raUnit, 'degrees');
+    const errors = table.rows.slice(0, 4).map(({ input, result }) => {
+        const { code, component, span } = result.errorDetail;
+        return [code, component, input.slice(span.start, span.end)].join('|');
+    });
+    runner.assertEqual(errors.join('\n'), [
+        'DEC_OUT_OF_RANGE|dec|+95:00:00',
+        'RA_OUT_OF_RANGE|ra|400',
+        'DEC_INVALID_FORMAT|dec|north',
+        'RA_INVALID_FORMAT|ra|188.73, +10'
+    ].join('\n'));
+    runner.assertEqual(table.rows[4].result.coordinates, '12 34 55.200, -12 34 48.000');
+});
+
+runner.test('sanitizeTable: should detect coordinate columns by content', () => {
+    const sanitizer = new CoordinateSanitizer();
+
+    const combined = sanitizer.sanitizeTable('id;where\n1;12:00:00, +10:00:00\n2;M31\n');
+    runner.assertEqual(combined.columns.combined, 1);
+    runner.assertEqual(combined.summary.valid, 1);
+    runner.assert(combined.rows[1].result.error.includes('No coordinates found'), 'Object names are not positions');
+
+    const pair = sanitizer.sanitizeTable('id,a,b\n1,12:00:00,+10:00:00\n2,13:00:00,-05:00:00\n');
+    runner.assertEqual(pair.columns.ra, 1, 'Integer ID columns should be skipped');
+    runner.assertEqual(pair.columns.dec, 2);
+    runner.assertEqual(pair.rows[1].result.coordinates, '13 00 00.000, -05 00 00.000');
+});
+
+runner.test('sanitizeTable: should honour explicit columns and report missing ones', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const table = sanitizer.sanitizeTable('x,y\n10:00:00,+20:00:00\n', { raColumn: 'x', decColumn: 1 });
+    runner.assertEqual(table.rows[0].result.coordinates, '10 00 00.000, +20 00 00.000');
+
+    for (const [text, options, message] of [
+        ['x,y\n1,2\n', { raColumn: 'ra' }, 'Column not found'],
+        ['a,b\nfoo,bar\n', {}, 'Could not detect']
+    ]) {
+        let error = null;
+        try {
+            sanitizer.sanitizeTable(text, options);
+        } catch (e) {
+            error = e;
+        }
+        runner.assert(error && error.message.includes(message), `Should throw "${message}"`);
+    }
+});
+
+runner.test('sanitizeTable: should read line breaks in quoted fields and its own output', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const table = sanitizer.sanitizeTable('name,ra,dec\r\n"Line 1\r\nLine ""2""",12:00:00,+10:00:00\r\n\r\nB,25:00:00,+10:00:00\r\n');
+    runner.assertEqual(table.rows.length, 2);
+    runner.assertEqual(table.rows[0].values[0], 'Line 1\r\nLine "2"');
+    runner.assertEqual(table.summary.valid, 1);
+
+    // The output quotes the line break and reads back the same
+    const again = sanitizer.sanitizeTable(table.output);
+    runner.assertEqual(JSON.stringify(again.rows.map((row) => row.values)), JSON.stringify([
+        ['Line 1\r\nLine "2"', '12:00:00', '+10:00:00', '12 00 00.000', '+10 00 00.000', 'true', ''],
+        ['B', '25:00:00', '+10:00:00', '', '', 'false', table.rows[1].result.error]
+    ]));
+});
+
+runner.test('sanitizeTable: should split RA and DEC of any output format', () => {
+    const text = 'name,ra,dec\nA,12:30:00,-45:30:00\n';
+    const columns = (options) => new CoordinateSanitizer(options).sanitizeTable(text).output.trim().split('\n')[1];
+    runner.assertEqual(columns({ outputFormat: 'lx200' }), 'A,12:30:00,-45:30:00,12:30:00,-45*30:00,true,');
+    runner.assertEqual(columns({ outputFormat: 'ascom', precision: 2 }), 'A,12:30:00,-45:30:00,12.50,-45.50,true,');
+    runner.assertEqual(columns({ outputFormat: '{ra:hh}h{ra:mm} / {dec:+dd}d{dec:mm}' }), 'A,12:30:00,-45:30:00,12h30,-45d30,true,');
+    runner.assertEqual(columns({ outputFrame: 'galactic', precision: 2 }), 'A,12:30:00,-45:30:00,299.00,17.21,true,');
+});
+
+// CLI: run in-process with captured output
+async function runCli(args, stdinText) {
+    const { run } = require('../src/cli');
+    const { Readable } = require('stream');
+    const capture = () => ({ text: '', write(chunk) { this.text += chunk; } });
+    const stdout = capture();
+    const stderr = capture();
+    const stdin = Readable.from(stdinText !== undefined ? [stdinText] : []);
+    const code = await run(args, { stdin, stdout, stderr });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+runner.test('CLI: should sanitize arguments and exit non-zero on invalid input', async () => {
+    const ok = await runCli(['12:30:00, +45:00:00', 'M31']);
+    runner.assertEqual(ok.code, 0);
+    runner.assertEqual(ok.stdout, '12 30 00.000, +45 00 00.000\nM31\n');
+
+    const bad = await runCli(['12:30:00, +45:00:00', '25:00:00, +10:00:00']);
+    runner.assertEqual(bad.code, 1);
+    runner.assertEqual(bad.stdout, '12 30 00.000, +45 00 00.000\n');
+    runner.assertContains(bad.stderr, 'RA out of range');
+});
+
+runner.test('CLI: should read stdin and write NDJSON', async () => {
+    const { code, stdout } = await runCli(['--output', 'ndjson'], '10 00 00 +20 00 00\n\n<script>\n');
+    const records = stdout.trim().split('\n').map((line) => JSON.parse(line));
+    runner.assertEqual(code, 1);
+    runner.assertEqual(records.length, 2);
+    runner.assertEqual(records[0].coordinates, '10 00 00.000, +20 00 00.000');
+    runner.assertEqual(records[1].line, 3);
+    runner.assert(!records[1].isValid);
+});
+
+runner.test('CLI: should map flags and presets to constructor options', async () => {
+    const decimal = await runCli(['-f', 'decimal', '--precision=2', '-o', 'json', '10:00:00, +20:00:00']);
+    runner.assertEqual(JSON.parse(decimal.stdout)[0].coordinates, '10.00, 20.00');
+
+    const loose = await runCli(['--preset', 'strict', '--no-validate-ranges', '25:00:00, +10:00:00']);
+    runner.assertEqual(loose.code, 0, 'Flags should override the preset');
+
+    const strict = await runCli(['--preset', 'strict', '123456+123456']);
+    runner.assertEqual(strict.code, 1);
+
+    const resolved = await runCli(['--resolver', 'bundled', 'M31']);
+    runner.assertEqual(resolved.stdout, '00 42 44.300, +41 16 09.000\n');
+
+    const italian = await runCli(['--locale', 'it', '12,5; -45,75', '25:00:00; +10:00:00']);
+    runner.assertEqual(italian.stdout, '12 30 00.000, -45 45 00.000\n');
+    runner.assertContains(italian.stderr, 'AR fuori intervallo');
+});
+
+runner.test('CLI: should report usage errors with exit code 2', async () => {
+    for (const args of [['--bogus'], ['--precision', 'x', '1'], ['--preset', 'nope', '1'], ['-o', 'yaml', '1'], ['--locale', 'xx', '1'], ['--ra-unit', 'bogus', '1'], ['--output-frame', 'altaz', '1'], ['--component-validation', 'ignore', '1'], ['--resolver', 'simbad', '1'], ['-f', 'votable', '1']]) {
+        const { code, stderr } = await runCli(args);
+        runner.assertEqual(code, 2, args.join(' '));
+        runner.assertContains(stderr, 'coordinate-sanitizer:');
+    }
+    const format = await runCli(['--output-format', 'aladdin', '1']);
+    runner.assertContains(format.stderr, 'Available formats: aladin, decimal, hms-dms');
+});
+
+runner.test('ESM entry: should expose the class, presets and converters as named exports', async () => {
+    const esm = await import('../src/index.mjs');
+    runner.assertEqual(esm.default, CoordinateSanitizer);
+    runner.assertEqual(esm.CoordinateSanitizer, CoordinateSanitizer);
+    runner.assertEqual(esm.PRESETS.strict.strictMode, true);
+    runner.assertEqual(esm.decimalToHMS(12.5).minutes, 30);
+    runner.assertEqual(esm.dmsToDecimal(-0, 30, 0, true), -0.5);
+    runner.assertEqual(esm.convertFrame, CoordinateSanitizer.convertFrame);
+    runner.assertEqual(esm.angularSeparation, CoordinateSanitizer.angularSeparation);
+
+    const result = new esm.CoordinateSanitizer(esm.PRESETS.decimal).sanitizeCoordinates('12:30:00, +45:00:00');
+    runner.assertEqual(result.coordinates, '12.500000, 45.000000');
+});
+
+runner.test('CommonJS entry: should keep the default export and add named exports', () => {
+    const { CoordinateSanitizer: Named, PRESETS, hmsToDecimal } = require('../src/index.js');
+    runner.assertEqual(Named, CoordinateSanitizer);
+    runner.assert(Object.isFrozen(PRESETS.aladin), 'Presets should be read-only');
+    runner.assertEqual(hmsToDecimal(1, 30, 0), 1.5);
+});
+
+runner.test('Resolver: should resolve object names from the bundled catalog', () => {
+    const sanitizer = new CoordinateSanitizer({ resolver: 'bundled' });
+
+    for (const name of ['M31', 'm 031', 'Messier 31', 'NGC 224', 'Andromeda Galaxy']) {
+        const result = sanitizer.sanitizeCoordinates(name);
+        runner.assertEqual(result.coordinates, '00 42 44.300, +41 16 09.000', name);
+        runner.assertEqual(result.metadata.inputFormat, 'object-name');
+        runner.assertEqual(result.metadata.object.name, 'M31');
+        runner.assertEqual(result.metadata.object.catalog, 'Messier');
+        runner.assertEqual(result.metadata.object.source, 'bundled');
+    }
+    // Designations keep their catalog; common names get the object's
+    for (const [name, catalog, designation] of [
+        ['NGC 224', 'NGC', 'NGC 224'],
+        ['Andromeda Galaxy', 'Messier', 'M31'],
+        ['Pleiades', 'Messier', 'M45']
+    ]) {
+        const { metadata } = sanitizer.sanitizeCoordinates(name);
+        runner.assertEqual(metadata.catalog, catalog, name);
+        runner.assertEqual(metadata.designation, designation, name);
+    }
+
+    runner.assertEqual(sanitizer.sanitizeCoordinates('C106').metadata.object.aliases[0], 'NGC 104');
+    runner.assertEqual(sanitizer.sanitizeCoordinates('Vega').coordinates, '18 36 56.300, +38 47 01.000');
+    runner.assertEqual(sanitizer.sanitizeCoordinates('M2').coordinates, '21 33 27.000, -00 49 24.000');
+
+    const unknown = sanitizer.sanitizeCoordinates('HD 209458');
+    runner.assertEqual(unknown.coordinates, 'HD 209458');
+    runner.assertEqual(unknown.metadata.outputFormat, 'passthrough');
+});
+
+runner.test('Resolver: should apply output format, frame and equinox to resolved names', () => {
+    const decimal = new CoordinateSanitizer({ resolver: 'bundled', outputFormat: 'decimal' });
+    runner.assertEqual(decimal.sanitizeCoordinates('M31').coordinates, '0.712306, 41.269167');
+
+    const galactic = new CoordinateSanitizer({ resolver: 'bundled', outputFrame: 'galactic' });
+    const [l, b] = galactic.sanitizeCoordinates('M31').coordinates.split(', ').map(Number);
+    runner.assert(Math.abs(l - 121.174) < 0.01 && Math.abs(b + 21.573) < 0.01, `M31 galactic: ${l}, ${b}`);
+
+    const b1950 = new CoordinateSanitizer({ resolver: 'bundled', targetEquinox: 'B1950' });
+    runner.assertEqual(b1950.sanitizeCoordinates('M31').coordinates, '00 40 00.057, +40 59 43.439');
+
+    // Catalog positions are ICRS whatever frame plain pairs are read in
+    const fromGalactic = new CoordinateSanitizer({ resolver: 'bundled', inputFrame: 'galactic' });
+    runner.assertEqual(fromGalactic.sanitizeCoordinates('M31').metadata.inputFrame, 'icrs');
+});
+
+runner.test('Resolver: should accept custom resolvers and reject unknown ones', () => {
+    const custom = new CoordinateSanitizer({
+        resolver: { resolve: (name) => (name === 'Home' ? { name: 'Home', ra: 150, dec: -30 } : null) }
+    });
+    runner.assertEqual(custom.sanitizeCoordinates('Home').coordinates, '10 00 00.000, -30 00 00.000');
+    runner.assertEqual(custom.sanitizeCoordinates('Away').coordinates, 'Away');
+
+    // Checked by the constructor, before any object name is sanitized
+    for (const resolver of ['simbad', { lookup: () => null }]) {
+        let threw = false;
+        try {
+            new CoordinateSanitizer({ resolver });
+        } catch (e) {
+            threw = e.message.includes('Unknown resolver');
+        }
+        runner.assert(threw, 'Should throw for an unknown resolver');
+    }
+});
+
+// Resolvers returning positions out of range, not numbers or incomplete
+const MISBEHAVING_POSITIONS = { Far: { ra: 400, dec: 10 }, Pole: { ra: 10, dec: 120 }, Text: { ra: 'abc', dec: 10 }, Gap: { ra: 10 } };
+const MISBEHAVING_CASES = [
+    ['Far', 'ra', '400'],
+    ['Pole', 'dec', '120'],
+    ['Text', 'ra', 'abc'],
+    ['Gap', 'dec', 'undefined']
+];
+const misbehavingResolver = {
+    name: 'misbehaving',
+    resolve: (name) => (MISBEHAVING_POSITIONS[name] ? { name, ...MISBEHAVING_POSITIONS[name] } : null)
+};
+
+function assertInvalidPosition(input, name, component, value, result) {
+    runner.assert(!result.isValid, `${name} should be rejected`);
+    runner.assertEqual(result.errorDetail.code, 'RESOLVED_POSITION_INVALID', name);
+    runner.assertEqual(result.errorDetail.component, component, name);
+    runner.assertEqual(result.errorDetail.params.value, value, name);
+    runner.assertEqual(spanText(input, result), name);
+}
+
+runner.test('Resolver: should reject invalid positions from resolvers', () => {
+    // Checked even without range validation
+    const sanitizer = new CoordinateSanitizer({ resolver: misbehavingResolver, validateRanges: false });
+    for (const [name, component, value] of MISBEHAVING_CASES) {
+        const input = `  ${name}`;
+        assertInvalidPosition(input, name, component, value, sanitizer.sanitizeCoordinates(input));
+    }
+    runner.assertEqual(sanitizer.sanitizeCoordinates('Far').error, 'Resolver returned an invalid RA for "Far": 400');
+});
+
+// TypeScript declarations: the compile-time checks live in test/types
+// (npm run test:types); these keep the declared names in sync with the runtime
+function declaredMembers(source, name) {
+    const body = source.match(new RegExp(`(?:interface|class) ${name}\\b[^{]*\\{([\\s\\S]*?)\\n\\}`))[1];
+    return [...body.matchAll(/^ {2}(?:static |readonly )?(\w+)\??[:(]/gm)].map((match) => match[1]);
+}
+
+function declaredUnion(source, name) {
+    const union = source.match(new RegExp(`type ${name} =\\s*([^;]+);`))[1];
+    return [...union.matchAll(/'([^']+)'/g)].map((match) => match[1]);
+}
+
+runner.test('TypeScript declarations: declared methods and statics should exist at runtime', () => {
+    const source = require('fs').readFileSync(require.resolve('../src/index.d.ts'), 'utf8');
+    const sanitizer = new CoordinateSanitizer();
+    for (const member of declaredMembers(source, 'CoordinateSanitizer')) {
+        runner.assert(member in sanitizer || member in CoordinateSanitizer, `Declared member missing at runtime: ${member}`);
+    }
+    const namespace = source.match(/declare namespace CoordinateSanitizer \{\s*export \{([^}]+)\}/)[1];
+    for (const name of namespace.split(',').map((n) => n.trim()).filter((n) => /^[a-z]|^[A-Z]+$/.test(n))) {
+        runner.assert(name in CoordinateSanitizer, `Declared export missing at runtime: ${name}`);
+    }
+});
+
+runner.test('TypeScript declarations: runtime results should match the declared shapes', () => {
+    const source = require('fs').readFileSync(require.resolve('../src/index.d.ts'), 'utf8');
+    const metadataKeys = declaredMembers(source, 'SanitizationMetadata');
+    const componentKeys = declaredMembers(source, 'CoordinateComponent');
+    const inputFormats = declaredUnion(source, 'InputFormat');
+
+    const galactic = new CoordinateSanitizer({ outputFrame: 'galactic' });
+    const results = [
+        new CoordinateSanitizer().sanitizeCoordinates('12:30:00, +45:00:00 B1950', { pmRA: 1, pmDec: 1 }),
+        new CoordinateSanitizer().sanitizeCoordinates('12 30 00.000, +45 00 00.000'),
+        new CoordinateSanitizer().sanitizeCoordinates('M31'),
+        galactic.sanitizeCoordinates('l=121.17 b=-21.57')
+    ];
+    for (const { metadata } of results) {
+        runner.assert(inputFormats.includes(metadata.inputFormat), `Undeclared inputFormat: ${metadata.inputFormat}`);
+        for (const key of Object.keys(metadata)) {
+            runner.assert(metadataKeys.includes(key), `Undeclared metadata key: ${key}`);
+        }
+        for (const component of [metadata.ra, metadata.dec].filter(Boolean)) {
+            for (const key of Object.keys(component)) {
+                runner.assert(componentKeys.includes(key), `Undeclared component key: ${key}`);
+            }
+        }
+    }
+
+    const failed = new CoordinateSanitizer().sanitizeCoordinates('25:00:00, +10:00:00');
+    runner.assertEqual(failed.error.startsWith('RA out of range'), true);
+    runner.assertEqual(Object.keys(failed.metadata).length, 0);
+
+    runner.assertEqual(
+        CoordinateSanitizer.getSupportedFormats().output.join(), declaredUnion(source, 'OutputFormat').join()
+    );
+    runner.assertEqual(Object.keys(CoordinateSanitizer.PRESETS).join(), declaredUnion(source, 'PresetName').join());
+    runner.assertEqual(CoordinateSanitizer.ERROR_CODES.join(), declaredUnion(source, 'ErrorCode').join());
+    runner.assertEqual(CoordinateSanitizer.WARNING_CODES.join(), declaredUnion(source, 'WarningCode').join());
+});
+
+// Asynchronous resolvers
+const SESAME_M31 = [
+    '# M31\t#Q1234',
+    '#=S=Simbad (via url):    1',
+    '%@ 503',
+    '%I.0 M  31',
+    '%C.0 G',
+    '%J 010.684708 +41.268750 = 00:42:44.32 +41:16:07.5',
+    ''
+].join('\n');
+
+// Local stand-in for the Sesame/SIMBAD name service
+// fetch over the http module: global fetch needs Node.js 18
+function httpFetch(url, { signal } = {}) {
+    const http = require('http');
+    return new Promise((resolve, reject) => {
+        const request = http.get(url, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ ok: res.statusCode < 400, status: res.statusCode, text: async () => body }));
+        });
+        request.on('error', reject);
+        if (signal) signal.addEventListener('abort', () => request.destroy(new Error('Aborted')));
+    });
+}
+
+async function withSesameStub(fn) {
+    const http = require('http');
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const name = decodeURIComponent(req.url.split('?')[1] || '');
+        requests.push(name);
+        if (name === 'slow') {
+            setTimeout(() => res.end(SESAME_M31), 500);
+            return;
+        }
+        if (name === 'bogus') {
+            res.end(SESAME_M31.replace('010.684708 +41.268750', '400.000000 +95.000000'));
+            return;
+        }
+        if (name === 'broken') {
+            res.statusCode = 500;
+            res.end();
+            return;
+        }
+        res.end(name === 'M31' ? SESAME_M31 : `# ${name}\n#=S=Simbad (via url):    0\n#! *** Nothing found *** \n`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/sesame`;
+        await fn(CoordinateSanitizer.createSesameResolver({ url, fetch: httpFetch }), requests);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+runner.test('sanitizeCoordinatesAsync: should resolve names with a Sesame server and cache them', async () => {
+    await withSesameStub(async (sesame, requests) => {
+        const sanitizer = new CoordinateSanitizer().registerResolver(sesame);
+        const result = await sanitizer.sanitizeCoordinatesAsync('M31');
+        runner.assertEqual(result.coordinates, '00 42 44.330, +41 16 07.500');
+        runner.assertEqual(result.metadata.inputFormat, 'object-name');
+        runner.assertEqual(result.metadata.object.name, 'M 31');
+        runner.assertEqual(result.metadata.object.catalog, 'Simbad');
+        runner.assertEqual(result.metadata.object.source, 'sesame');
+
+        const again = await sanitizer.sanitizeCoordinatesAsync('m 31');
+        runner.assertEqual(again.coordinates, result.coordinates);
+        runner.assertEqual(again.metadata.object.cached, true);
+        runner.assertEqual(requests.length, 1);
+
+        const unknown = await sanitizer.sanitizeCoordinatesAsync('NGC 9999');
+        runner.assertEqual(unknown.metadata.outputFormat, 'passthrough');
+        runner.assertEqual(unknown.coordinates, 'NGC 9999');
+
+        // Coordinates never reach the resolvers
+        const plain = await sanitizer.sanitizeCoordinatesAsync('10:00:00, +20:00:00');
+        runner.assertEqual(plain.coordinates, '10 00 00.000, +20 00 00.000');
+        runner.assertEqual(requests.length, 2);
+    });
+});
+
+runner.test('sanitizeCoordinatesAsync: should consult resolvers by priority and fall through failures', async () => {
+    await withSesameStub(async (sesame, requests) => {
+        const internal = {
+            name: 'targets',
+            resolve: async name => (name === 'MY-TARGET-1' ? { name, ra: 150, dec: 20 } : null)
+        };
+        const failing = { name: 'failing', resolve: () => { throw new Error('database down'); } };
+        const sanitizer = new CoordinateSanitizer({ resolverCache: false })
+            .registerResolver(sesame)
+            .registerResolver(failing, { priority: 5 })
+            .registerResolver(internal, { priority: 10 });
+
+        const own = await sanitizer.sanitizeCoordinatesAsync('MY-TARGET-1');
+        runner.assertEqual(own.coordinates, '10 00 00.000, +20 00 00.000');
+        runner.assertEqual(own.metadata.object.source, 'targets');
+        runner.assertEqual(own.metadata.resolverErrors, undefined);
+        runner.assertEqual(requests.length, 0);
+
+        const fallback = await sanitizer.sanitizeCoordinatesAsync('M31');
+        runner.assertEqual(fallback.metadata.object.source, 'sesame');
+        runner.assertEqual(fallback.metadata.resolverErrors[0].resolver, 'failing');
+        runner.assertEqual(fallback.metadata.resolverErrors[0].error, 'database down');
+
+        const broken = await sanitizer.sanitizeCoordinatesAsync('broken');
+        runner.assertEqual(broken.metadata.outputFormat, 'passthrough');
+        runner.assertContains(broken.metadata.resolverErrors[1].error, 'HTTP 500');
+    });
+});
+
+runner.test('sanitizeCoordinatesAsync: should reject invalid positions from resolvers', async () => {
+    const asyncResolver = { name: 'async', resolve: async (name) => misbehavingResolver.resolve(name) };
+    const sanitizer = new CoordinateSanitizer({ resolverCache: false }).registerResolver(asyncResolver);
+    for (const [name, component, value] of MISBEHAVING_CASES) {
+        const input = `  ${name}`;
+        assertInvalidPosition(input, name, component, value, await sanitizer.sanitizeCoordinatesAsync(input));
+    }
+
+    await withSesameStub(async sesame => {
+        const result = await new CoordinateSanitizer({ resolverCache: false })
+            .registerResolver(sesame)
+            .sanitizeCoordinatesAsync('bogus');
+        assertInvalidPosition('bogus', 'bogus', 'ra', '400', result);
+    });
+});
+
+runner.test('sanitizeCoordinatesAsync: should time out slow resolvers and try the next one', async () => {
+    await withSesameStub(async sesame => {
+        const sanitizer = new CoordinateSanitizer({ resolver: 'bundled' })
+            .registerResolver(sesame, { priority: 1, timeout: 50 });
+
+        const slow = await sanitizer.sanitizeCoordinatesAsync('slow');
+        runner.assertEqual(slow.metadata.outputFormat, 'passthrough');
+        runner.assertEqual(slow.metadata.resolverErrors[0].error, 'Resolver "sesame" timed out after 50 ms');
+
+        // The resolver option comes after higher-priority resolvers
+        const bundled = await sanitizer.sanitizeCoordinatesAsync('Vega');
+        runner.assertEqual(bundled.metadata.object.source, 'bundled');
+    });
+});
+
+runner.test('registerResolver: should reject objects without a resolve method', () => {
+    let threw = false;
+    try {
+        new CoordinateSanitizer().registerResolver({ name: 'nothing' });
+    } catch (error) {
+        threw = error instanceof TypeError;
+    }
+    runner.assert(threw, 'Expected a TypeError');
+});
+
+runner.test('Resolver caches: LRU eviction and persistent file cache', async () => {
+    const lru = CoordinateSanitizer.createLRUCache({ maxSize: 2 });
+    lru.set('A', 1);
+    lru.set('B', 2);
+    lru.get('A');
+    lru.set('C', 3);
+    runner.assertEqual(lru.entries().map(([key]) => key).join(), 'A,C');
+
+    const fs = require('fs');
+    const path = require('path');
+    const file = path.join(require('os').tmpdir(), `coordinate-sanitizer-cache-${process.pid}.json`);
+    try {
+        const resolver = { name: 'once', calls: 0, resolve() { this.calls++; return { name: 'X', ra: 1, dec: 2 }; } };
+        const first = new CoordinateSanitizer({ resolverCache: CoordinateSanitizer.createFileCache(file) })
+            .registerResolver(resolver);
+        await first.sanitizeCoordinatesAsync('Target X');
+
+        const second = new CoordinateSanitizer({ resolverCache: CoordinateSanitizer.createFileCache(file) })
+            .registerResolver(resolver);
+        const result = await second.sanitizeCoordinatesAsync('target x');
+        runner.assertEqual(result.metadata.object.cached, true);
+        runner.assertEqual(resolver.calls, 1);
+        runner.assert(JSON.parse(fs.readFileSync(file, 'utf8')).TARGETX, 'Cache file should hold the entry');
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+});
+
+// Structured errors
+function spanText(input, result) {
+    const { start, end } = result.errorDetail.span;
+    return input.slice(start, end);
+}
+
+runner.test('Errors: should carry a code, component and span of the original input', () => {
+    const sanitizer = new CoordinateSanitizer();
+
+    const input = '  25h 00m 00s ;   +10° 00′ 00″';
+    const result = sanitizer.sanitizeCoordinates(input);
+    runner.assertEqual(result.errorDetail.code, 'RA_OUT_OF_RANGE');
+    runner.assertEqual(result.errorDetail.component, 'ra');
+    runner.assertEqual(result.errorDetail.params.value, 25);
+    runner.assertEqual(result.errorDetail.message, result.error);
+    runner.assertEqual(spanText(input, result), '25h 00m 00s');
+
+    const dec = sanitizer.sanitizeCoordinates('12:00:00, +95°00′00″ J2000');
+    runner.assertEqual(dec.errorDetail.code, 'DEC_OUT_OF_RANGE');
+    runner.assertEqual(spanText('12:00:00, +95°00′00″ J2000', dec), '+95°00′00″');
+
+    const format = sanitizer.sanitizeCoordinates('12:00:00, north');
+    runner.assertEqual(format.errorDetail.code, 'DEC_INVALID_FORMAT');
+    runner.assertEqual(spanText('12:00:00, north', format), 'north');
+
+    const frame = new CoordinateSanitizer().sanitizeCoordinates('l=121.17 b=-95');
+    runner.assertEqual(frame.errorDetail.code, 'LAT_OUT_OF_RANGE');
+    runner.assertEqual(spanText('l=121.17 b=-95', frame), '-95');
+
+    runner.assertEqual(sanitizer.sanitizeCoordinates('12:00:00, +10:00:00').errorDetail, null);
+});
+
+runner.test('Errors: should locate malicious content and ambiguous separators', () => {
+    const input = '12:00:00 <b>+10:00:00</b>';
+    const malicious = new CoordinateSanitizer().sanitizeCoordinates(input);
+    runner.assertEqual(malicious.errorDetail.code, 'MALICIOUS_INPUT');
+    runner.assertEqual(spanText(input, malicious), '<b>');
+
+    const strict = CoordinateSanitizer.createPreset('strict').sanitizeCoordinates(' 10 00 00  +20 00 00');
+    runner.assertEqual(strict.errorDetail.code, 'AMBIGUOUS_SEPARATOR');
+    runner.assertEqual(strict.errorDetail.component, 'separator');
+    runner.assertEqual(spanText(' 10 00 00  +20 00 00', strict), '10 00 00  +20 00 00');
+
+    const equinox = new CoordinateSanitizer({ equinox: 'X1' }).sanitizeCoordinates('12:00:00, +10:00:00');
+    runner.assertEqual(equinox.errorDetail.code, 'UNSUPPORTED_EQUINOX');
+    runner.assertEqual(equinox.errorDetail.span, null);
+
+    const motion = new CoordinateSanitizer().sanitizeCoordinates('12:00:00, +10:00:00', { pmRA: 'fast', pmDec: 0 });
+    runner.assertEqual(motion.errorDetail.code, 'INVALID_MOTION_VALUE');
+    runner.assertEqual(motion.errorDetail.component, 'motion');
+});
+
+runner.test('Errors: batch failures should report their code', () => {
+    const batch = new CoordinateSanitizer().sanitizeBatch(['25:00:00, +10:00:00', '', '12:00:00, +10:00:00']);
+    runner.assertEqual(batch.failures['ra-out-of-range'][0].code, 'RA_OUT_OF_RANGE');
+    runner.assertEqual(batch.failures['invalid-input'][0].code, 'INVALID_INPUT');
+    runner.assert(Object.isFrozen(CoordinateSanitizer.ERROR_CODES), 'Error codes should be read-only');
+});
+
+// Locales
+runner.test('Locale: should read decimal commas with ";" or whitespace between RA and DEC', () => {
+    const italian = new CoordinateSanitizer({ locale: 'it' });
+    for (const input of ['12,5; -45,75', '12,5 -45,75', '12,5 ; -45,75', '12,5, -45,75']) {
+        runner.assertEqual(italian.sanitizeCoordinates(input).coordinates, '12 30 00.000, -45 45 00.000', input);
+    }
+
+    const german = new CoordinateSanitizer({ locale: 'de-DE' });
+    runner.assertEqual(german.sanitizeCoordinates('12 30 00,5; +45 00 00,25').coordinates, '12 30 00.500, +45 00 00.250');
+    runner.assertEqual(german.sanitizeCoordinates('12:30:00,5 +45:00:00,25').coordinates, '12 30 00.500, +45 00 00.250');
+
+    // The default locale keeps the comma as the RA/DEC separator
+    runner.assertEqual(new CoordinateSanitizer().sanitizeCoordinates('12,5, -45,75').isValid, false);
+});
+
+runner.test('Locale: should understand localized unit words', () => {
+    const cases = [
+        ['it', '12 ore 30 minuti 15 secondi; +45 gradi 30 min 0 sec'],
+        ['de', '12 Std 30 Min 15 Sek; +45 Grad 30 Min 0 Sek'],
+        ['fr', '12 heures 30 minutes 15 secondes ; +45 degrés 30 minutes 0 secondes']
+    ];
+    for (const [locale, input] of cases) {
+        const result = new CoordinateSanitizer({ locale }).sanitizeCoordinates(input);
+        runner.assertEqual(result.coordinates, '12 30 15.000, +45 30 00.000', `${locale}: ${input}`);
+    }
+    // Words are only read as units after a number
+    const name = new CoordinateSanitizer({ locale: 'it' }).sanitizeCoordinates('Orione');
+    runner.assertEqual(name.metadata.inputFormat, 'object-name');
+
+    // Custom unit words are matched literally
+    const custom = new CoordinateSanitizer({
+        locale: { units: { h: ['(h)'], m: ['(m)', 'mn.'], s: ['(s)'], d: ['(deg)'] } }
+    });
+    runner.assertEqual(custom.sanitizeCoordinates('12 (h) 30 mn. 15 (s); +45 (deg) 30 (m) 0 (s)').coordinates,
+        '12 30 15.000, +45 30 00.000');
+    runner.assert(!custom.sanitizeCoordinates('12 (h) 30 mnx 15 (s); +45 (deg) 30 (m) 0 (s)').isValid,
+        '"." in a unit word is not a wildcard');
+});
+
+runner.test('Locale: should localize error messages and keep codes and spans', () => {
+    const input = '12:00:00; +95,5';
+    const german = new CoordinateSanitizer({ locale: 'de' }).sanitizeCoordinates(input);
+    runner.assertEqual(german.error, 'Dek außerhalb des Bereichs: 95,5 (muss zwischen -90 und +90 Grad liegen)');
+    runner.assertEqual(german.errorDetail.code, 'DEC_OUT_OF_RANGE');
+    runner.assertEqual(german.errorDetail.params.value, 95.5);
+    runner.assertEqual(input.slice(german.errorDetail.span.start, german.errorDetail.span.end), '+95,5');
+
+    const french = new CoordinateSanitizer({ locale: 'fr' }).sanitizeCoordinates('');
+    runner.assertEqual(french.error, "L'entrée doit être une chaîne non vide");
+
+    // Custom catalogs: missing codes fall back to English
+    const custom = new CoordinateSanitizer({
+        locale: { ...CoordinateSanitizer.LOCALES.it, messages: { RA_OUT_OF_RANGE: 'AR {value} oltre 24h' } }
+    });
+    runner.assertEqual(custom.sanitizeCoordinates('25:00:00; +10:00:00').error, 'AR 25 oltre 24h');
+    runner.assertEqual(custom.sanitizeCoordinates('12:00:00; nord').error, 'Invalid coordinates: Invalid DEC format: nord');
+
+    let threw = false;
+    try {
+        new CoordinateSanitizer({ locale: 'xx' });
+    } catch (error) {
+        threw = error.message.includes('Available locales: en, it, de, fr');
+    }
+    runner.assert(threw, 'Expected an error for an unknown locale');
+});
+
+// Sexagesimal component validation
+runner.test('Component validation: should reject minutes and seconds of 60 or more by default', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const cases = [
+        ['12:75:00, +10:00:00', 'RA_MINUTES_OVERFLOW', 'ra'],
+        ['12:30:99, +10:00:00', 'RA_SECONDS_OVERFLOW', 'ra'],
+        ['127500, +101010', 'RA_MINUTES_OVERFLOW', 'ra'],
+        ['12:00:00, -10:60:00', 'DEC_MINUTES_OVERFLOW', 'dec'],
+        ['12h 00m 00s, +10d 00m 60s', 'DEC_SECONDS_OVERFLOW', 'dec'],
+        ['12:00:00, +90:30:00', 'DEC_POLE_COMPONENTS', 'dec']
+    ];
+    for (const [input, code, component] of cases) {
+        const result = sanitizer.sanitizeCoordinates(input);
+        runner.assertEqual(result.isValid, false, input);
+        runner.assertEqual(result.errorDetail.code, code, input);
+        runner.assertEqual(result.errorDetail.component, component, input);
+    }
+
+    const result = sanitizer.sanitizeCoordinates('12:00:00, -10:60:00');
+    runner.assertEqual(result.error, 'DEC minutes out of range: 60 (must be below 60)');
+    runner.assertEqual(result.errorDetail.span.start, 10);
+
+    // Without validateRanges the pole is still checked
+    const loose = new CoordinateSanitizer({ validateRanges: false });
+    runner.assertEqual(loose.sanitizeCoordinates('12:00:00, -90:00:30').errorDetail.code, 'DEC_POLE_COMPONENTS');
+    runner.assertEqual(loose.sanitizeCoordinates('12:00:00, -90:00:00').isValid, true);
+});
+
+runner.test('Component validation: warn should accept the input and report warnings', () => {
+    const sanitizer = new CoordinateSanitizer({ componentValidation: 'warn' });
+    const input = '12h 75m 00s ;  -00° 30′ 90″';
+    const result = sanitizer.sanitizeCoordinates(input);
+    runner.assertEqual(result.isValid, true);
+    runner.assertEqual(result.coordinates, '13 15 00.000, -00 31 30.000');
+    runner.assertEqual(result.metadata.ra.minutes, 75, 'Components are kept as entered');
+    runner.assertEqual(result.warnings.map((warning) => warning.code).join(), 'RA_MINUTES_OVERFLOW,DEC_SECONDS_OVERFLOW');
+
+    const [ra, dec] = result.warnings;
+    runner.assertEqual(input.slice(ra.span.start, ra.span.end), '12h 75m 00s');
+    runner.assertEqual(input.slice(dec.span.start, dec.span.end), '-00° 30′ 90″');
+    runner.assertEqual(dec.params.value, 90);
+
+    runner.assertEqual(sanitizer.sanitizeCoordinates('12:00:00, +10:00:00').warnings.length, 0);
+});
+
+runner.test('Component validation: normalize should carry the overflow', () => {
+    const sanitizer = new CoordinateSanitizer({ componentValidation: 'normalize' });
+    const result = sanitizer.sanitizeCoordinates('12:75:90.5, -00:75:30');
+    runner.assertEqual(result.coordinates, '13 16 30.500, -01 15 30.000');
+    runner.assertEqual(result.metadata.ra.hours, 13);
+    runner.assertEqual(result.metadata.ra.minutes, 16);
+    runner.assertEqual(result.metadata.ra.seconds, 30.5);
+    runner.assertEqual(result.metadata.dec.degrees, -1);
+    runner.assertEqual(result.warnings.length, 3);
+
+    // Carrying may still leave the valid range
+    const outside = sanitizer.sanitizeCoordinates('23:60:00, +10:00:00');
+    runner.assertEqual(outside.errorDetail.code, 'RA_OUT_OF_RANGE');
+
+    const italian = new CoordinateSanitizer({ componentValidation: 'normalize', locale: 'it' });
+    const [warning] = italian.sanitizeCoordinates('12:75:00; +10:00:00').warnings;
+    runner.assertEqual(warning.message, 'Minuti di AR fuori intervallo: 75 (devono essere inferiori a 60)');
+});
+
+runner.test('Component validation: should reject unknown modes', () => {
+    let error = null;
+    try {
+        new CoordinateSanitizer({ componentValidation: 'ignore' });
+    } catch (e) {
+        error = e;
+    }
+    runner.assert(error instanceof TypeError, 'Expected a TypeError');
+    runner.assertEqual(error.message, 'Unknown componentValidation: "ignore". Available values: reject, warn, normalize');
+});
+
+// Warnings
+runner.test('Warnings: should flag accepted but suspicious input', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const codes = (input) => sanitizer.sanitizeCoordinates(input).warnings.map((warning) => warning.code).join();
+
+    runner.assertEqual(codes('12.5, 45.2'), 'RA_UNIT_AMBIGUOUS');
+    runner.assertEqual(codes('123.5, 45.2'), '', 'Above 24 the value can only be degrees');
+    runner.assertEqual(codes('12.5h, 45.2'), '', 'An explicit unit is not ambiguous');
+    runner.assertEqual(new CoordinateSanitizer({ raUnit: 'hours' }).sanitizeCoordinates('12.5, 45.2').warnings.length, 0);
+
+    runner.assertEqual(codes('123045, +451230'), 'COMPACT_FORMAT_GUESSED,COMPACT_FORMAT_GUESSED');
+    runner.assertEqual(codes('12 30 45 +95 00 00'), 'OBJECT_NAME_FALLBACK');
+    runner.assertEqual(codes('M31'), '', 'Object names are not a fallback');
+    runner.assertEqual(codes('12:30:45.5, +45:12:30'), '');
+
+    const input = '12 30 45.12345 +45 12 30';
+    const [warning] = sanitizer.sanitizeCoordinates(input).warnings;
+    runner.assertEqual(warning.code, 'PRECISION_TRUNCATED');
+    runner.assertEqual(warning.component, 'ra');
+    runner.assertEqual(input.slice(warning.span.start, warning.span.end), '12 30 45.12345');
+    runner.assertEqual(warning.params.digits, 5);
+});
+
+runner.test('Warnings: precision should follow the output format', () => {
+    const decimal = new CoordinateSanitizer({ outputFormat: 'decimal', precision: 4, raUnit: 'hours' });
+    runner.assertEqual(decimal.sanitizeCoordinates('12.1234h, 45.12345').warnings.map((warning) => warning.component).join(), 'dec');
+    runner.assertEqual(decimal.sanitizeCoordinates('12:30:45, +45:12:30').warnings.length, 0);
+    runner.assertEqual(decimal.sanitizeCoordinates('12:30:45.5, +45:12:30').warnings[0].code, 'PRECISION_TRUNCATED');
+
+    // Only decimals that are dropped are flagged
+    const coarse = new CoordinateSanitizer({ outputFormat: 'decimal', precision: 2 });
+    runner.assertEqual(coarse.sanitizeCoordinates('12:30:45, +45:12:30').warnings.length, 0);
+    runner.assertEqual(coarse.sanitizeCoordinates('12:30:45.1, +45:12:30').warnings.length, 1);
+});
+
+runner.test('Warnings: sanitizeBatch should group rows to review by code', () => {
+    const sanitizer = new CoordinateSanitizer({ locale: 'it' });
+    const batch = sanitizer.sanitizeBatch(['M31', '12.5, 45.2', '123045, +451230', '25:00:00, +10:00:00']);
+    runner.assertEqual(batch.summary.withWarnings, 2);
+    runner.assertEqual(Object.keys(batch.warnings).join(), 'RA_UNIT_AMBIGUOUS,COMPACT_FORMAT_GUESSED');
+    runner.assertEqual(batch.warnings.COMPACT_FORMAT_GUESSED.length, 2);
+    runner.assertEqual(batch.warnings.RA_UNIT_AMBIGUOUS[0].index, 1);
+    runner.assertEqual(batch.warnings.RA_UNIT_AMBIGUOUS[0].input, '12.5, 45.2');
+    runner.assertEqual(batch.warnings.RA_UNIT_AMBIGUOUS[0].message, batch.items[1].result.warnings[0].message);
+    runner.assert(batch.items[1].result.warnings[0].message.includes('12,5'), 'Warnings are localized');
+});
+
+// Interpretations
+runner.test('interpretCoordinates: should rank the readings of bare numbers', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const { best, alternatives } = sanitizer.interpretCoordinates('12.5 45.2');
+    runner.assertEqual(best.reading, 'hours-degrees');
+    runner.assertEqual(best.result.coordinates, '12 30 00.000, +45 12 00.000');
+    runner.assertEqual(best.explanation, 'RA 12.5 as decimal hours; DEC 45.2 as decimal degrees');
+    runner.assertEqual(alternatives.map(({ reading }) => reading).join(), 'degrees-degrees,sexagesimal,compact');
+    runner.assertEqual(alternatives[0].result.coordinates, '00 50 00.000, +45 12 00.000');
+    runner.assert(Math.abs(best.confidence + alternatives[0].confidence - 1) < 1e-9, 'Confidences add up to 1');
+    runner.assert(best.confidence > alternatives[0].confidence);
+
+    // The raUnit option, or a value of 24 or more, favours degrees
+    const degrees = new CoordinateSanitizer({ raUnit: 'degrees' }).interpretCoordinates('12.5 45.2');
+    runner.assertEqual(degrees.best.reading, 'degrees-degrees');
+    const large = sanitizer.interpretCoordinates('123.4 -12.3');
+    runner.assertEqual(large.best.reading, 'degrees-degrees');
+    runner.assertEqual(large.best.confidence, 1);
+    const hours = large.alternatives.find(({ reading }) => reading === 'hours-degrees');
+    runner.assertEqual(hours.confidence, 0);
+    runner.assertEqual(hours.result.errorDetail.code, 'RA_OUT_OF_RANGE');
+
+    // Readings the numbers do not fit are listed too, with their error
+    const compact = sanitizer.interpretCoordinates('123456 -123456');
+    const readings = [compact.best, ...compact.alternatives].map(({ reading, confidence, result }) =>
+        [reading, confidence, result.isValid ? result.coordinates : result.errorDetail.code].join('|'));
+    runner.assertEqual(readings.join('\n'), [
+        'compact|1|12 34 56.000, -12 34 56.000',
+        'sexagesimal|0|INSUFFICIENT_COMPONENTS',
+        'hours-degrees|0|RA_INVALID_FORMAT',
+        'degrees-degrees|0|RA_INVALID_FORMAT'
+    ].join('\n'));
+    const { span } = compact.alternatives[1].result.errorDetail;
+    runner.assertEqual('123456 -123456'.slice(span.start, span.end), '123456');
+    runner.assertEqual(sanitizer.interpretCoordinates('10 20 30 40 50 59').best.result.coordinates, '10 20 30.000, +40 50 59.000');
+});
+
+runner.test('interpretCoordinates: should fall back to the input as entered', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const named = sanitizer.interpretCoordinates('M31');
+    runner.assertEqual(named.best.reading, 'as-entered');
+    runner.assertEqual(named.best.confidence, 1);
+    runner.assertEqual(named.best.result.metadata.inputFormat, 'object-name');
+    runner.assertEqual(named.alternatives.length, 0);
+
+    // No valid reading: the rejected one is still listed, with its error
+    const overflow = sanitizer.interpretCoordinates('10 20 30 40 50 60');
+    runner.assertEqual(overflow.best.reading, 'as-entered');
+    runner.assertEqual(overflow.alternatives[0].reading, 'sexagesimal');
+    runner.assertEqual(overflow.alternatives[0].result.errorDetail.code, 'DEC_SECONDS_OVERFLOW');
+
+    const invalid = sanitizer.interpretCoordinates('25:00:00, +10:00:00');
+    runner.assertEqual(invalid.best.confidence, 0);
+    runner.assertEqual(invalid.best.result.isValid, false);
+});
+
+runner.test('interpretCoordinates: should explain readings in the locale', () => {
+    const input = '12,5; 45,2';
+    const { best } = new CoordinateSanitizer({ locale: 'it' }).interpretCoordinates(input);
+    runner.assertEqual(best.explanation, 'AR 12,5 in ore decimali; Dec 45,2 in gradi decimali');
+    const [warning] = new CoordinateSanitizer({ locale: 'it', outputFormat: 'decimal', precision: 0 })
+        .interpretCoordinates(input).best.result.warnings;
+    runner.assertEqual(input.slice(warning.span.start, warning.span.end), '12,5', 'Spans refer to the input');
+});
+
+// Labelled input
+runner.test('Labelled input: should parse RA and DEC labels in either order', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const expected = '12 34 56.000, +12 34 56.000';
+    const inputs = [
+        'RA=12:34:56 DEC=+12:34:56',
+        'RA: 12:34:56 Dec: +12:34:56',
+        'α = 12h34m56s δ = +12°34′56″',
+        'RAJ2000 12 34 56 DEJ2000 +12 34 56',
+        'Dec=+12:34:56 RA=12:34:56',
+        'Decl: +12 34 56, R.A.: 12 34 56',
+        'R.A. 12 34 56 Decl. +12 34 56',
+        'Dec.=+12:34:56, R.A.=12:34:56'
+    ];
+    for (const input of inputs) {
+        runner.assertEqual(sanitizer.sanitizeCoordinates(input).coordinates, expected, input);
+    }
+
+    const query = sanitizer.sanitizeCoordinates('?ra=188.73&dec=-12.58');
+    runner.assertEqual(query.coordinates, '12 34 55.200, -12 34 48.000');
+    runner.assertEqual(query.metadata.ra.unit, 'degrees');
+
+    // Labels work in strict mode: they are not ambiguous
+    const strict = CoordinateSanitizer.createPreset('strict');
+    runner.assertEqual(strict.sanitizeCoordinates('Dec=-05:23:28 RA=05:35:17').coordinates, '05 35 17.000, -05 23 28.000');
+});
+
+runner.test('Labelled input: should use label equinoxes and locate errors', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const b1950 = sanitizer.sanitizeCoordinates('RAB1950=12:34:56, DEB1950=+12:34:56');
+    runner.assertEqual(b1950.metadata.sourceEquinox, 'B1950');
+    runner.assertEqual(sanitizer.sanitizeCoordinates('RA (J2000) = 12.5h Dec = -45.75').metadata.sourceEquinox, 'J2000');
+
+    const input = 'Dec=+95:00:00 RA=12:00:00';
+    const { errorDetail } = sanitizer.sanitizeCoordinates(input);
+    runner.assertEqual(errorDetail.code, 'DEC_OUT_OF_RANGE');
+    runner.assertEqual(input.slice(errorDetail.span.start, errorDetail.span.end), '+95:00:00');
+
+    // A single label is not a labelled pair
+    runner.assertEqual(sanitizer.sanitizeCoordinates('Alpha Centauri').metadata.inputFormat, 'object-name');
+});
+
+runner.test('Labelled input: should reject duplicated and unpaired labels', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const cases = [
+        ['RA=12:34:56 RA=13:00:00 +12:34:56', 'LABEL_DUPLICATED', 'ra', 'RA='],
+        ['Dec=+12:34:56 RA=12:34:56 Dec=-01:00:00', 'LABEL_DUPLICATED', 'dec', 'Dec='],
+        ['RA=12:34:56 +12:34:56', 'LABEL_MISSING', 'dec', 'RA='],
+        ['  DEC: +12:34:56 12:34:56', 'LABEL_MISSING', 'ra', 'DEC:']
+    ];
+    for (const [input, code, component, label] of cases) {
+        const result = sanitizer.sanitizeCoordinates(input);
+        runner.assert(!result.isValid, `${input} should be rejected`);
+        runner.assertEqual(result.errorDetail.code, code, input);
+        runner.assertEqual(result.errorDetail.component, component, input);
+        runner.assertEqual(input.slice(result.errorDetail.span.start, result.errorDetail.span.end), label, input);
+    }
+    runner.assertEqual(sanitizer.sanitizeCoordinates('RA=12:34:56 +12:34:56').error, 'Labelled coordinates: RA has no matching DEC label');
+});
+
+// Output templates
+runner.test('Output templates: should format output and detect already-valid input', () => {
+    const template = '{ra:hh}:{ra:mm}:{ra:ss.2} {dec:+dd}:{dec:mm}:{dec:ss.1}';
+    const sanitizer = new CoordinateSanitizer({ outputFormat: template });
+    const result = sanitizer.sanitizeCoordinates('12h 34m 56.789s, -5° 6\' 7.89"');
+    runner.assertEqual(result.coordinates, '12:34:56.79 -05:06:07.9');
+    runner.assertEqual(result.metadata.outputFormat, template);
+
+    const again = sanitizer.sanitizeCoordinates(result.coordinates);
+    runner.assertEqual(again.metadata.inputFormat, 'already-valid');
+    runner.assertEqual(again.coordinates, result.coordinates);
+
+    // The named formats are templates too
+    runner.assertEqual(CoordinateSanitizer.OUTPUT_TEMPLATES.aladin, '{ra:hh} {ra:mm} {ra:ss.3}, {dec:+dd} {dec:mm} {dec:ss.3}');
+    const aladin = new CoordinateSanitizer({ outputFormat: CoordinateSanitizer.OUTPUT_TEMPLATES.aladin });
+    runner.assertEqual(aladin.sanitizeCoordinates('12:30:00 +45:00:00').coordinates, '12 30 00.000, +45 00 00.000');
+});
+
+runner.test('Output templates: should carry rounding, sign and pad per field', () => {
+    const carry = new CoordinateSanitizer({ outputFormat: '{ra:hh}h{ra:mm}m{ra:ss}s {dec:dd}d{dec:mm}m' });
+    runner.assertEqual(carry.sanitizeCoordinates('11:59:59.7, -0:59:59.9').coordinates, '12h00m00s -01d00m');
+    runner.assertEqual(carry.sanitizeCoordinates('23:59:59.7, +89:59:59.9').coordinates, '00h00m00s 90d00m', 'RA wraps at 24h');
+
+    // Only rounding wraps: without range validation, 25h stays 25h
+    const loose = new CoordinateSanitizer({ validateRanges: false });
+    const outOfRange = loose.sanitizeCoordinates('25h 00m 00s, +10 00 00');
+    runner.assertEqual(outOfRange.coordinates, '25 00 00.000, +10 00 00.000');
+    runner.assertEqual(outOfRange.metadata.ra.decimal, 25);
+    const decimal = new CoordinateSanitizer({ validateRanges: false, outputFormat: 'decimal' });
+    runner.assertEqual(decimal.sanitizeCoordinates('25h 00m 00s, +10 00 00').coordinates, '25.000000, 10.000000');
+
+    const spaced = new CoordinateSanitizer({ outputFormat: '{ra:h.3} {dec: d.2}' });
+    runner.assertEqual(spaced.sanitizeCoordinates('1:30:00, +7:30:00').coordinates, '1.500  7.50');
+    runner.assertEqual(spaced.sanitizeCoordinates('1:30:00, -7:30:00').coordinates, '1.500 -7.50');
+
+    const degrees = new CoordinateSanitizer({ outputFormat: '{ra:ddd.*}|{dec:+dd.*}', precision: 2 });
+    runner.assertEqual(degrees.sanitizeCoordinates('1:00:00, 5').coordinates, '015.00|+05.00');
+    runner.assertEqual(degrees.sanitizeCoordinates('015.00|+05.00').metadata.inputFormat, 'already-valid');
+
+    const braces = new CoordinateSanitizer({ outputFormat: '{{{ra:h.1}, {dec:d.1}}}' });
+    runner.assertEqual(braces.sanitizeCoordinates('12:30:00 +45:00:00').coordinates, '{12.5, 45.0}');
+});
+
+runner.test('Output templates: should reject malformed templates', () => {
+    const templates = {
+        '{ra:hh} {ra:mm}': 'no DEC field',
+        '{ra:hh}:{ra:ss} {dec:dd}': 'consecutive',
+        '{ra:hh.1}:{ra:mm} {dec:dd}': 'smallest',
+        '{ra:hh} {dec:hh}': 'DEC cannot be in hours',
+        '{ra:hh} {dec:dd}:{dec:+mm}': 'largest unit',
+        '{ra:hh} {dec:xx}': 'field',
+        '{ra:hh} {dec:dd': 'unmatched brace'
+    };
+    for (const [template, message] of Object.entries(templates)) {
+        let error = null;
+        try {
+            new CoordinateSanitizer({ outputFormat: template });
+        } catch (e) {
+            error = e;
+        }
+        runner.assert(error && error.message.includes(message), `${template} should throw "${message}"`);
+    }
+});
+
+runner.test('Output templates: should warn when input is finer than the template', async () => {
+    const sanitizer = new CoordinateSanitizer({ outputFormat: '{ra:hh}:{ra:mm}:{ra:ss.1} {dec:+dd}:{dec:mm}:{dec:ss}' });
+    const fine = sanitizer.sanitizeCoordinates('12:30:00.12 +45:00:00.5');
+    runner.assertEqual(fine.warnings.map((warning) => warning.component).join(), 'ra,dec');
+    runner.assertEqual(sanitizer.sanitizeCoordinates('12:30:00.1 +45:00:00').warnings.length, 0);
+
+    const cli = await runCli(['-f', '{ra:hh}{ra:mm} {dec:+dd}{dec:mm}', '12:30:00, -45:30:00']);
+    runner.assertEqual(cli.stdout, '1230 -4530\n');
+    runner.assertEqual((await runCli(['-f', '{ra:hh}', '1'])).code, 2);
+});
+
+// Telescope-control output formats
+runner.test('Protocol output: should format LX200, INDI and ASCOM targets', async () => {
+    const input = '12h 34m 56.7s, -5° 06\' 07.8"';
+    const format = (options) => new CoordinateSanitizer(options).sanitizeCoordinates(input).coordinates;
+    runner.assertEqual(format({ outputFormat: 'lx200' }), ':Sr12:34:57#:Sd-05*06:08#');
+    runner.assertEqual(format({ outputFormat: 'lx200-low' }), ':Sr12:34.9#:Sd-05*06#');
+    runner.assertEqual(format({ outputFormat: 'ascom', precision: 4 }), 'RightAscension=12.5824&Declination=-5.1022');
+    runner.assertEqual(
+        format({ outputFormat: 'indi', indiDevice: 'Mount "A" & {B}' }),
+        '<newNumberVector device="Mount &quot;A&quot; &amp; {B}" name="EQUATORIAL_COORD">' +
+        '<oneNumber name="RA">12.582417</oneNumber><oneNumber name="DEC">-5.102167</oneNumber></newNumberVector>'
+    );
+    runner.assertContains(format({ outputFormat: 'indi' }), 'device="Telescope Simulator"');
+
+    // The property follows the target equinox, so the output reads back as written
+    const m31 = '00 42 44.300, +41 16 09.000';
+    const indi = new CoordinateSanitizer({ outputFormat: 'indi', precision: 8 }).sanitizeCoordinates(m31).coordinates;
+    runner.assertContains(indi, 'name="EQUATORIAL_COORD"');
+    runner.assertEqual(new CoordinateSanitizer().sanitizeCoordinates(indi).coordinates, m31);
+    const jnow = { outputFormat: 'indi', precision: 8, targetEquinox: 'JNow', observationDate: '2026-01-01' };
+    const eod = new CoordinateSanitizer(jnow).sanitizeCoordinates(m31).coordinates;
+    runner.assertContains(eod, 'name="EQUATORIAL_EOD_COORD"');
+    const back = new CoordinateSanitizer({ observationDate: '2026-01-01' }).sanitizeCoordinates(eod);
+    runner.assertEqual(back.metadata.sourceEquinox, 'J2026.000');
+    runner.assertEqual(back.coordinates, m31);
+
+    const lx200 = new CoordinateSanitizer({ outputFormat: 'lx200' });
+    runner.assertEqual(lx200.sanitizeCoordinates(':Sr23:59:59#:Sd+89*59:59#').metadata.inputFormat, 'already-valid');
+    runner.assertEqual(lx200.sanitizeCoordinates('23:59:59.6, +89:59:59.6').coordinates, ':Sr00:00:00#:Sd+90*00:00#');
+
+    const cli = await runCli(['-f', 'indi', '--indi-device', 'iOptron CEM40', '-p', '2', '12:30:00, +45:00:00']);
+    runner.assertContains(cli.stdout, 'device="iOptron CEM40"');
+    runner.assertContains(cli.stdout, '<oneNumber name="RA">12.50</oneNumber>');
+});
+
+// Telescope-protocol input
+runner.test('Protocol input: should read LX200 replies and commands', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const expected = '12 34 56.000, +12 34 56.000';
+    for (const input of ['12:34:56# +12*34:56#', '12:34:56#+12*34:56#', ':Sr12:34:56#:Sd+12*34:56#', '12:34:56, +12*34:56']) {
+        runner.assertEqual(sanitizer.sanitizeCoordinates(input).coordinates, expected, input);
+    }
+    const low = sanitizer.sanitizeCoordinates('12:34.9#-05*06#');
+    runner.assertEqual(low.coordinates, '12 34 54.000, -05 06 00.000');
+    runner.assertEqual(low.metadata.protocol.name, 'lx200');
+
+    // "#" is an explicit separator, and our own LX200 output reads back
+    const strict = CoordinateSanitizer.createPreset('strict');
+    runner.assertEqual(strict.sanitizeCoordinates('05:35:17# -05*23:28#').coordinates, '05 35 17.000, -05 23 28.000');
+    const lx200 = new CoordinateSanitizer({ outputFormat: 'lx200' }).sanitizeCoordinates('12:34:56.7, -5:06:07.8').coordinates;
+    runner.assertEqual(sanitizer.sanitizeCoordinates(lx200).coordinates, '12 34 57.000, -05 06 08.000');
+
+    const input = '12:34:56# +95*00:00#';
+    const { errorDetail } = sanitizer.sanitizeCoordinates(input);
+    runner.assertEqual(input.slice(errorDetail.span.start, errorDetail.span.end), '+95*00:00#');
+});
+
+runner.test('Protocol input: should read INDI number vectors', () => {
+    const vector = (name, ra, dec, extra = '') =>
+        `<setNumberVector device="EQMod Mount" name="${name}"${extra}>\n` +
+        `  <oneNumber name="RA">\n    ${ra}\n  </oneNumber>\n` +
+        `  <oneNumber name="DEC">${dec}</oneNumber>\n</setNumberVector>`;
+    const sanitizer = new CoordinateSanitizer();
+    const result = sanitizer.sanitizeCoordinates(vector('EQUATORIAL_COORD', '12:34:56.7', '-5.102167'));
+    runner.assertEqual(result.coordinates, '12 34 56.700, -05 06 07.801');
+    runner.assertEqual(result.metadata.protocol.device, 'EQMod Mount');
+    runner.assertEqual(result.metadata.protocol.property, 'EQUATORIAL_COORD');
+    runner.assertEqual(result.warnings.length, 0, 'INDI RA is in hours');
+
+    // Properties "of date" are JNow
+    const now = new CoordinateSanitizer({ targetEquinox: 'JNow', observationDate: '2026-01-01' });
+    const eod = now.sanitizeCoordinates(vector('EQUATORIAL_EOD_COORD', '12.5', '45'));
+    runner.assertEqual(eod.coordinates, '12 30 00.000, +45 00 00.000');
+    runner.assertEqual(eod.metadata.sourceEquinox, 'J2026.000');
+    const precessed = new CoordinateSanitizer({ observationDate: '2026-01-01' }).sanitizeCoordinates(vector('EQUATORIAL_EOD_COORD', '12.5', '45'));
+    runner.assertEqual(precessed.metadata.targetEquinox, 'J2000');
+    runner.assert(precessed.coordinates !== eod.coordinates, 'JNow is precessed to J2000');
+
+    // Errors point into the XML; other markup is still malicious
+    const outOfRange = vector('EQUATORIAL_COORD', '25', '45');
+    const { errorDetail } = sanitizer.sanitizeCoordinates(outOfRange);
+    runner.assertEqual(outOfRange.slice(errorDetail.span.start, errorDetail.span.end), '25');
+    for (const input of [vector('EQUATORIAL_COORD', '1', '2', ' onload="alert(1)"'), vector('EQUATORIAL_COORD', '1', '2</oneNumber><script>x</script><oneNumber name="x">')]) {
+        runner.assertEqual(sanitizer.sanitizeCoordinates(input).errorDetail.code, 'MALICIOUS_INPUT');
+    }
+});
+
+runner.test('Protocol input: should decode Stellarium binary messages', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const time = '00 00 00 00 00 00 00 00';
+    const goto = sanitizer.sanitizeCoordinates(`14 00 00 00 ${time} 00 00 00 80 00 00 00 e0`);
+    runner.assertEqual(goto.coordinates, '12 00 00.000, -45 00 00.000');
+    runner.assertEqual(goto.metadata.protocol.message, 'goto');
+
+    const position = sanitizer.sanitizeCoordinates(`0x18000000${time.replace(/ /g, '')}000000400000002000000000`);
+    runner.assertEqual(position.coordinates, '06 00 00.000, +45 00 00.000');
+    runner.assertEqual(position.metadata.protocol.status, 0);
+
+    // The length must match, and DEC is checked
+    runner.assertEqual(sanitizer.sanitizeCoordinates(`15 00 00 00 ${time} 00 00 00 80 00 00 00 20`).metadata.protocol, undefined);
+    runner.assertEqual(sanitizer.sanitizeCoordinates(`14 00 00 00 ${time} 00 00 00 80 00 00 00 50`).errorDetail.code, 'DEC_OUT_OF_RANGE');
+});
+
+// Structured output and serialization
+runner.test('Object output: should give RA and DEC as numbers', () => {
+    const sanitizer = new CoordinateSanitizer({ outputFormat: 'object', precision: 4 });
+    const result = sanitizer.sanitizeCoordinates('12h 34m 56.7s, -0° 30\' 07.8"');
+    runner.assertEqual(JSON.stringify(result.coordinates), JSON.stringify({
+        ra: { deg: 188.7363, hours: 12.5824, h: 12, m: 34, s: 56.7 },
+        dec: { deg: -0.5022, d: 0, m: 30, s: 7.8, sign: '-' }
+    }));
+    runner.assertEqual(result.warnings.length, 0);
+    runner.assertEqual(sanitizer.sanitizeCoordinates('23:59:59.9999 +10 00 00').coordinates.ra.h, 0);
+    runner.assertEqual(sanitizer.isValidFormat('12 34 56.700, -00 30 07.800'), false);
+
+    const table = sanitizer.sanitizeTable('name,ra,dec\nA,12:00:00,+10:00:00\n');
+    runner.assertContains(table.output, 'A,12:00:00,+10:00:00,180,10,true,');
+});
+
+runner.test('Already-valid input: should be validated and carry RA and DEC', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const valid = sanitizer.sanitizeCoordinates('12 30 00.000, +45 00 00.000');
+    runner.assertEqual(valid.metadata.inputFormat, 'already-valid');
+    runner.assertEqual(valid.metadata.ra.decimal, 12.5);
+    runner.assertEqual(valid.metadata.dec.decimal, 45);
+    runner.assertEqual(sanitizer.sanitizeCoordinates('25 00 00.000, +45 00 00.000').errorDetail.code, 'RA_OUT_OF_RANGE');
+    runner.assertEqual(sanitizer.sanitizeCoordinates('12 75 00.000, +45 00 00.000').errorDetail.code, 'RA_MINUTES_OVERFLOW');
+});
+
+runner.test('Serialization: should write JSON, XML and VOTable documents', () => {
+    const sanitizer = new CoordinateSanitizer({ precision: 3 });
+    const batch = sanitizer.sanitizeBatch(['12:30:00, +45:00:00', 'Vega <b>']);
+    const records = JSON.parse(sanitizer.serialize(batch));
+    runner.assertEqual(records.length, 2);
+    runner.assertEqual(records[0].ra.deg, 187.5);
+    runner.assertEqual(records[0].equinox, 'J2000');
+    runner.assertEqual(records[1].error.code, 'MALICIOUS_INPUT');
+    runner.assertEqual(JSON.parse(sanitizer.serialize(batch.items[0].result)).dec.sign, '+');
+
+    const xml = sanitizer.serialize(batch, 'xml');
+    runner.assertContains(xml, '<ra deg="187.5" hours="12.5" h="12" m="30" s="0"/>');
+    runner.assertContains(xml, '<input>Vega &lt;b&gt;</input>');
+
+    const fk4 = new CoordinateSanitizer({ targetEquinox: 'B1950' });
+    const votable = fk4.serialize([fk4.sanitizeCoordinates('12:30:00, +45:00:00')], 'votable');
+    runner.assertContains(votable, '<COOSYS ID="system" system="FK4" equinox="B1950"/>');
+    runner.assertContains(votable, '<TR><TD>0</TD><TD/><TD>T</TD>');
+    runner.assertEqual(CoordinateSanitizer.SERIALIZATION_FORMATS.join(), 'json,xml,votable');
+    let threw = false;
+    try {
+        sanitizer.serialize(batch, 'yaml');
+    } catch (error) {
+        threw = true;
+    }
+    runner.assert(threw, 'Expected an error');
+});
+
+runner.test('Serialization: should be available from the CLI', async () => {
+    const xml = await runCli(['-o', 'xml', '12:30:00, +45:00:00', '12:30:00, +95:00:00']);
+    runner.assertEqual(xml.code, 1);
+    runner.assertContains(xml.stdout, '<coordinate index="1" valid="false">');
+    const votable = await runCli(['-o', 'votable', '12:30:00, +45:00:00']);
+    runner.assertContains(votable.stdout, '<TD>187.5</TD><TD>45</TD>');
+    const object = await runCli(['-f', 'object', '12:30:00, +45:00:00']);
+    runner.assertEqual(JSON.parse(object.stdout).ra.hours, 12.5);
+});
+
+// Angular separation and offsets
+runner.test('Angles: should measure separations, position angles and RA differences', () => {
+    const { angularSeparation, positionAngle, raDifference } = CoordinateSanitizer;
+    runner.assertEqual(angularSeparation(0, 0, 90, 0), 90);
+    runner.assertEqual(angularSeparation(10, 20, 190, -20), 180);
+    // 1 mas apart: the Vincenty formula keeps tiny separations exact
+    runner.assertEqual((angularSeparation(10, 41, 10, 41 + 1 / 3600000) * 3600000).toFixed(6), '1.000000');
+    runner.assertEqual(positionAngle(0, 0, 0, 10), 0);
+    runner.assertEqual(positionAngle(0, 0, 10, 0), 90);
+    runner.assertEqual(positionAngle(0, 0, 350, 0), 270);
+    runner.assertEqual(raDifference(350, 10), 20);
+    runner.assertEqual(raDifference(10, 350), -20);
+});
+
+runner.test('Angles: should offset positions along great circles', () => {
+    const { angularSeparation, positionAngle, offsetPosition } = CoordinateSanitizer;
+    const moved = offsetPosition(83.6, 22.01, 0.5, 37);
+    runner.assertEqual(angularSeparation(83.6, 22.01, moved.ra, moved.dec).toFixed(9), '0.500000000');
+    runner.assertEqual(positionAngle(83.6, 22.01, moved.ra, moved.dec).toFixed(9), '37.000000000');
+    // East across 0h, and north over the pole
+    runner.assertEqual(offsetPosition(359.5, 0, 1, 90).ra.toFixed(9), '0.500000000');
+    const overPole = offsetPosition(10, 89.5, 1, 0);
+    runner.assertEqual(overPole.ra, 190);
+    runner.assertEqual(overPole.dec.toFixed(9), '89.500000000');
+});
+
+runner.test('Angles: should compare and offset sanitized positions', () => {
+    const sanitizer = new CoordinateSanitizer();
+    const across = sanitizer.separation('23:59:00, +00:00:00', '00:01:00, +00:00:00');
+    runner.assertEqual(across.separation.toFixed(9), '0.500000000');
+    runner.assertEqual(across.positionAngle.toFixed(9), '90.000000000');
+    runner.assertEqual(across.raDifference, 0.5);
+    runner.assertEqual(across.decDifference, 0);
+
+    const dither = sanitizer.offsetCoordinates('12:00:00, +00:00:00', 1 / 60, 90);
+    runner.assertEqual(dither.coordinates, '12 00 04.000, +00 00 00.000');
+    runner.assertEqual(dither.metadata.offset.positionAngle, 90);
+    runner.assertEqual(sanitizer.separation(dither, '12:00:00, +00:00:00').positionAngle.toFixed(6), '270.000000');
+    runner.assertEqual(sanitizer.offsetCoordinates('12:00:00, +95:00:00', 1, 0).errorDetail.code, 'DEC_OUT_OF_RANGE');
+    runner.assertEqual(sanitizer.offsetCoordinates('Vega', 1, 0).errorDetail.code, 'NO_COORDINATES');
+    for (const [separation, angle] of [[NaN, 0], [undefined, 0], [1, Infinity], [1, '90'], [1]]) {
+        let error = null;
+        try {
+            sanitizer.offsetCoordinates('12:00:00, +00:00:00', separation, angle);
+        } catch (e) {
+            error = e;
+        }
+        runner.assert(error instanceof TypeError, `Should throw a TypeError for ${separation}, ${angle}`);
+        runner.assertContains(error.message, 'must be a finite number');
+    }
+
+    // Offsets stay in the target equinox
+    const b1950 = new CoordinateSanitizer({ targetEquinox: 'B1950' });
+    const target = b1950.sanitizeCoordinates('12:00:00, +45:00:00');
+    runner.assertEqual(b1950.offsetCoordinates(target, 0, 0).coordinates, target.coordinates);
+
+    for (const [from, to] of [['Vega', '12:00:00, +45:00:00'], [target, '12:00:00, +45:00:00']]) {
+        let threw = false;
+        try {
+            sanitizer.separation(from, to);
+        } catch (error) {
+            threw = true;
+        }
+        runner.assert(threw, 'Expected an error');
+    }
+});
+
 // Run all tests
 runner.run().catch(error => {
     console.error('Test runner failed:', error);
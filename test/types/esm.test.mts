@@ -0,0 +1,20 @@
+// Type-level tests for src/index.d.mts (ES module entry).
+
+import CoordinateSanitizer, {
+    CoordinateSanitizer as Named,
+    PRESETS,
+    ERROR_CODES,
+    decimalToDMS,
+    propagate,
+    createSesameResolver
+} from '../../src/index.mjs';
+import type { SanitizationResult, PresetName, ErrorCode } from '../../src/index.mjs';
+
+const sanitizer: Named = new CoordinateSanitizer(PRESETS.decimal);
+const result: SanitizationResult = sanitizer.sanitizeCoordinates('M31');
+const presets: PresetName[] = ['aladin', 'decimal', 'loose', 'strict'];
+const dms: { degrees: number; minutes: number; seconds: number } = decimalToDMS(-12.5);
+const moved: { ra: number; dec: number } = propagate(269.45, 4.69, { pmRA: -798.58, pmDec: 10328.12 }, 16);
+const sesame = createSesameResolver({ fetch: globalThis.fetch });
+const codes: ReadonlyArray<ErrorCode> = ERROR_CODES;
+void result, presets, dms, moved, sesame, codes;
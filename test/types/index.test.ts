@@ -0,0 +1,173 @@
+// Type-level tests for src/index.d.ts (CommonJS entry).
+// Checked with `npm run test:types`; nothing here is executed.
+
+import CoordinateSanitizer = require('../../src/index.js');
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2 ? true : false;
+function expectType<T extends true>(): T | void {}
+
+const sanitizer = new CoordinateSanitizer({
+    outputFormat: 'decimal',
+    precision: 4,
+    validateRanges: true,
+    strictMode: false,
+    raUnit: 'auto',
+    inputFrame: 'galactic',
+    outputFrame: 'icrs',
+    equinox: 'B1950',
+    targetEquinox: 'JNow',
+    observationDate: new Date(),
+    targetEpoch: 'J2026.5'
+});
+
+// @ts-expect-error unknown output format
+new CoordinateSanitizer({ outputFormat: 'xml' });
+new CoordinateSanitizer({ outputFormat: '{ra:hh}:{ra:mm}:{ra:ss.2} {dec:+dd}:{dec:mm}:{dec:ss.1}' });
+new CoordinateSanitizer({ outputFormat: 'indi', indiDevice: 'EQMod Mount' });
+const aladinTemplate: string = CoordinateSanitizer.OUTPUT_TEMPLATES.aladin;
+void aladinTemplate;
+
+// Structured output and serialization
+const objectResult = new CoordinateSanitizer({ outputFormat: 'object' }).sanitizeCoordinates('12:30:00, +45:00:00');
+if (typeof objectResult.coordinates !== 'string') {
+    const objectRA: number = objectResult.coordinates.ra.deg;
+    expectType<Equal<typeof objectResult.coordinates.dec.sign, '+' | '-'>>();
+    void objectRA;
+}
+const serialized: string = sanitizer.serialize(sanitizer.sanitizeBatch(['M31']), 'votable');
+const serializationFormats: ReadonlyArray<CoordinateSanitizer.SerializationFormat> = CoordinateSanitizer.SERIALIZATION_FORMATS;
+// @ts-expect-error unknown serialization format
+sanitizer.serialize(objectResult, 'yaml');
+void serialized, serializationFormats;
+
+// Angles
+const separation: CoordinateSanitizer.Separation = sanitizer.separation('M31', objectResult);
+const moved: { ra: number; dec: number } = CoordinateSanitizer.offsetPosition(10, 20, 0.5, 45);
+const dither: CoordinateSanitizer.SanitizationResult = sanitizer.offsetCoordinates('M31', 0.01, 90);
+const offset: CoordinateSanitizer.PositionOffset | undefined = dither.metadata.offset;
+void separation, moved, offset;
+// @ts-expect-error unknown frame
+new CoordinateSanitizer({ inputFrame: 'horizontal' });
+
+// Results
+const result = sanitizer.sanitizeCoordinates('12:30:00, +45:00:00', { pmRA: 10, pmDec: -5, epoch: 2000 });
+expectType<Equal<typeof result, CoordinateSanitizer.SanitizationResult>>();
+expectType<Equal<typeof result.error, string | null>>();
+if (result.errorDetail) {
+    const code: CoordinateSanitizer.ErrorCode = result.errorDetail.code;
+    const span: { start: number; end: number } | null = result.errorDetail.span;
+    void code, span;
+}
+expectType<Equal<typeof result.metadata.inputFormat, 'coordinates' | 'object-name' | 'already-valid' | 'designation' | undefined>>();
+if (result.metadata.ra && result.metadata.dec) {
+    expectType<Equal<typeof result.metadata.ra.format, 'hms' | 'hms-compact' | 'decimal' | 'designation' | 'galactic' | 'ecliptic' | 'supergalactic'>>();
+    expectType<Equal<typeof result.metadata.ra.unit, 'hours' | 'degrees'>>();
+    expectType<Equal<typeof result.metadata.dec.format, 'dms' | 'dms-compact' | 'decimal' | 'designation' | 'galactic' | 'ecliptic' | 'supergalactic'>>();
+    const hours: number = result.metadata.ra.hours;
+    const degrees: number = result.metadata.dec.degrees;
+    void hours, degrees;
+}
+const galactic: { l: number; b: number } | undefined = result.metadata.galactic;
+const warnings: CoordinateSanitizer.ResultWarning[] = result.warnings;
+const warningCode: CoordinateSanitizer.WarningCode | CoordinateSanitizer.ErrorCode = warnings[0].code;
+const warningCodes: ReadonlyArray<CoordinateSanitizer.WarningCode> = CoordinateSanitizer.WARNING_CODES;
+void warnings, warningCode, warningCodes;
+const protocol: CoordinateSanitizer.ProtocolMessage | undefined = result.metadata.protocol;
+expectType<Equal<NonNullable<typeof protocol>['name'], 'lx200' | 'indi' | 'stellarium'>>();
+
+const interpreted = sanitizer.interpretCoordinates('12.5 45.2');
+expectType<Equal<typeof interpreted.best.reading, 'sexagesimal' | 'compact' | 'hours-degrees' | 'degrees-degrees' | 'as-entered'>>();
+const alternative: CoordinateSanitizer.Interpretation | undefined = interpreted.alternatives[0];
+const confidence: number = interpreted.best.confidence;
+const interpretedResult: CoordinateSanitizer.SanitizationResult = interpreted.best.result;
+void alternative, confidence, interpretedResult;
+new CoordinateSanitizer({ componentValidation: 'normalize' });
+// @ts-expect-error unknown validation mode
+new CoordinateSanitizer({ componentValidation: 'ignore' });
+void galactic;
+
+// Batch, streaming and tables
+const batch = sanitizer.sanitizeBatch(['M31', '10 00 00 +20 00 00'], { stopOnError: true });
+const firstItem: CoordinateSanitizer.BatchItem = batch.items[0];
+const failures: CoordinateSanitizer.BatchFailure[] | undefined = batch.failures['ra-out-of-range'];
+const failureCode: CoordinateSanitizer.ErrorCode | null | undefined = failures?.[0].code;
+void firstItem, failures, failureCode;
+
+async function lines() {
+    for await (const item of sanitizer.sanitizeLines(['12:00:00, +10:00:00\n'], { skipEmpty: false })) {
+        expectType<Equal<typeof item, CoordinateSanitizer.LineResult>>();
+    }
+}
+void lines;
+const stream: import('stream').Transform = sanitizer.createSanitizeStream({ highWaterMark: 8 });
+void stream;
+
+const table = sanitizer.sanitizeTable('ra,dec\n1,2\n', { raColumn: 'ra', decColumn: 1 });
+expectType<Equal<typeof table.columns.raUnit, 'hours' | 'degrees' | null>>();
+
+// Static members, presets and converters
+const formats = CoordinateSanitizer.getSupportedFormats();
+expectType<Equal<typeof formats.output, CoordinateSanitizer.OutputFormat[]>>();
+const strict: CoordinateSanitizer = CoordinateSanitizer.createPreset('strict');
+void strict;
+// @ts-expect-error unknown preset
+CoordinateSanitizer.createPreset('fast');
+const presetOptions: Readonly<CoordinateSanitizer.CoordinateSanitizerOptions> = CoordinateSanitizer.PRESETS.loose;
+const errorCodes: ReadonlyArray<CoordinateSanitizer.ErrorCode> = CoordinateSanitizer.ERROR_CODES;
+const italian = new CoordinateSanitizer({ locale: 'it' });
+const swiss = new CoordinateSanitizer({ locale: 'de-CH' });
+const custom = new CoordinateSanitizer({
+    locale: { ...CoordinateSanitizer.LOCALES.it, messages: { RA_OUT_OF_RANGE: 'AR {value}?' } }
+});
+// @ts-expect-error unknown error code
+new CoordinateSanitizer({ locale: { messages: { RA_TOO_BIG: '' } } });
+void presetOptions, errorCodes, italian, swiss, custom;
+
+const hms: { hours: number; minutes: number; seconds: number } = CoordinateSanitizer.decimalToHMS(12.5);
+const dec: number = CoordinateSanitizer.dmsToDecimal(-0, 30, 0, true);
+const converted = CoordinateSanitizer.convertFrame(10.68, 41.27, 'icrs', 'galactic');
+const equinox = CoordinateSanitizer.parseEquinox('B1950');
+if (equinox) {
+    const precessed: { ra: number; dec: number } = CoordinateSanitizer.precess(1, 2, equinox, equinox);
+    void precessed;
+}
+void hms, dec, converted;
+
+// Object-name resolution
+new CoordinateSanitizer({ resolver: 'bundled' });
+new CoordinateSanitizer({ resolver: { resolve: (name: string) => (name ? { name, ra: 1, dec: 2 } : null) } });
+// @ts-expect-error resolvers must return a position or null
+new CoordinateSanitizer({ resolver: { resolve: (name: string) => name } });
+const object = CoordinateSanitizer.createCatalogResolver().resolve('M31');
+const objectDec: number | undefined = object?.dec;
+const resolvedName: string | undefined = result.metadata.object?.name;
+void objectDec, resolvedName;
+
+// Catalog designation patterns
+const withCatalogs = new CoordinateSanitizer()
+    .registerCatalog('Internal', { pattern: /^TGT-(\d+)$/i, normalize: (match) => `TGT-${match[1]}` })
+    .registerCatalog('Plain', /^XYZ\d+$/);
+const removed: boolean = withCatalogs.unregisterCatalog('Stock');
+const designation: string | undefined = withCatalogs.matchCatalog('ngc1234')?.designation;
+const matchedCatalog: string | undefined = result.metadata.catalog;
+const bundledCatalogs: string[] = CoordinateSanitizer.CATALOG_PATTERNS.map((definition) => definition.name);
+// @ts-expect-error patterns must be regular expressions
+withCatalogs.registerCatalog('Broken', { pattern: 'TGT' });
+void removed, designation, matchedCatalog, bundledCatalogs;
+const precisionLimit: { ra: number; dec: number } | undefined = result.metadata.precisionLimit;
+void precisionLimit;
+
+// Asynchronous resolvers
+const resolving = new CoordinateSanitizer({ resolverCache: CoordinateSanitizer.createLRUCache({ maxSize: 10 }) })
+    .registerResolver({ name: 'internal', resolve: async (name: string) => ({ name, ra: 1, dec: 2 }) }, { priority: 10 })
+    .registerResolver(CoordinateSanitizer.createSesameResolver({ url: 'http://127.0.0.1:8080' }), { timeout: 2000 });
+const pending: Promise<CoordinateSanitizer.SanitizationResult> = resolving.sanitizeCoordinatesAsync('M31');
+new CoordinateSanitizer({ resolverCache: false, resolverTimeout: 1000 });
+new CoordinateSanitizer({ resolverCache: CoordinateSanitizer.createFileCache('/tmp/names.json') });
+// @ts-expect-error resolvers need a resolve method
+resolving.registerResolver({ name: 'broken' });
+void pending.then((r) => r.metadata.resolverErrors?.map((e) => e.resolver));
+
+// Named class export
+const Named: typeof CoordinateSanitizer = CoordinateSanitizer.CoordinateSanitizer;
+void Named;